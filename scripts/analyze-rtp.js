@@ -0,0 +1,87 @@
+/**
+ * Monte Carlo RTP report for the chart generator
+ *
+ * Usage:
+ *   npm run analyze -- --rounds 20000 --profile src/profiles/degen.json --format csv --out rtp.csv
+ *
+ * Options:
+ *   --rounds <n>      Charts to simulate (default 10000)
+ *   --seed <n>        Base seed, round i uses seed + i (default 1)
+ *   --profile <path>  Chart profile JSON (default profile if omitted)
+ *   --format <fmt>    json or csv (default json)
+ *   --out <path>      Write to file instead of stdout
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { RtpAnalyzer } from '../src/analysis/RtpAnalyzer.js';
+import { CashOutStrategy } from '../src/analysis/CashOutStrategy.js';
+import { ChartProfile } from '../src/core/ChartProfile.js';
+
+function parseArgs(argv) {
+  const args = { rounds: 10000, seed: 1, profile: null, format: 'json', out: null };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(key in args) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[key] = value;
+  }
+
+  args.rounds = parseInt(args.rounds, 10);
+  args.seed = parseInt(args.seed, 10);
+  if (!Number.isInteger(args.rounds) || args.rounds < 1) {
+    throw new Error('--rounds must be a positive integer');
+  }
+  if (!['json', 'csv'].includes(args.format)) {
+    throw new Error('--format must be json or csv');
+  }
+
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const profile = args.profile ? ChartProfile.fromJSON(readFileSync(args.profile, 'utf8')) : undefined;
+  const analyzer = new RtpAnalyzer({ profile });
+
+  const strategies = [
+    CashOutStrategy.targetMultiplier(1.1),
+    CashOutStrategy.targetMultiplier(1.5),
+    CashOutStrategy.targetMultiplier(2),
+    CashOutStrategy.targetMultiplier(3),
+    CashOutStrategy.fixedTime(3),
+    CashOutStrategy.fixedTime(6),
+    CashOutStrategy.fixedTime(10),
+    CashOutStrategy.firstDip(0.10, 2.5),
+    CashOutStrategy.firstDip(0.20, 2.5),
+    CashOutStrategy.doubleDownAt(4, CashOutStrategy.targetMultiplier(1.5)),
+    CashOutStrategy.doubleDownAt(6, CashOutStrategy.fixedTime(8)),
+    CashOutStrategy.shortAndHold(1),
+    CashOutStrategy.shortAndHold(3),
+    CashOutStrategy.shortAndHold(8),
+    CashOutStrategy.shortAndHold(1, 5),
+    CashOutStrategy.shortAndHold(3, 5),
+    CashOutStrategy.shortAndHold(1, 10),
+    CashOutStrategy.shortAndHold(8, 10)
+  ];
+
+  const report = analyzer.run(strategies, { rounds: args.rounds, seed: args.seed });
+  const output = args.format === 'csv'
+    ? RtpAnalyzer.toCSV(report)
+    : JSON.stringify(report, null, 2) + '\n';
+
+  if (args.out) {
+    writeFileSync(args.out, output);
+    console.error(`Wrote ${args.format.toUpperCase()} report for ${args.rounds} rounds to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
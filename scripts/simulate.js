@@ -0,0 +1,62 @@
+/**
+ * Headless soak test: plays full rounds through GameController on virtual time
+ *
+ * Usage:
+ *   npm run simulate -- --rounds 1000 --target 1.3 --bet 10
+ *
+ * Options:
+ *   --rounds <n>       Rounds to play (default 1000)
+ *   --target <x>       Bot cashes out at this multiplier (default 1.5)
+ *   --double-day <n>   Bot doubles down on this day (default never)
+ *   --bet <n>          Bet per round (default 10)
+ *   --profile <path>   Chart profile JSON (default profile if omitted)
+ */
+import { readFileSync } from 'node:fs';
+import { HeadlessRunner } from '../src/headless/HeadlessRunner.js';
+import { TargetBot } from '../src/headless/TargetBot.js';
+import { ChartProfile } from '../src/core/ChartProfile.js';
+
+function parseArgs(argv) {
+  const args = { rounds: 1000, target: 1.5, 'double-day': null, bet: 10, profile: null };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(key in args) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[key] = value;
+  }
+
+  return {
+    rounds: parseInt(args.rounds, 10),
+    target: parseFloat(args.target),
+    doubleDownDay: args['double-day'] === null ? null : parseInt(args['double-day'], 10),
+    bet: parseFloat(args.bet),
+    profile: args.profile
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!Number.isInteger(args.rounds) || args.rounds < 1) {
+    throw new Error('--rounds must be a positive integer');
+  }
+
+  const runner = new HeadlessRunner({
+    player: new TargetBot({ target: args.target, doubleDownDay: args.doubleDownDay }),
+    betAmount: args.bet,
+    profile: args.profile ? ChartProfile.fromJSON(readFileSync(args.profile, 'utf8')) : undefined
+  });
+
+  const started = Date.now();
+  const report = await runner.run(args.rounds);
+  report.wallSeconds = (Date.now() - started) / 1000;
+
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
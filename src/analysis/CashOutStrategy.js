@@ -0,0 +1,181 @@
+/**
+ * CashOutStrategy - Player behaviours used by the RTP analyzer
+ * Each strategy plays one chart with a 1-unit bet and reports what came back
+ */
+import { InvestmentManager } from '../core/InvestmentManager.js';
+
+export class CashOutStrategy {
+  /**
+   * @param {string} name - Label used in reports
+   * @param {Function} play - (chart, chartGenerator) => { wagered, returned, exitTime, exitPrice }
+   */
+  constructor(name, play) {
+    this.name = name;
+    this.play = play;
+  }
+
+  /**
+   * Cash out the moment price reaches a target multiplier
+   * @param {number} target - Multiplier of the $1.00 entry, e.g. 1.5
+   * @returns {CashOutStrategy}
+   */
+  static targetMultiplier(target) {
+    return new CashOutStrategy(`target_${target}x`, (chart) => {
+      const exit = CashOutStrategy.findCrossing(chart.pricePoints, price => price >= target, target);
+      return CashOutStrategy.settle(exit);
+    });
+  }
+
+  /**
+   * Cash out at a fixed time (loses everything if the crash comes first)
+   * @param {number} seconds - Seconds after round start
+   * @returns {CashOutStrategy}
+   */
+  static fixedTime(seconds) {
+    return new CashOutStrategy(`time_${seconds}s`, (chart, chartGenerator) => {
+      const crashTime = chartGenerator.getCrashTime(chart.pricePoints);
+      if (crashTime !== null && seconds >= crashTime) {
+        return CashOutStrategy.settle(null);
+      }
+      const price = chartGenerator.getPriceAtTime(chart.pricePoints, seconds);
+      return CashOutStrategy.settle({ price, time: seconds });
+    });
+  }
+
+  /**
+   * Cash out on the first drop of `dip` below the running high
+   * The high only counts prices from `afterTime` on; the crash to $0 is a vertical drop with no fill
+   * @param {number} dip - Fraction below the high, e.g. 0.10 for 10%
+   * @param {number} afterTime - Ignore prices before this time (e.g. opening chaos)
+   * @returns {CashOutStrategy}
+   */
+  static firstDip(dip, afterTime = 0) {
+    const label = afterTime > 0 ? `first_dip_${dip * 100}%_after_${afterTime}s` : `first_dip_${dip * 100}%`;
+
+    return new CashOutStrategy(label, (chart) => {
+      let high = null;
+      let previous = null;
+      let exit = null;
+
+      const points = chart.pricePoints;
+      for (let i = 0; i < points.length && !exit; i++) {
+        const point = points[i];
+        if (point.time < afterTime) continue;
+        if (point.price <= 0) break;
+
+        if (high !== null && point.price <= high * (1 - dip)) {
+          exit = CashOutStrategy.interpolateCrossing(previous, point, high * (1 - dip));
+        }
+        high = high === null ? point.price : Math.max(high, point.price);
+        previous = point;
+      }
+
+      return CashOutStrategy.settle(exit);
+    });
+  }
+
+  /**
+   * Short at a fixed time and hold to the rug, where the crash to $0 pays the maximum
+   * Squeezed (margin lost) if price reaches the liquidation price first
+   * @param {number} seconds - Seconds after round start
+   * @param {number} leverage - Exposure multiple, 1 for none
+   * @returns {CashOutStrategy}
+   */
+  static shortAndHold(seconds, leverage = 1) {
+    const label = leverage > 1 ? `short_${seconds}s_${leverage}x` : `short_${seconds}s`;
+
+    return new CashOutStrategy(label, (chart, chartGenerator) => {
+      const crashTime = chartGenerator.getCrashTime(chart.pricePoints);
+      if (crashTime !== null && seconds >= crashTime) {
+        return { wagered: 0, returned: 0, exitTime: null, exitPrice: 0 };
+      }
+
+      const priceIndex = chartGenerator.getPriceIndex(chart.pricePoints);
+      const entryPrice = priceIndex.priceAt(seconds);
+      const position = { side: 'short', entryPrice, leverage };
+      const liquidationPrice = InvestmentManager.getLiquidationPrice('short', entryPrice, leverage);
+      const endTime = crashTime === null ? chart.pricePoints[chart.pricePoints.length - 1].time : crashTime;
+
+      if (priceIndex.maxPrice(seconds, endTime) >= liquidationPrice) {
+        return { wagered: 1, returned: 0, exitTime: null, exitPrice: 0 };
+      }
+      return { wagered: 1, returned: InvestmentManager.getMultiplier(position, 0), exitTime: endTime, exitPrice: 0 };
+    });
+  }
+
+  /**
+   * Double down at the start of a day, then exit with another strategy
+   * @param {number} day - Day to add the second bet (Day 1 starts at 0s)
+   * @param {CashOutStrategy} exitStrategy - When to cash out both positions
+   * @returns {CashOutStrategy}
+   */
+  static doubleDownAt(day, exitStrategy) {
+    return new CashOutStrategy(`double_day_${day}+${exitStrategy.name}`, (chart, chartGenerator) => {
+      const result = exitStrategy.play(chart, chartGenerator);
+      const doubleTime = day - 1;
+      const crashTime = chartGenerator.getCrashTime(chart.pricePoints);
+
+      // Only doubles if still holding and the coin hasn't crashed yet
+      const stillHolding = result.exitTime === null || result.exitTime > doubleTime;
+      if (!stillHolding || (crashTime !== null && doubleTime >= crashTime)) {
+        return result;
+      }
+
+      const entryPrice = chartGenerator.getPriceAtTime(chart.pricePoints, doubleTime);
+
+      return {
+        ...result,
+        wagered: result.wagered + 1,
+        returned: result.returned + result.exitPrice / entryPrice
+      };
+    });
+  }
+
+  /**
+   * Find the first time price satisfies a condition, filled at the exact crossing price
+   * @param {Array} points - Chart price points
+   * @param {Function} condition - price => boolean
+   * @param {number} level - Price level being crossed
+   * @returns {Object|null} { price, time } or null if never reached
+   */
+  static findCrossing(points, condition, level) {
+    for (let i = 0; i < points.length; i++) {
+      if (condition(points[i].price) && points[i].price > 0) {
+        if (i === 0) return { price: points[0].price, time: points[0].time };
+        return CashOutStrategy.interpolateCrossing(points[i - 1], points[i], level);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Where the line between two points crosses a price level
+   * Never leaves the segment: a level the line starts past fills at `from`, one it doesn't reach at `to`
+   * @param {Object|null} from - Previous point (null fills at `to`)
+   * @param {Object} to
+   * @param {number} level
+   * @returns {Object} { price, time }
+   */
+  static interpolateCrossing(from, to, level) {
+    if (!from || from.price === to.price) {
+      return { price: to.price, time: to.time };
+    }
+    const t = Math.min(1, Math.max(0, (level - from.price) / (to.price - from.price)));
+    return {
+      price: from.price + t * (to.price - from.price),
+      time: from.time + t * (to.time - from.time)
+    };
+  }
+
+  /**
+   * Convert an exit into a 1-unit bet result (entry at $1.00)
+   * @param {Object|null} exit - { price, time } or null if caught by the crash
+   * @returns {Object} { wagered, returned, exitTime, exitPrice }
+   */
+  static settle(exit) {
+    if (!exit) {
+      return { wagered: 1, returned: 0, exitTime: null, exitPrice: 0 };
+    }
+    return { wagered: 1, returned: exit.price, exitTime: exit.time, exitPrice: exit.price };
+  }
+}
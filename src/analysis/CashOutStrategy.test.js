@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { CashOutStrategy } from './CashOutStrategy.js';
+import { RtpAnalyzer } from './RtpAnalyzer.js';
+import { ChartGenerator } from '../core/ChartGenerator.js';
+
+const chartGenerator = new ChartGenerator();
+
+function chart(...points) {
+  return { pricePoints: points.map(([time, price]) => ({ time, price, day: Math.floor(time) + 1 })) };
+}
+
+describe('CashOutStrategy.firstDip', () => {
+  it('only tracks the high from afterTime', () => {
+    // The 3.00 opening spike is ignored: the high is 1.6, so the 10% trigger is 1.44
+    const result = CashOutStrategy.firstDip(0.1, 2).play(
+      chart([0, 1], [1, 3], [2, 1.5], [3, 1.6], [4, 1.4], [5, 1.3], [5.02, 0]),
+      chartGenerator
+    );
+
+    expect(result.exitPrice).toBeCloseTo(1.44);
+    expect(result.exitTime).toBeCloseTo(3.8);
+  });
+
+  it('never fills before afterTime', () => {
+    const result = CashOutStrategy.firstDip(0.1, 2).play(
+      chart([0, 1], [1, 3], [2, 1], [3, 0.5], [3.02, 0]),
+      chartGenerator
+    );
+
+    expect(result.exitTime).toBeCloseTo(2.2);
+    expect(result.exitPrice).toBeCloseTo(0.9);
+  });
+
+  it('loses everything when the only dip is the crash', () => {
+    const result = CashOutStrategy.firstDip(0.1).play(
+      chart([0, 1], [1, 1.2], [2, 1.15], [2.02, 0]),
+      chartGenerator
+    );
+
+    expect(result).toEqual({ wagered: 1, returned: 0, exitTime: null, exitPrice: 0 });
+  });
+
+  it('exits inside the round on generated charts', () => {
+    const strategy = CashOutStrategy.firstDip(0.1, 2.5);
+
+    for (let seed = 1; seed <= 200; seed++) {
+      const generated = chartGenerator.generateChart(15, { seed });
+      const result = strategy.play(generated, chartGenerator);
+      if (result.exitTime === null) continue;
+
+      expect(result.exitTime).toBeGreaterThanOrEqual(2.5);
+      expect(result.exitTime).toBeLessThan(chartGenerator.getCrashTime(generated.pricePoints));
+      expect(result.exitPrice).toBeGreaterThan(0);
+    }
+  });
+
+  it('keeps a house edge under the default profile', () => {
+    const report = new RtpAnalyzer({ chartGenerator }).run(
+      [CashOutStrategy.firstDip(0.1, 2.5), CashOutStrategy.firstDip(0.2, 2.5)],
+      { rounds: 1000, seed: 1 }
+    );
+
+    report.strategies.forEach(strategy => {
+      expect(strategy.rtp).toBeLessThan(1);
+      expect(strategy.cashOutRate).toBeLessThan(1);
+    });
+  });
+});
+
+describe('CashOutStrategy.interpolateCrossing', () => {
+  it('fills at the level inside the segment', () => {
+    expect(CashOutStrategy.interpolateCrossing({ time: 1, price: 2 }, { time: 2, price: 1 }, 1.5))
+      .toEqual({ time: 1.5, price: 1.5 });
+  });
+
+  it('fills at the first point when the segment starts past the level', () => {
+    expect(CashOutStrategy.interpolateCrossing({ time: 1, price: 1 }, { time: 2, price: 0.5 }, 1.5))
+      .toEqual({ time: 1, price: 1 });
+  });
+
+  it('fills at the last point when the segment never reaches the level', () => {
+    expect(CashOutStrategy.interpolateCrossing({ time: 1, price: 2 }, { time: 2, price: 1.8 }, 1.5))
+      .toEqual({ time: 2, price: 1.8 });
+  });
+
+  it('fills at the point when there is no previous one', () => {
+    expect(CashOutStrategy.interpolateCrossing(null, { time: 3, price: 0.7 }, 1.5))
+      .toEqual({ time: 3, price: 0.7 });
+  });
+});
+
+describe('CashOutStrategy.targetMultiplier', () => {
+  it('fills at the target on the way up', () => {
+    const result = CashOutStrategy.targetMultiplier(1.5).play(
+      chart([0, 1], [1, 1.2], [2, 1.8], [3, 1], [3.02, 0]),
+      chartGenerator
+    );
+
+    expect(result.exitPrice).toBeCloseTo(1.5);
+    expect(result.exitTime).toBeCloseTo(1.5);
+  });
+
+  it('is caught by the crash when the target is never reached', () => {
+    const result = CashOutStrategy.targetMultiplier(2).play(
+      chart([0, 1], [1, 1.5], [1.02, 0]),
+      chartGenerator
+    );
+
+    expect(result.returned).toBe(0);
+  });
+});
+
+describe('CashOutStrategy.shortAndHold', () => {
+  it('pays the maximum when the rug comes', () => {
+    const result = CashOutStrategy.shortAndHold(1, 5).play(
+      chart([0, 1], [1, 1.5], [2, 1.2], [2.02, 0]),
+      chartGenerator
+    );
+
+    expect(result).toEqual({ wagered: 1, returned: 6, exitTime: 2.02, exitPrice: 0 });
+  });
+
+  it('is squeezed when the price reaches the liquidation price first', () => {
+    const result = CashOutStrategy.shortAndHold(1, 5).play(
+      chart([0, 1], [1, 1.5], [2, 1.8], [2.02, 0]),
+      chartGenerator
+    );
+
+    expect(result.returned).toBe(0);
+  });
+
+  it('skips rounds that crash before the entry', () => {
+    const result = CashOutStrategy.shortAndHold(5).play(chart([0, 1], [2, 1.2], [2.02, 0]), chartGenerator);
+
+    expect(result.wagered).toBe(0);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * RtpAnalyzer - Monte Carlo return-to-player analysis for a chart profile
+ * Headless: runs in Node or the browser, no DOM or timers needed
+ */
+import { ChartGenerator } from '../core/ChartGenerator.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+
+export class RtpAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.profile - Chart profile to analyze (default if omitted)
+   * @param {ChartGenerator} options.chartGenerator - Use an existing generator instead
+   */
+  constructor(options = {}) {
+    this.chartGenerator = options.chartGenerator || new ChartGenerator({ profile: options.profile });
+  }
+
+  /**
+   * Generate N charts and play every strategy on the same charts
+   * @param {Array<CashOutStrategy>} strategies
+   * @param {Object} options
+   * @param {number} options.rounds - Number of charts to simulate
+   * @param {number} options.seed - Base seed; round i uses seed + i
+   * @param {number} options.binSize - Histogram bin width in seconds
+   * @returns {Object} Report with chart distributions and per-strategy stats
+   */
+  run(strategies, { rounds = 10000, seed = 1, binSize = 1 } = {}) {
+    const [minDuration, maxDuration] = this.chartGenerator.profile.roundDuration;
+    const durationRng = new SeededRandom(`${seed}:duration`);
+
+    const peakTimes = [];
+    const crashTimes = [];
+    const roundTypes = {};
+    const results = strategies.map(() => []);
+
+    for (let i = 0; i < rounds; i++) {
+      const duration = Math.floor(durationRng.next() * (maxDuration - minDuration + 1)) + minDuration;
+      const chart = this.chartGenerator.generateChart(duration, { seed: seed + i });
+
+      peakTimes.push(this.getPeakTime(chart.pricePoints));
+      crashTimes.push(this.chartGenerator.getCrashTime(chart.pricePoints));
+      roundTypes[chart.type] = (roundTypes[chart.type] || 0) + 1;
+
+      strategies.forEach((strategy, index) => {
+        results[index].push(strategy.play(chart, this.chartGenerator));
+      });
+    }
+
+    return {
+      profile: this.chartGenerator.profile.name,
+      rounds,
+      seed,
+      charts: {
+        roundTypes,
+        peakTime: this.summarize(peakTimes, binSize),
+        crashTime: this.summarize(crashTimes, binSize)
+      },
+      strategies: strategies.map((strategy, index) => ({
+        name: strategy.name,
+        ...this.scoreStrategy(results[index], binSize)
+      }))
+    };
+  }
+
+  /**
+   * Compute RTP, variance and hit rate for one strategy
+   * Rounds the strategy sat out (wagered 0, e.g. the crash came before its entry) don't count
+   * @param {Array} results - [{ wagered, returned, exitTime }]
+   * @param {number} binSize
+   * @returns {Object}
+   */
+  scoreStrategy(results, binSize) {
+    let totalWagered = 0;
+    let totalReturned = 0;
+    let hits = 0;
+    const returns = [];
+    const exitTimes = [];
+
+    const played = results.filter(result => result.wagered > 0);
+    for (const result of played) {
+      totalWagered += result.wagered;
+      totalReturned += result.returned;
+      if (result.returned > result.wagered) hits++;
+
+      // Per-round return as a multiple of the amount wagered that round
+      returns.push(result.returned / result.wagered);
+      if (result.exitTime !== null) exitTimes.push(result.exitTime);
+    }
+
+    const rtp = totalWagered > 0 ? totalReturned / totalWagered : 0;
+    const meanReturn = this.mean(returns);
+    const variance = this.mean(returns.map(r => (r - meanReturn) ** 2));
+
+    return {
+      rtp,
+      houseEdge: 1 - rtp,
+      variance,
+      stdDev: Math.sqrt(variance),
+      hitRate: played.length > 0 ? hits / played.length : 0,
+      cashOutRate: played.length > 0 ? exitTimes.length / played.length : 0,
+      roundsPlayed: played.length,
+      totalWagered,
+      totalReturned,
+      exitTime: this.summarize(exitTimes, binSize)
+    };
+  }
+
+  /**
+   * Time of the highest price in a chart
+   * @param {Array} pricePoints
+   * @returns {number}
+   */
+  getPeakTime(pricePoints) {
+    let peak = pricePoints[0];
+    for (const point of pricePoints) {
+      if (point.price > peak.price) peak = point;
+    }
+    return peak.time;
+  }
+
+  /**
+   * Summary statistics and histogram of a list of times
+   * @param {Array<number>} values
+   * @param {number} binSize - Histogram bin width
+   * @returns {Object} { mean, p10, p50, p90, histogram: [{ from, to, count }] }
+   */
+  summarize(values, binSize) {
+    const clean = values.filter(v => v !== null).sort((a, b) => a - b);
+    if (clean.length === 0) {
+      return { mean: null, p10: null, p50: null, p90: null, histogram: [] };
+    }
+
+    const histogram = [];
+    for (const value of clean) {
+      const bin = Math.floor(value / binSize);
+      histogram[bin] = (histogram[bin] || 0) + 1;
+    }
+
+    return {
+      mean: this.mean(clean),
+      p10: this.percentile(clean, 0.10),
+      p50: this.percentile(clean, 0.50),
+      p90: this.percentile(clean, 0.90),
+      histogram: Array.from(histogram, (count, bin) => ({
+        from: bin * binSize,
+        to: (bin + 1) * binSize,
+        count: count || 0
+      }))
+    };
+  }
+
+  mean(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  /**
+   * @param {Array<number>} sorted - Values sorted ascending
+   * @param {number} p - Percentile between 0 and 1
+   */
+  percentile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+    return sorted[index];
+  }
+
+  /**
+   * Flatten a report's strategy table to CSV
+   * @param {Object} report - Output of run()
+   * @returns {string}
+   */
+  static toCSV(report) {
+    const columns = [
+      'strategy', 'rounds', 'rtp', 'house_edge', 'variance', 'std_dev', 'hit_rate', 'cash_out_rate',
+      'exit_time_mean', 'peak_time_mean', 'peak_time_p50', 'crash_time_mean', 'crash_time_p50'
+    ];
+
+    const rows = report.strategies.map(s => [
+      s.name,
+      report.rounds,
+      s.rtp,
+      s.houseEdge,
+      s.variance,
+      s.stdDev,
+      s.hitRate,
+      s.cashOutRate,
+      s.exitTime.mean,
+      report.charts.peakTime.mean,
+      report.charts.peakTime.p50,
+      report.charts.crashTime.mean,
+      report.charts.crashTime.p50
+    ].map(RtpAnalyzer.formatCSVValue).join(','));
+
+    return [columns.join(','), ...rows].join('\n') + '\n';
+  }
+
+  static formatCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number(value.toFixed(6)).toString();
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+}
@@ -1,12 +1,29 @@
 /**
  * BalanceManager - Manages player balance and transactions
+ * Persistence is the owner's job: onChange fires after every balance or history change,
+ * onTransaction with every new history entry (the history itself keeps only the last 100)
+ * Balance and debt are kept in whole cents; amounts in and out are dollars
  */
+import { Money } from './Money.js';
+import { RealClock } from './Clock.js';
+
 export class BalanceManager {
-  constructor(initialBalance = 1000) {
-    // this.balance = this.loadBalance() || initialBalance;
-    this.balance = initialBalance;
+  /**
+   * @param {number} initialBalance
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with the manager after every change (e.g. to save)
+   * @param {Function} options.onTransaction - Called with each recorded transaction (e.g. for a ledger)
+   * @param {Object} options.clock - Time source for transaction timestamps (see Clock.js)
+   */
+  constructor(initialBalance = 1000, options = {}) {
+    this.onChange = options.onChange || null;
+    this.onTransaction = options.onTransaction || null;
+    this.clock = options.clock || new RealClock();
     this.initialBalance = initialBalance;
+    this.balanceCents = Money.toCents(initialBalance);
+    this.debtCents = 0; // owed to the loan shark, interest included
     this.transactionHistory = [];
+    this.openBooks();
   }
 
   /**
@@ -14,7 +31,7 @@ export class BalanceManager {
    * @returns {number}
    */
   getBalance() {
-    return this.balance;
+    return Money.toDollars(this.balanceCents);
   }
 
   /**
@@ -23,32 +40,34 @@ export class BalanceManager {
    * @returns {boolean}
    */
   hasSufficientFunds(amount) {
-    return this.balance >= amount;
+    return this.balanceCents >= Money.toCents(amount);
   }
 
   /**
    * Deduct amount from balance
    * @param {number} amount
    * @param {string} reason
+   * @param {Object} details - Extra fields for the history entry (round, position...)
    * @returns {Object} Transaction result
    */
-  deduct(amount, reason = 'investment') {
-    if (!this.hasSufficientFunds(amount)) {
+  deduct(amount, reason = 'investment', details = {}) {
+    const cents = Money.toCents(amount);
+    if (this.balanceCents < cents) {
       return {
         success: false,
         message: 'Insufficient funds',
-        balance: this.balance
+        balance: this.getBalance()
       };
     }
 
-    this.balance -= amount;
-    this.recordTransaction(-amount, reason);
-    this.saveBalance();
+    this.balanceCents -= cents;
+    this.recordTransaction(-cents, reason, details);
+    this.notifyChange();
 
     return {
       success: true,
-      balance: this.balance,
-      amount: -amount
+      balance: this.getBalance(),
+      amount: Money.toDollars(-cents)
     };
   }
 
@@ -56,32 +75,147 @@ export class BalanceManager {
    * Add amount to balance
    * @param {number} amount
    * @param {string} reason
+   * @param {Object} details - Extra fields for the history entry (round, position...)
+   * @returns {Object} Transaction result
+   */
+  add(amount, reason = 'cash_out', details = {}) {
+    const cents = Money.toCents(amount);
+    this.balanceCents += cents;
+    this.recordTransaction(cents, reason, details);
+    this.notifyChange();
+
+    return {
+      success: true,
+      balance: this.getBalance(),
+      amount: Money.toDollars(cents)
+    };
+  }
+
+  /**
+   * Borrow money - the balance and the debt both grow
+   * @param {number} amount
+   * @param {string} reason
+   * @param {Object} details - Extra fields for the history entry
+   * @returns {Object} Transaction result
+   */
+  borrow(amount, reason = 'loan', details = {}) {
+    const cents = Money.toCents(amount);
+    this.balanceCents += cents;
+    this.debtCents += cents;
+    this.recordTransaction(cents, reason, { ...details, debtAfter: this.getDebt() });
+    this.notifyChange();
+
+    return {
+      success: true,
+      balance: this.getBalance(),
+      debt: this.getDebt(),
+      amount: Money.toDollars(cents)
+    };
+  }
+
+  /**
+   * Add interest to the debt (the balance doesn't move), rounded to the cent
+   * @param {number} rate - e.g. 0.1 for 10%
+   * @param {Object} details - Extra fields for the history entry
+   * @returns {Object} Transaction result
+   */
+  accrueInterest(rate, details = {}) {
+    if (this.debtCents <= 0) {
+      return { success: false, message: 'No debt', debt: 0 };
+    }
+
+    const interestCents = Money.share(this.debtCents, rate);
+    this.debtCents += interestCents;
+    const interest = Money.toDollars(interestCents);
+    this.recordTransaction(0, 'loan_interest', { ...details, interest, debtAfter: this.getDebt() });
+    this.notifyChange();
+
+    return {
+      success: true,
+      debt: this.getDebt(),
+      interest
+    };
+  }
+
+  /**
+   * Pay debt back from the balance
+   * @param {number} amount - Most to pay (capped by the debt and the balance)
+   * @param {string} reason
+   * @param {Object} details - Extra fields for the history entry
+   * @returns {Object} Transaction result
+   */
+  repay(amount, reason = 'loan_repayment', details = {}) {
+    const payment = Math.min(Money.toCents(amount), this.debtCents, this.balanceCents);
+    if (!(payment > 0)) {
+      return { success: false, message: 'Nothing to repay', balance: this.getBalance(), debt: this.getDebt() };
+    }
+
+    this.balanceCents -= payment;
+    this.debtCents -= payment;
+    this.recordTransaction(-payment, reason, { ...details, debtAfter: this.getDebt() });
+    this.notifyChange();
+
+    return {
+      success: true,
+      balance: this.getBalance(),
+      debt: this.getDebt(),
+      amount: Money.toDollars(-payment)
+    };
+  }
+
+  /**
+   * @returns {number} Amount owed
+   */
+  getDebt() {
+    return Money.toDollars(this.debtCents);
+  }
+
+  /**
+   * Balance minus debt
+   * @returns {number}
+   */
+  getNetWorth() {
+    return Money.toDollars(this.balanceCents - this.debtCents);
+  }
+
+  /**
+   * Record money lost without a balance change - it was paid when the position or bet was opened
+   * @param {number} amountLost - e.g. margin forfeited by a liquidated position
+   * @param {string} reason - 'liquidation', 'rugged' or 'side_bet_lost'
+   * @param {Object} details - Extra fields for the history entry
    * @returns {Object} Transaction result
    */
-  add(amount, reason = 'cash_out') {
-    this.balance += amount;
-    this.recordTransaction(amount, reason);
-    this.saveBalance();
+  recordLoss(amountLost, reason = 'liquidation', details = {}) {
+    this.recordTransaction(0, reason, { ...details, amountLost: Money.round(amountLost) });
+    this.notifyChange();
 
     return {
       success: true,
-      balance: this.balance,
-      amount: amount
+      balance: this.getBalance(),
+      amountLost: Money.round(amountLost)
     };
   }
 
   /**
-   * Record transaction in history
-   * @param {number} amount - Positive for credits, negative for debits
+   * Record transaction in history (after the balance has changed)
+   * @param {number} cents - Positive for credits, negative for debits
    * @param {string} reason
+   * @param {Object} details - Extra fields for the entry
    */
-  recordTransaction(amount, reason) {
-    this.transactionHistory.push({
-      amount,
+  recordTransaction(cents, reason, details = {}) {
+    const transaction = {
+      amount: Money.toDollars(cents),
       reason,
-      timestamp: Date.now(),
-      balanceAfter: this.balance
-    });
+      ...details,
+      timestamp: this.clock.now(),
+      balanceAfter: this.getBalance()
+    };
+    this.transactionHistory.push(transaction);
+    this.recordedCents += cents;
+
+    if (this.onTransaction) {
+      this.onTransaction({ ...transaction });
+    }
 
     // Keep only last 100 transactions
     if (this.transactionHistory.length > 100) {
@@ -93,36 +227,77 @@ export class BalanceManager {
    * Reset balance to initial amount
    */
   reset() {
-    this.balance = this.initialBalance;
+    this.balanceCents = Money.toCents(this.initialBalance);
+    this.debtCents = 0;
     this.transactionHistory = [];
-    this.saveBalance();
+    this.openBooks();
+    this.notifyChange();
   }
 
   /**
-   * Save balance to localStorage
+   * Start reconciling from the current balance
    */
-  saveBalance() {
-    try {
-      localStorage.setItem('playerBalance', this.balance.toString());
-    } catch (e) {
-      console.warn('Could not save balance to localStorage:', e);
+  openBooks() {
+    this.openingCents = this.balanceCents;
+    this.recordedCents = 0; // sum of every transaction since
+  }
+
+  /**
+   * Check the books: money is in whole cents, nothing is negative, and the balance is the
+   * opening balance plus every transaction recorded since (so nothing bypassed the history)
+   * @returns {Array} Error messages (empty if the books balance)
+   */
+  checkBooks() {
+    const errors = [];
+
+    if (!Money.isCents(this.balanceCents) || this.balanceCents < 0) {
+      errors.push(`balance: ${this.balanceCents} is not a whole, non-negative number of cents`);
+    }
+
+    if (!Money.isCents(this.debtCents) || this.debtCents < 0) {
+      errors.push(`debt: ${this.debtCents} is not a whole, non-negative number of cents`);
+    }
+
+    if (this.balanceCents !== this.openingCents + this.recordedCents) {
+      errors.push(`balance ${this.balanceCents}¢ != opening ${this.openingCents}¢ + transactions ${this.recordedCents}¢`);
     }
+
+    return errors;
   }
 
   /**
-   * Load balance from localStorage
-   * @returns {number|null}
+   * Tell the owner the balance changed
    */
-  loadBalance() {
-    try {
-      const saved = localStorage.getItem('playerBalance');
-      return saved ? parseFloat(saved) : null;
-    } catch (e) {
-      console.warn('Could not load balance from localStorage:', e);
-      return null;
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this);
     }
   }
 
+  /**
+   * Balance, debt and history for a save
+   * @returns {Object} { balance, debt, transactions }
+   */
+  getState() {
+    return {
+      balance: this.getBalance(),
+      debt: this.getDebt(),
+      transactions: this.transactionHistory.map(t => ({ ...t }))
+    };
+  }
+
+  /**
+   * Restore balance, debt and history from a save (does not fire onChange)
+   * Older saves may hold fractions of a cent; they are rounded
+   * @param {Object} state - { balance, debt, transactions }
+   */
+  restore({ balance, debt = 0, transactions = [] }) {
+    this.balanceCents = Money.toCents(balance);
+    this.debtCents = Money.toCents(debt);
+    this.transactionHistory = transactions.slice(-100).map(t => ({ ...t }));
+    this.openBooks();
+  }
+
   /**
    * Get transaction history
    * @param {number} limit - Number of recent transactions
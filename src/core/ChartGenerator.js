@@ -2,61 +2,225 @@
  * ChartGenerator - Generates price curves for meme coin rounds
  * Ensures house edge through probability distribution
  */
+import { SeededRandom } from './SeededRandom.js';
+import { ChartProfile, DEFAULT_PROFILE } from './ChartProfile.js';
+import { PriceIndex } from './PriceIndex.js';
+import { PRICE_ENGINES } from './engines/PriceEngines.js';
+import { Sha256 } from './Sha256.js';
+
 export class ChartGenerator {
-  constructor() {
-    this.ROUND_TYPES = {
-      INSTANT_LOSS: { probability: 0.40, name: 'instant_loss' },
-      SMALL_PEAK: { probability: 0.35, name: 'small_peak' },
-      MEDIUM_PEAK: { probability: 0.20, name: 'medium_peak' },
-      MOON_SHOT: { probability: 0.05, name: 'moon_shot' }
-    };
+  /**
+   * @param {Object} options
+   * @param {Object} options.rng - Random source with next() and setSeed(seed)
+   * @param {Object} options.profile - Chart profile (see ChartProfile), default if omitted
+   */
+  constructor(options = {}) {
+    // Every random decision goes through this source so rounds are reproducible
+    this.rng = options.rng || new SeededRandom();
+
+    // Round type registry: name -> { probability, normalizedProbability, generate }
+    this.roundTypes = new Map();
+    this.profileRoundTypes = new Set();
+
+    // Time indexes per chart, dropped automatically with the chart
+    this.priceIndexes = new WeakMap();
+
+    // All tuning (probabilities, peak ranges, crash window, clamps) comes from the profile
+    this.setProfile(options.profile || DEFAULT_PROFILE);
+  }
+
+  /**
+   * Apply a chart profile (takes effect from the next generateChart call)
+   * Round types from the previous profile are replaced; types registered in code are kept
+   * @param {Object} profile - Profile object, validated with ChartProfile.load
+   */
+  setProfile(profile) {
+    this.profile = ChartProfile.load(profile);
+
+    const { type, params } = this.profile.engine;
+    this.engine = new PRICE_ENGINES[type](this, params);
+
+    const roundTypes = new Map();
+    for (const [name, definition] of Object.entries(this.profile.roundTypes)) {
+      roundTypes.set(name, {
+        probability: definition.probability,
+        generate: this.createProfileRoundType(definition)
+      });
+    }
+
+    for (const [name, type] of this.roundTypes) {
+      if (!this.profileRoundTypes.has(name) && !roundTypes.has(name)) {
+        roundTypes.set(name, type);
+      }
+    }
+
+    this.roundTypes = this.renormalizeRoundTypes(roundTypes);
+    this.profileRoundTypes = new Set(Object.keys(this.profile.roundTypes));
+  }
+
+  /**
+   * Build the generate() function for a declarative round type
+   * @param {Object} definition - { probability, peakRange }
+   * @returns {Function}
+   */
+  createProfileRoundType(definition) {
+    if (!definition.peakRange) {
+      return ({ samples, duration }) => ({
+        peakMultiplier: 0,
+        pricePoints: this.generateInstantLoss(samples, duration)
+      });
+    }
+
+    const [minPeak, maxPeak] = definition.peakRange;
+    return ({ samples, duration }) => this.generatePeakRound(samples, duration, minPeak, maxPeak);
+  }
+
+  /**
+   * Register (or replace) a round type
+   * Probabilities are relative weights and get renormalized to sum to 1
+   * @param {string} name - Round type name stored on the round
+   * @param {Object} definition
+   * @param {number} definition.probability - Relative weight (>= 0)
+   * @param {Function} definition.generate - ({ duration, samples, generator }) => { pricePoints, peakMultiplier }
+   */
+  registerRoundType(name, definition) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Round type name must be a non-empty string');
+    }
+
+    if (!definition || typeof definition.generate !== 'function') {
+      throw new Error(`Round type "${name}" must provide a generate() function`);
+    }
+
+    const { probability } = definition;
+    if (typeof probability !== 'number' || !Number.isFinite(probability) || probability < 0) {
+      throw new Error(`Round type "${name}" has invalid probability ${probability} (must be a finite number >= 0)`);
+    }
+
+    const roundTypes = new Map(this.roundTypes);
+    roundTypes.set(name, {
+      probability,
+      generate: definition.generate
+    });
+
+    this.roundTypes = this.renormalizeRoundTypes(roundTypes);
+
+    // Registered in code now, so it survives profile swaps
+    this.profileRoundTypes.delete(name);
+  }
+
+  /**
+   * Remove a round type
+   * @param {string} name
+   * @returns {boolean} True if a type was removed
+   */
+  unregisterRoundType(name) {
+    if (!this.roundTypes.has(name)) return false;
+
+    const roundTypes = new Map(this.roundTypes);
+    roundTypes.delete(name);
+
+    this.roundTypes = this.renormalizeRoundTypes(roundTypes);
+    return true;
+  }
+
+  /**
+   * Validate a registry and compute normalized probabilities
+   * @param {Map} roundTypes - Candidate registry
+   * @returns {Map} Registry with normalizedProbability set on every type
+   */
+  renormalizeRoundTypes(roundTypes) {
+    let total = 0;
+    for (const type of roundTypes.values()) {
+      total += type.probability;
+    }
+
+    if (total <= 0) {
+      throw new Error('Round types must have a total probability greater than 0');
+    }
 
-    // Configurable crash timing - how many seconds before round end to crash
-    // [min, max] range in seconds
-    this.endOfRoundCrash = [1, 5];
+    for (const type of roundTypes.values()) {
+      type.normalizedProbability = type.probability / total;
+    }
+
+    return roundTypes;
   }
 
+  /**
+   * Get registered round types with their normalized probabilities
+   * @returns {Array} [{ name, probability, weight }]
+   */
+  getRoundTypes() {
+    return Array.from(this.roundTypes, ([name, type]) => ({
+      name,
+      probability: type.normalizedProbability,
+      weight: type.probability
+    }));
+  }
 
+  /**
+   * Hash of everything that decides the charts: the profile and the round type weights
+   * Round types registered in code are covered by name and weight only
+   * @returns {string} Hex SHA-256 digest
+   */
+  getFingerprint() {
+    return Sha256.hex(JSON.stringify({
+      profile: this.profile,
+      roundTypes: this.getRoundTypes().map(({ name, weight }) => [name, weight])
+    }));
+  }
+
+  /**
+   * A separate generator with another profile, keeping the round types registered in code
+   * (what this generator would become after setProfile, without touching it)
+   * @param {Object} profile - Profile object, validated with ChartProfile.load
+   * @returns {ChartGenerator}
+   */
+  withProfile(profile) {
+    const generator = new ChartGenerator({ profile: this.profile });
+
+    for (const [name, type] of this.roundTypes) {
+      if (!this.profileRoundTypes.has(name)) {
+        generator.roundTypes.set(name, { probability: type.probability, generate: type.generate });
+        generator.profileRoundTypes.delete(name);
+      }
+    }
+
+    generator.setProfile(profile);
+    return generator;
+  }
 
   /**
    * Generate complete price curve for a round
    * @param {number} durationSeconds - Round duration in seconds
-   * @returns {Object} Chart data with type, peak multiplier, and price points
+   * @param {Object} options
+   * @param {number|string} options.seed - Seed for a reproducible chart (random if omitted)
+   * @returns {Object} Chart data with seed, type, peak multiplier, and price points
    */
-  generateChart(durationSeconds) {
+  generateChart(durationSeconds, options = {}) {
+    const seed = options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+    this.rng.setSeed(seed);
+
     const roundType = this.selectRoundType();
     const samplesPerSecond = 10; // 10 price points per second for smooth animation
     const totalSamples = durationSeconds * samplesPerSecond;
 
-    let pricePoints;
-    let peakMultiplier;
-
-    switch (roundType) {
-      case 'instant_loss':
-        peakMultiplier = 0;
-        pricePoints = this.generateInstantLoss(totalSamples, durationSeconds);
-        break;
-
-      case 'small_peak':
-        peakMultiplier = this.random(1.1, 1.3);
-        pricePoints = this.generatePeakCurve(totalSamples, durationSeconds, peakMultiplier);
-        break;
-
-      case 'medium_peak':
-        peakMultiplier = this.random(1.5, 2.0);
-        pricePoints = this.generatePeakCurve(totalSamples, durationSeconds, peakMultiplier);
-        break;
+    const generated = this.roundTypes.get(roundType).generate({
+      duration: durationSeconds,
+      samples: totalSamples,
+      generator: this
+    });
 
-      case 'moon_shot':
-        peakMultiplier = this.random(3.0, 5.0);
-        pricePoints = this.generatePeakCurve(totalSamples, durationSeconds, peakMultiplier);
-        break;
+    if (!generated || !Array.isArray(generated.pricePoints) || generated.pricePoints.length === 0) {
+      throw new Error(`Round type "${roundType}" generated no price points`);
     }
 
     return {
+      seed,
+      profile: this.profile.name,
       type: roundType,
-      peakMultiplier,
-      pricePoints,
+      peakMultiplier: generated.peakMultiplier || 0,
+      pricePoints: generated.pricePoints,
       duration: durationSeconds
     };
   }
@@ -66,170 +230,154 @@ export class ChartGenerator {
    * @returns {string} Round type name
    */
   selectRoundType() {
-    const rand = Math.random();
+    const rand = this.rng.next();
     let cumulative = 0;
 
-    for (const [key, value] of Object.entries(this.ROUND_TYPES)) {
-      cumulative += value.probability;
+    for (const [name, type] of this.roundTypes) {
+      cumulative += type.normalizedProbability;
       if (rand <= cumulative) {
-        return value.name;
+        return name;
       }
     }
 
-    return this.ROUND_TYPES.INSTANT_LOSS.name; // Fallback
+    return this.roundTypes.keys().next().value; // Fallback
   }
 
   /**
-   * Generate instant loss curve (random segments until instant crash)
+   * Generate instant loss curve (engine path with no peak until instant crash)
    * @param {number} samples - Number of data points
    * @param {number} duration - Duration in seconds
    * @returns {Array} Price points
    */
   generateInstantLoss(samples, duration) {
-    const pricePoints = [];
-    const tickInterval = 0.1; // 10 points per second
-    const crashTime = duration - this.random(this.endOfRoundCrash[0], this.endOfRoundCrash[1]);
-
-    // Generate opening chaos (1.5-2.5s)
-    const openingDuration = this.random(1.5, 2.5);
-    const openingPoints = this.generateOpeningChaos(openingDuration);
-
-    openingPoints.forEach(point => {
-      pricePoints.push({
-        time: point.time,
-        price: point.price,
-        day: Math.floor(point.time) + 1
-      });
-    });
-
-    let currentPrice = openingPoints[openingPoints.length - 1].price;
-    let currentTime = openingPoints[openingPoints.length - 1].time;
-
-    // Generate random segments until crash time
-    let loopSafety = 0;
-    while (currentTime < crashTime && loopSafety < 1000) {
-      loopSafety++;
+    const crashTime = this.pickCrashTime(duration);
+    const { pricePoints, price, time } = this.generateOpening();
 
-      const segmentDuration = this.random(0.5, 2.0);
-      const actualDuration = Math.min(segmentDuration, crashTime - currentTime);
+    this.fillPath({ pricePoints, startPrice: price, startTime: time, endTime: crashTime });
+    this.appendCrash(pricePoints, crashTime);
 
-      // Skip segments that are too short to generate points
-      if (actualDuration < tickInterval) {
-        currentTime = crashTime;
-        break;
-      }
+    return pricePoints;
+  }
 
-      const segmentType = this.selectSegmentType();
-      const segmentPoints = this.generateSegment(
-        segmentType,
-        currentPrice,
-        currentTime,
-        actualDuration,
-        tickInterval
-      );
+  /**
+   * Generate a peak round with a random peak inside a range
+   * @param {number} samples - Number of data points
+   * @param {number} duration - Duration in seconds
+   * @param {number} minPeak - Lowest peak multiplier
+   * @param {number} maxPeak - Highest peak multiplier
+   * @returns {Object} { peakMultiplier, pricePoints }
+   */
+  generatePeakRound(samples, duration, minPeak, maxPeak) {
+    const peakMultiplier = this.random(minPeak, maxPeak);
+    return {
+      peakMultiplier,
+      pricePoints: this.generatePeakCurve(samples, duration, peakMultiplier)
+    };
+  }
 
-      segmentPoints.forEach(point => {
-        pricePoints.push({
-          time: point.time,
-          price: point.price,
-          day: Math.floor(point.time) + 1
-        });
-      });
+  /**
+   * Generate peak curve (rise to peak along the engine's path, then instant crash)
+   * @param {number} samples - Number of data points
+   * @param {number} duration - Duration in seconds
+   * @param {number} peakMultiplier - Maximum multiplier to reach
+   * @returns {Array} Price points
+   */
+  generatePeakCurve(samples, duration, peakMultiplier) {
+    const crashTime = this.pickCrashTime(duration);
+    const { pricePoints, price, time } = this.generateOpening();
 
-      if (segmentPoints.length > 0) {
-        currentPrice = segmentPoints[segmentPoints.length - 1].price;
-        currentTime = segmentPoints[segmentPoints.length - 1].time;
-      } else {
-        // Safeguard: if no points generated, advance time anyway
-        currentTime += actualDuration;
-      }
-    }
+    // Determine when to hit peak (fraction of remaining time from the profile)
+    const remainingTime = crashTime - time;
+    const peakTime = time + (remainingTime * this.random(...this.profile.peakTiming));
 
-    // Instant vertical crash to 0
-    pricePoints.push({
-      time: crashTime,
-      price: 0,
-      day: Math.floor(crashTime) + 1
+    this.fillPath({
+      pricePoints,
+      startPrice: price,
+      startTime: time,
+      endTime: crashTime,
+      peakTarget: peakMultiplier,
+      peakTime
     });
 
+    this.appendCrash(pricePoints, crashTime);
+
     return pricePoints;
   }
 
   /**
-   * Generate peak curve (rise to peak with random segments, then instant crash)
-   * @param {number} samples - Number of data points
-   * @param {number} duration - Duration in seconds
-   * @param {number} peakMultiplier - Maximum multiplier to reach
-   * @returns {Array} Price points
+   * Building block: fill the window between opening and crash using the profile's price engine
+   * @param {Object} path - { pricePoints, startPrice, startTime, endTime, peakTarget, peakTime }
+   * @returns {Object} { price, time } where the window ended
    */
-  generatePeakCurve(samples, duration, peakMultiplier) {
-    const pricePoints = [];
-    const tickInterval = 0.1; // 10 points per second
-    const crashTime = duration - this.random(this.endOfRoundCrash[0], this.endOfRoundCrash[1]);
+  fillPath(path) {
+    return this.engine.fill(path);
+  }
+
+  /**
+   * Building block: pick the end-of-round crash time
+   * @param {number} duration - Round duration in seconds
+   * @returns {number} Crash time in seconds
+   */
+  pickCrashTime(duration) {
+    return duration - this.random(...this.profile.endOfRoundCrash);
+  }
 
-    // Generate opening chaos (1.5-2.5s)
-    const openingDuration = this.random(1.5, 2.5);
+  /**
+   * Building block: opening chaos as the start of a chart
+   * @returns {Object} { pricePoints, price, time } - points plus where the opening ended
+   */
+  generateOpening() {
+    const openingDuration = this.random(...this.profile.opening.duration);
     const openingPoints = this.generateOpeningChaos(openingDuration);
+    const pricePoints = [];
 
-    openingPoints.forEach(point => {
-      pricePoints.push({
-        time: point.time,
-        price: point.price,
-        day: Math.floor(point.time) + 1
-      });
-    });
+    this.appendPoints(pricePoints, openingPoints);
 
-    let currentPrice = openingPoints[openingPoints.length - 1].price;
-    let currentTime = openingPoints[openingPoints.length - 1].time;
+    const lastPoint = openingPoints[openingPoints.length - 1];
+    return { pricePoints, price: lastPoint.price, time: lastPoint.time };
+  }
 
-    // Determine when to hit peak (30-60% through remaining time)
-    const remainingTime = crashTime - currentTime;
-    const peakTime = currentTime + (remainingTime * this.random(0.3, 0.6));
-    let hasReachedPeak = false;
-    let peakReached = false;
+  /**
+   * Building block: fill a time window with random segments
+   * @param {Array} pricePoints - Chart points to append to
+   * @param {number} startPrice - Price at start of window
+   * @param {number} startTime - Start of window in seconds
+   * @param {number} endTime - End of window in seconds
+   * @param {Function} chooseSegment - (time, price) => { type, peakTarget }, unbiased by default
+   * @returns {Object} { price, time } where the window ended
+   */
+  appendSegments(pricePoints, startPrice, startTime, endTime, chooseSegment = null) {
+    const tickInterval = 0.1; // 10 points per second
+    let currentPrice = startPrice;
+    let currentTime = startTime;
 
-    // Generate random segments, biasing toward peak target
     let loopSafety = 0;
-    while (currentTime < crashTime && loopSafety < 1000) {
+    while (currentTime < endTime && loopSafety < 1000) {
       loopSafety++;
 
-      const segmentDuration = this.random(0.5, 2.0);
-      const actualDuration = Math.min(segmentDuration, crashTime - currentTime);
+      const segmentDuration = this.random(...this.profile.segmentDuration);
+      const actualDuration = Math.min(segmentDuration, endTime - currentTime);
 
       // Skip segments that are too short to generate points
       if (actualDuration < tickInterval) {
-        currentTime = crashTime;
+        currentTime = endTime;
         break;
       }
 
-      // Before peak: bias toward upward segments
-      // After peak: random segments (no crash telegraph)
-      let segmentType;
-      if (currentTime < peakTime && currentPrice < peakMultiplier) {
-        // Approaching peak - favor upward movement
-        segmentType = this.selectSegmentType(true); // upward bias
-      } else {
-        // At or past peak - random segments (no bias)
-        segmentType = this.selectSegmentType(false);
-        peakReached = true;
-      }
+      const { type, peakTarget = null } = chooseSegment
+        ? chooseSegment(currentTime, currentPrice)
+        : { type: this.selectSegmentType() };
 
       const segmentPoints = this.generateSegment(
-        segmentType,
+        type,
         currentPrice,
         currentTime,
         actualDuration,
         tickInterval,
-        peakReached ? null : peakMultiplier // target peak if not reached
+        peakTarget
       );
 
-      segmentPoints.forEach(point => {
-        pricePoints.push({
-          time: point.time,
-          price: point.price,
-          day: Math.floor(point.time) + 1
-        });
-      });
+      this.appendPoints(pricePoints, segmentPoints);
 
       if (segmentPoints.length > 0) {
         currentPrice = segmentPoints[segmentPoints.length - 1].price;
@@ -240,14 +388,35 @@ export class ChartGenerator {
       }
     }
 
-    // Instant vertical crash to 0
+    return { price: currentPrice, time: currentTime };
+  }
+
+  /**
+   * Building block: instant vertical crash to 0
+   * @param {Array} pricePoints - Chart points to append to
+   * @param {number} crashTime - Time of the crash in seconds
+   */
+  appendCrash(pricePoints, crashTime) {
     pricePoints.push({
       time: crashTime,
       price: 0,
       day: Math.floor(crashTime) + 1
     });
+  }
 
-    return pricePoints;
+  /**
+   * Append raw { time, price } points with their day number
+   * @param {Array} pricePoints - Chart points to append to
+   * @param {Array} points - Points to add
+   */
+  appendPoints(pricePoints, points) {
+    points.forEach(point => {
+      pricePoints.push({
+        time: point.time,
+        price: point.price,
+        day: Math.floor(point.time) + 1
+      });
+    });
   }
 
   /**
@@ -261,7 +430,7 @@ export class ChartGenerator {
     const numSwings = Math.floor(duration / tickInterval);
 
     let price = 1.00;
-    let direction = Math.random() > 0.5 ? 1 : -1;
+    let direction = this.rng.next() > 0.5 ? 1 : -1;
 
     points.push({ time: 0, price: 1.00 });
 
@@ -271,7 +440,8 @@ export class ChartGenerator {
       const swingAmount = price * swingPercent * direction;
 
       price = price + swingAmount;
-      price = Math.max(0.25, Math.min(1.60, price)); // Clamp $0.25-$1.60
+      const [minPrice, maxPrice] = this.profile.opening.priceClamp;
+      price = Math.max(minPrice, Math.min(maxPrice, price));
 
       points.push({
         time: i * tickInterval,
@@ -279,7 +449,7 @@ export class ChartGenerator {
       });
 
       // 70% chance to reverse direction (creates unpredictable chop)
-      if (Math.random() < 0.70) {
+      if (this.rng.next() < 0.70) {
         direction *= -1;
       }
     }
@@ -288,30 +458,28 @@ export class ChartGenerator {
   }
 
   /**
-   * Select segment type for chart
+   * Select segment type for chart using the profile's segment weights
    * @param {boolean} upwardBias - If true, favor upward segments
    * @returns {string} Segment type
    */
   selectSegmentType(upwardBias = false) {
-    const rand = Math.random();
-
-    if (upwardBias) {
-      // Favor upward movement when approaching peak
-      if (rand < 0.35) return 'spike_up';       // 35%
-      if (rand < 0.60) return 'gradual_climb';  // 25%
-      if (rand < 0.75) return 'choppy';         // 15%
-      if (rand < 0.85) return 'flat';           // 10%
-      if (rand < 0.95) return 'spike_down';     // 10%
-      return 'gradual_fall';                    // 5%
+    const rand = this.rng.next();
+    const weights = upwardBias
+      ? this.profile.segmentWeights.upwardBias // Favor upward movement when approaching peak
+      : this.profile.segmentWeights.normal;
+
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let cumulative = 0;
+
+    for (const [type, weight] of entries) {
+      cumulative += weight / total;
+      if (rand < cumulative) {
+        return type;
+      }
     }
 
-    // Normal distribution (no bias)
-    if (rand < 0.20) return 'flat';           // 20%
-    if (rand < 0.40) return 'spike_up';       // 20%
-    if (rand < 0.60) return 'spike_down';     // 20%
-    if (rand < 0.75) return 'choppy';         // 15%
-    if (rand < 0.90) return 'gradual_climb';  // 15%
-    return 'gradual_fall';                    // 10%
+    return entries[entries.length - 1][0]; // Fallback
   }
 
   /**
@@ -326,6 +494,7 @@ export class ChartGenerator {
    */
   generateSegment(type, startPrice, startTime, duration, tickInterval, peakTarget = null) {
     const points = [];
+    const floor = this.profile.priceFloor;
     const numTicks = Math.floor(duration / tickInterval);
     let price = startPrice;
 
@@ -336,7 +505,7 @@ export class ChartGenerator {
           price = startPrice + this.random(-0.03, 0.03) * startPrice;
           points.push({
             time: startTime + (i * tickInterval),
-            price: Math.max(0.20, price)
+            price: Math.max(floor, price)
           });
         }
         break;
@@ -358,7 +527,7 @@ export class ChartGenerator {
           }
           points.push({
             time: startTime + (i * tickInterval),
-            price: Math.max(0.20, price)
+            price: Math.max(floor, price)
           });
         }
         break;
@@ -377,21 +546,21 @@ export class ChartGenerator {
           }
           points.push({
             time: startTime + (i * tickInterval),
-            price: Math.max(0.20, price)
+            price: Math.max(floor, price)
           });
         }
         break;
 
       case 'choppy':
         // Violent back and forth
-        let direction = Math.random() > 0.5 ? 1 : -1;
+        let direction = this.rng.next() > 0.5 ? 1 : -1;
         for (let i = 1; i <= numTicks; i++) {
           const swing = this.random(0.08, 0.20) * price * direction;
           price = price + swing;
-          price = Math.max(0.20, price);
+          price = Math.max(floor, price);
 
           // 65% chance to flip direction
-          if (Math.random() < 0.65) direction *= -1;
+          if (this.rng.next() < 0.65) direction *= -1;
 
           points.push({
             time: startTime + (i * tickInterval),
@@ -412,7 +581,7 @@ export class ChartGenerator {
           price = basePrice + this.random(-0.04, 0.04) * basePrice;
           points.push({
             time: startTime + (i * tickInterval),
-            price: Math.max(0.20, price)
+            price: Math.max(floor, price)
           });
         }
         break;
@@ -426,7 +595,7 @@ export class ChartGenerator {
           price = basePrice + this.random(-0.04, 0.04) * basePrice;
           points.push({
             time: startTime + (i * tickInterval),
-            price: Math.max(0.20, price)
+            price: Math.max(floor, price)
           });
         }
         break;
@@ -442,7 +611,7 @@ export class ChartGenerator {
    * @returns {number}
    */
   random(min, max) {
-    return min + Math.random() * (max - min);
+    return min + this.rng.next() * (max - min);
   }
 
   /**
@@ -450,7 +619,7 @@ export class ChartGenerator {
    * @returns {number} Random noise between -1 and 1
    */
   noise() {
-    return (Math.random() - 0.5) * 2;
+    return (this.rng.next() - 0.5) * 2;
   }
 
   /**
@@ -465,27 +634,47 @@ export class ChartGenerator {
   }
 
   /**
-   * Get price at specific time
+   * Get price at specific time (binary search over a cached time index)
    * @param {Array} pricePoints - Chart price points
    * @param {number} currentTime - Current time in seconds
    * @returns {number} Interpolated price
    */
   getPriceAtTime(pricePoints, currentTime) {
     if (!pricePoints || pricePoints.length === 0) return 1.0;
-    if (currentTime <= 0) return pricePoints[0].price;
-    if (currentTime >= pricePoints[pricePoints.length - 1].time) {
-      return pricePoints[pricePoints.length - 1].price;
-    }
+    return this.getPriceIndex(pricePoints).priceAt(currentTime);
+  }
 
-    // Find surrounding points and interpolate
-    for (let i = 0; i < pricePoints.length - 1; i++) {
-      if (pricePoints[i].time <= currentTime && pricePoints[i + 1].time > currentTime) {
-        const t = (currentTime - pricePoints[i].time) /
-                  (pricePoints[i + 1].time - pricePoints[i].time);
-        return pricePoints[i].price + t * (pricePoints[i + 1].price - pricePoints[i].price);
-      }
+  /**
+   * Get (or build) the time index for a chart
+   * @param {Array} pricePoints - Chart price points
+   * @returns {PriceIndex}
+   */
+  getPriceIndex(pricePoints) {
+    let index = this.priceIndexes.get(pricePoints);
+    if (!index || index.length !== pricePoints.length) {
+      index = new PriceIndex(pricePoints);
+      this.priceIndexes.set(pricePoints, index);
     }
+    return index;
+  }
+
+  /**
+   * Create a forward-only price cursor for live playback of a chart
+   * @param {Array} pricePoints - Chart price points
+   * @returns {PriceCursor}
+   */
+  createPriceCursor(pricePoints) {
+    return this.getPriceIndex(pricePoints).cursor();
+  }
 
-    return pricePoints[pricePoints.length - 1].price;
+  /**
+   * Get the time of the end-of-round crash
+   * @param {Array} pricePoints - Chart price points
+   * @returns {number|null} Time of the first $0 point, null if none
+   */
+  getCrashTime(pricePoints) {
+    if (!pricePoints) return null;
+    const crashPoint = pricePoints.find(point => point.price === 0);
+    return crashPoint ? crashPoint.time : null;
   }
 }
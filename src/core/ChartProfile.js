@@ -0,0 +1,308 @@
+/**
+ * ChartProfile - Declarative tuning for chart generation and round timing
+ * Profiles are plain JSON objects, validated before they reach ChartGenerator
+ */
+import { PRICE_ENGINES } from './engines/PriceEngines.js';
+
+export const SEGMENT_TYPES = [
+  'flat',
+  'spike_up',
+  'spike_down',
+  'choppy',
+  'gradual_climb',
+  'gradual_fall'
+];
+
+export const DEFAULT_PROFILE = {
+  name: 'default',
+
+  // Round length in whole seconds [min, max]
+  roundDuration: [15, 18],
+
+  // How many seconds before round end to crash [min, max]
+  endOfRoundCrash: [1, 5],
+
+  // Relative weights; peakRange makes a peak round, no peakRange an instant loss
+  roundTypes: {
+    instant_loss: { probability: 0.40 },
+    small_peak: { probability: 0.35, peakRange: [1.1, 1.3] },
+    medium_peak: { probability: 0.20, peakRange: [1.5, 2.0] },
+    moon_shot: { probability: 0.05, peakRange: [3.0, 5.0] }
+  },
+
+  // Price model between opening and crash: segments, gbm, jump_diffusion or regime_switching
+  engine: {
+    type: 'segments',
+    params: {}
+  },
+
+  // When the peak is hit, as a fraction of the time between opening and crash
+  peakTiming: [0.3, 0.6],
+
+  opening: {
+    duration: [1.5, 2.5],
+    priceClamp: [0.25, 1.60]
+  },
+
+  // Lowest price any segment can reach before the crash
+  priceFloor: 0.20,
+
+  segmentDuration: [0.5, 2.0],
+
+  segmentWeights: {
+    normal: {
+      flat: 0.20,
+      spike_up: 0.20,
+      spike_down: 0.20,
+      choppy: 0.15,
+      gradual_climb: 0.15,
+      gradual_fall: 0.10
+    },
+    upwardBias: {
+      spike_up: 0.35,
+      gradual_climb: 0.25,
+      choppy: 0.15,
+      flat: 0.10,
+      spike_down: 0.10,
+      gradual_fall: 0.05
+    }
+  }
+};
+
+const PROFILE_KEYS = Object.keys(DEFAULT_PROFILE);
+
+export class ChartProfile {
+  /**
+   * Parse and validate a profile from JSON text
+   * @param {string} json
+   * @returns {Object} Validated profile
+   */
+  static fromJSON(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (e) {
+      throw ChartProfile.createError([`Profile is not valid JSON: ${e.message}`]);
+    }
+    return ChartProfile.load(parsed);
+  }
+
+  /**
+   * Validate a profile object, filling omitted top-level sections from the default
+   * @param {Object} profile
+   * @returns {Object} Validated, frozen profile
+   */
+  static load(profile) {
+    if (!ChartProfile.isObject(profile)) {
+      throw ChartProfile.createError(['Profile must be an object']);
+    }
+
+    const merged = { ...ChartProfile.clone(DEFAULT_PROFILE), ...ChartProfile.clone(profile) };
+    const { valid, errors } = ChartProfile.validate(merged);
+    if (!valid) {
+      throw ChartProfile.createError(errors);
+    }
+
+    return ChartProfile.deepFreeze(merged);
+  }
+
+  /**
+   * Validate a complete profile against the schema
+   * @param {Object} profile
+   * @returns {Object} { valid, errors }
+   */
+  static validate(profile) {
+    const errors = [];
+
+    if (!ChartProfile.isObject(profile)) {
+      return { valid: false, errors: ['Profile must be an object'] };
+    }
+
+    for (const key of Object.keys(profile)) {
+      if (!PROFILE_KEYS.includes(key)) {
+        errors.push(`${key}: unknown setting`);
+      }
+    }
+
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+      errors.push('name: must be a non-empty string');
+    }
+
+    ChartProfile.checkRange(errors, 'roundDuration', profile.roundDuration, { min: 1, integer: true });
+    ChartProfile.checkRange(errors, 'endOfRoundCrash', profile.endOfRoundCrash, { min: 0 });
+    ChartProfile.checkRange(errors, 'peakTiming', profile.peakTiming, { min: 0, max: 1 });
+    ChartProfile.checkRange(errors, 'segmentDuration', profile.segmentDuration, { min: 0.1 });
+    ChartProfile.checkNumber(errors, 'priceFloor', profile.priceFloor, { min: 0 });
+
+    // Round types
+    if (!ChartProfile.isObject(profile.roundTypes) || Object.keys(profile.roundTypes).length === 0) {
+      errors.push('roundTypes: must be an object with at least one round type');
+    } else {
+      let total = 0;
+      for (const [name, type] of Object.entries(profile.roundTypes)) {
+        const path = `roundTypes.${name}`;
+        if (!ChartProfile.isObject(type)) {
+          errors.push(`${path}: must be an object`);
+          continue;
+        }
+        for (const key of Object.keys(type)) {
+          if (key !== 'probability' && key !== 'peakRange') {
+            errors.push(`${path}.${key}: unknown setting`);
+          }
+        }
+        if (ChartProfile.checkNumber(errors, `${path}.probability`, type.probability, { min: 0 })) {
+          total += type.probability;
+        }
+        if (type.peakRange !== undefined) {
+          ChartProfile.checkRange(errors, `${path}.peakRange`, type.peakRange, { min: 0 });
+        }
+      }
+      if (total <= 0) {
+        errors.push('roundTypes: total probability must be greater than 0');
+      }
+    }
+
+    // Opening chaos
+    if (!ChartProfile.isObject(profile.opening)) {
+      errors.push('opening: must be an object with duration and priceClamp');
+    } else {
+      ChartProfile.checkRange(errors, 'opening.duration', profile.opening.duration, { min: 0.15 });
+      ChartProfile.checkRange(errors, 'opening.priceClamp', profile.opening.priceClamp, { min: 0 });
+    }
+
+    // Segment weights
+    if (!ChartProfile.isObject(profile.segmentWeights)) {
+      errors.push('segmentWeights: must be an object with normal and upwardBias');
+    } else {
+      for (const bias of ['normal', 'upwardBias']) {
+        ChartProfile.checkWeights(errors, `segmentWeights.${bias}`, profile.segmentWeights[bias]);
+      }
+    }
+
+    // Price engine
+    if (!ChartProfile.isObject(profile.engine)) {
+      errors.push('engine: must be an object with type and params');
+    } else {
+      const engineTypes = Object.keys(PRICE_ENGINES);
+      const { type, params = {} } = profile.engine;
+      for (const key of Object.keys(profile.engine)) {
+        if (key !== 'type' && key !== 'params') {
+          errors.push(`engine.${key}: unknown setting`);
+        }
+      }
+      if (!engineTypes.includes(type)) {
+        errors.push(`engine.type: must be one of ${engineTypes.join(', ')}, got ${JSON.stringify(type)}`);
+      } else if (!ChartProfile.isObject(params)) {
+        errors.push('engine.params: must be an object');
+      } else {
+        PRICE_ENGINES[type].validateParams(params, 'engine.params', errors);
+      }
+    }
+
+    // The crash has to land after the opening, or the chart runs backwards
+    if (errors.length === 0) {
+      const earliestCrash = profile.roundDuration[0] - profile.endOfRoundCrash[1];
+      if (earliestCrash <= profile.opening.duration[1]) {
+        errors.push(
+          `roundDuration/endOfRoundCrash: earliest crash at ${earliestCrash}s must come after ` +
+          `the opening (up to ${profile.opening.duration[1]}s)`
+        );
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check a [min, max] range
+   * @returns {boolean} True if valid
+   */
+  static checkRange(errors, path, value, { min = -Infinity, max = Infinity, integer = false } = {}) {
+    const isValidNumber = n => typeof n === 'number' && Number.isFinite(n) &&
+                               (!integer || Number.isInteger(n)) && n >= min && n <= max;
+
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isValidNumber)) {
+      const kind = integer ? 'integers' : 'numbers';
+      errors.push(`${path}: must be [min, max] ${kind} ${ChartProfile.describeBounds(min, max)}, got ${JSON.stringify(value)}`);
+      return false;
+    }
+
+    if (value[0] > value[1]) {
+      errors.push(`${path}: min ${value[0]} is greater than max ${value[1]}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a single number
+   * @returns {boolean} True if valid
+   */
+  static checkNumber(errors, path, value, { min = -Infinity, max = Infinity } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${path}: must be a number ${ChartProfile.describeBounds(min, max)}, got ${JSON.stringify(value)}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check a segment weight table
+   */
+  static checkWeights(errors, path, weights) {
+    if (!ChartProfile.isObject(weights)) {
+      errors.push(`${path}: must be an object of segment type weights`);
+      return;
+    }
+
+    let total = 0;
+    for (const [type, weight] of Object.entries(weights)) {
+      if (!SEGMENT_TYPES.includes(type)) {
+        errors.push(`${path}.${type}: unknown segment type (expected one of ${SEGMENT_TYPES.join(', ')})`);
+      } else if (ChartProfile.checkNumber(errors, `${path}.${type}`, weight, { min: 0 })) {
+        total += weight;
+      }
+    }
+
+    if (total <= 0) {
+      errors.push(`${path}: total weight must be greater than 0`);
+    }
+  }
+
+  /**
+   * Describe numeric bounds for error messages
+   * @returns {string}
+   */
+  static describeBounds(min, max) {
+    if (max === Infinity) return `>= ${min}`;
+    return `between ${min} and ${max}`;
+  }
+
+  /**
+   * Build a validation error carrying every problem found
+   * @param {Array} errors
+   * @returns {Error}
+   */
+  static createError(errors) {
+    const error = new Error(`Invalid chart profile:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    return error;
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  static deepFreeze(value) {
+    if (value && typeof value === 'object') {
+      Object.values(value).forEach(v => ChartProfile.deepFreeze(v));
+      Object.freeze(value);
+    }
+    return value;
+  }
+}
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { ChartProfile, DEFAULT_PROFILE } from './ChartProfile.js';
+
+// Validation errors for the default profile with some settings replaced
+function errorsFor(overrides) {
+  try {
+    ChartProfile.load({ ...DEFAULT_PROFILE, ...overrides });
+  } catch (e) {
+    return e.errors;
+  }
+  return [];
+}
+
+function roundTypes(types) {
+  return { roundTypes: { instant_loss: { probability: 0.4 }, ...types } };
+}
+
+describe('ChartProfile.load', () => {
+  it('fills omitted sections from the default and freezes the result', () => {
+    const profile = ChartProfile.load({ name: 'short', roundDuration: [10, 12] });
+
+    expect(profile.roundDuration).toEqual([10, 12]);
+    expect(profile.roundTypes).toEqual(DEFAULT_PROFILE.roundTypes);
+    expect(Object.isFrozen(profile.roundTypes.small_peak.peakRange)).toBe(true);
+  });
+
+  it('lists every problem in one error', () => {
+    expect(() => ChartProfile.load({ name: '', priceFloor: -1 })).toThrow(
+      'Invalid chart profile:\n  - name: must be a non-empty string\n  - priceFloor: must be a number >= 0, got -1'
+    );
+  });
+
+  it.each([
+    ['a non-object', null, 'Profile must be an object'],
+    ['invalid JSON', '{ name: ', 'Profile is not valid JSON']
+  ])('rejects %s', (_, input, message) => {
+    const load = () => (typeof input === 'string' ? ChartProfile.fromJSON(input) : ChartProfile.load(input));
+    expect(load).toThrow(message);
+  });
+});
+
+describe('ChartProfile validation', () => {
+  it.each([
+    [
+      'unknown settings',
+      { speed: 2 },
+      'speed: unknown setting'
+    ],
+    [
+      'fractional round durations',
+      { roundDuration: [15.5, 18] },
+      'roundDuration: must be [min, max] integers >= 1, got [15.5,18]'
+    ],
+    [
+      'a range with min above max',
+      { endOfRoundCrash: [5, 1] },
+      'endOfRoundCrash: min 5 is greater than max 1'
+    ],
+    [
+      'a range that is not a pair',
+      { segmentDuration: [1] },
+      'segmentDuration: must be [min, max] numbers >= 0.1, got [1]'
+    ],
+    [
+      'peak timing outside 0-1',
+      { peakTiming: [0.3, 1.5] },
+      'peakTiming: must be [min, max] numbers between 0 and 1, got [0.3,1.5]'
+    ],
+    [
+      'a missing probability',
+      roundTypes({ small_peak: { peakRange: [1.1, 1.3] } }),
+      'roundTypes.small_peak.probability: must be a number >= 0, got undefined'
+    ],
+    [
+      'a negative probability',
+      roundTypes({ small_peak: { probability: -0.1, peakRange: [1.1, 1.3] } }),
+      'roundTypes.small_peak.probability: must be a number >= 0, got -0.1'
+    ],
+    [
+      'probabilities that add up to 0',
+      { roundTypes: { instant_loss: { probability: 0 } } },
+      'roundTypes: total probability must be greater than 0'
+    ],
+    [
+      'no round types',
+      { roundTypes: {} },
+      'roundTypes: must be an object with at least one round type'
+    ],
+    [
+      'an inverted peak range',
+      roundTypes({ small_peak: { probability: 0.35, peakRange: [1.3, 1.1] } }),
+      'roundTypes.small_peak.peakRange: min 1.3 is greater than max 1.1'
+    ],
+    [
+      'a negative peak range',
+      roundTypes({ small_peak: { probability: 0.35, peakRange: [-1, 1.3] } }),
+      'roundTypes.small_peak.peakRange: must be [min, max] numbers >= 0, got [-1,1.3]'
+    ],
+    [
+      'unknown round type settings',
+      roundTypes({ small_peak: { probability: 0.35, peak: 2 } }),
+      'roundTypes.small_peak.peak: unknown setting'
+    ],
+    [
+      'a missing opening',
+      { opening: null },
+      'opening: must be an object with duration and priceClamp'
+    ],
+    [
+      'an opening too short to sample',
+      { opening: { duration: [0.1, 2], priceClamp: [0.25, 1.6] } },
+      'opening.duration: must be [min, max] numbers >= 0.15, got [0.1,2]'
+    ],
+    [
+      'unknown segment types',
+      { segmentWeights: { ...DEFAULT_PROFILE.segmentWeights, normal: { flat: 1, zigzag: 1 } } },
+      'segmentWeights.normal.zigzag: unknown segment type (expected one of flat, spike_up, spike_down, choppy, gradual_climb, gradual_fall)'
+    ],
+    [
+      'segment weights that add up to 0',
+      { segmentWeights: { ...DEFAULT_PROFILE.segmentWeights, upwardBias: { flat: 0 } } },
+      'segmentWeights.upwardBias: total weight must be greater than 0'
+    ],
+    [
+      'an unknown engine',
+      { engine: { type: 'heston', params: {} } },
+      'engine.type: must be one of segments, gbm, jump_diffusion, regime_switching, got "heston"'
+    ],
+    [
+      'unknown engine settings',
+      { engine: { type: 'gbm', params: {}, seed: 1 } },
+      'engine.seed: unknown setting'
+    ],
+    [
+      'engine params that are not an object',
+      { engine: { type: 'gbm', params: [] } },
+      'engine.params: must be an object'
+    ],
+    [
+      'out-of-range engine params',
+      { engine: { type: 'gbm', params: { volatility: -1 } } },
+      'engine.params.volatility: must be a number >= 0, got -1'
+    ],
+    [
+      'a crash that can land inside the opening',
+      { roundDuration: [5, 8], endOfRoundCrash: [1, 3] },
+      'roundDuration/endOfRoundCrash: earliest crash at 2s must come after the opening (up to 2.5s)'
+    ]
+  ])('rejects %s', (_, overrides, message) => {
+    expect(errorsFor(overrides)).toEqual([message]);
+  });
+
+  it('accepts the default profile', () => {
+    expect(ChartProfile.validate(ChartProfile.clone(DEFAULT_PROFILE))).toEqual({ valid: true, errors: [] });
+  });
+});
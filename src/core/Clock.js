@@ -0,0 +1,181 @@
+/**
+ * Clock - Time and scheduling used by RoundTimer and GameController
+ * RealClock runs on wall time; ManualClock runs on virtual time stepped by tests and simulations
+ *
+ * Interface: now(), setTimeout(fn, ms), clearTimeout(id), requestFrame(fn), cancelFrame(id), sleep(ms)
+ */
+
+// Captured before anything (e.g. fake timers) can patch them
+const realSetTimeout = globalThis.setTimeout.bind(globalThis);
+const realSetImmediate = typeof globalThis.setImmediate === 'function'
+  ? globalThis.setImmediate.bind(globalThis)
+  : null;
+
+export class RealClock {
+  constructor() {
+    this.useAnimationFrame = typeof globalThis.requestAnimationFrame === 'function';
+    this.frameInterval = 1000 / 60;
+  }
+
+  /**
+   * Current time in milliseconds
+   * @returns {number}
+   */
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(callback, ms) {
+    return globalThis.setTimeout(callback, ms);
+  }
+
+  clearTimeout(id) {
+    globalThis.clearTimeout(id);
+  }
+
+  /**
+   * Schedule a callback for the next animation frame (timer fallback outside the browser)
+   * @param {Function} callback
+   * @returns {number} Frame id
+   */
+  requestFrame(callback) {
+    if (this.useAnimationFrame) {
+      return globalThis.requestAnimationFrame(callback);
+    }
+    return globalThis.setTimeout(() => callback(this.now()), this.frameInterval);
+  }
+
+  cancelFrame(id) {
+    if (this.useAnimationFrame) {
+      globalThis.cancelAnimationFrame(id);
+    } else {
+      globalThis.clearTimeout(id);
+    }
+  }
+
+  /**
+   * @param {number} ms
+   * @returns {Promise}
+   */
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+}
+
+export class ManualClock {
+  /**
+   * @param {Object} options
+   * @param {number} options.startTime - Initial virtual time in milliseconds
+   * @param {number} options.frameInterval - Virtual milliseconds between animation frames
+   */
+  constructor({ startTime = 0, frameInterval = 1000 / 60 } = {}) {
+    this.time = startTime;
+    this.frameInterval = frameInterval;
+    this.timers = [];
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, ms = 0) {
+    const id = this.nextId++;
+    this.timers.push({ id, at: this.time + Math.max(0, ms), callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  requestFrame(callback) {
+    return this.setTimeout(() => callback(this.time), this.frameInterval);
+  }
+
+  cancelFrame(id) {
+    this.clearTimeout(id);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  /**
+   * Number of scheduled timers and frames
+   * @returns {number}
+   */
+  pendingCount() {
+    return this.timers.length;
+  }
+
+  /**
+   * Move virtual time forward, firing every timer that comes due in order
+   * Yields to pending async work between timers so awaited code can schedule its next step
+   * @param {number} ms
+   * @returns {Promise}
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+
+    for (;;) {
+      await ManualClock.flush();
+      const timer = this.takeNextTimer(target);
+      if (!timer) break;
+
+      this.time = timer.at;
+      timer.callback();
+    }
+
+    this.time = target;
+    await ManualClock.flush();
+  }
+
+  /**
+   * Jump straight to the next timer and fire it
+   * @returns {Promise<boolean>} False if nothing was scheduled
+   */
+  async runNext() {
+    await ManualClock.flush();
+    const timer = this.takeNextTimer(Infinity);
+    if (!timer) return false;
+
+    this.time = Math.max(this.time, timer.at);
+    timer.callback();
+    await ManualClock.flush();
+    return true;
+  }
+
+  /**
+   * Remove and return the earliest timer due at or before a time
+   * @param {number} until
+   * @returns {Object|null}
+   */
+  takeNextTimer(until) {
+    let next = null;
+    for (const timer of this.timers) {
+      if (timer.at <= until && (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id))) {
+        next = timer;
+      }
+    }
+
+    if (next) {
+      this.timers = this.timers.filter(timer => timer !== next);
+    }
+    return next;
+  }
+
+  /**
+   * Let pending promise continuations run
+   * @returns {Promise}
+   */
+  static flush() {
+    return new Promise(resolve => {
+      if (realSetImmediate) {
+        realSetImmediate(resolve);
+      } else {
+        realSetTimeout(resolve, 0);
+      }
+    });
+  }
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { ManualClock } from './Clock.js';
+
+describe('ManualClock', () => {
+  it('fires timers in order as virtual time advances', async () => {
+    const clock = new ManualClock({ startTime: 1000 });
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 200);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+    const cancelled = clock.setTimeout(() => fired.push(['c', clock.now()]), 150);
+    clock.clearTimeout(cancelled);
+
+    await clock.advance(150);
+    expect(fired).toEqual([['a', 1100]]);
+    expect(clock.now()).toBe(1150);
+
+    await clock.advance(100);
+    expect(fired).toEqual([['a', 1100], ['b', 1200]]);
+    expect(clock.pendingCount()).toBe(0);
+  });
+
+  it('lets awaited code schedule its next step while advancing', async () => {
+    const clock = new ManualClock();
+    const ticks = [];
+    const loop = (async () => {
+      for (let i = 0; i < 3; i++) {
+        await clock.sleep(1000);
+        ticks.push(clock.now());
+      }
+    })();
+
+    await clock.advance(3000);
+    await loop;
+
+    expect(ticks).toEqual([1000, 2000, 3000]);
+  });
+
+  it('jumps to the next timer with runNext', async () => {
+    const clock = new ManualClock({ frameInterval: 20 });
+    let frameTime = null;
+    clock.requestFrame(time => { frameTime = time; });
+
+    expect(await clock.runNext()).toBe(true);
+    expect(frameTime).toBe(20);
+    expect(await clock.runNext()).toBe(false);
+  });
+});
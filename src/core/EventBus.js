@@ -0,0 +1,143 @@
+/**
+ * EventBus - Named events with subscribe, unsubscribe, one-shot and wildcard listeners
+ * A throwing listener doesn't stop the others (or the caller); its error is reported instead
+ */
+
+// Subscribe to this name to hear every event
+export const WILDCARD = '*';
+
+export class EventBus {
+  /**
+   * @param {Array} events - Event names that can be emitted and subscribed to
+   * @param {Object} options
+   * @param {Function} options.onError - Called with (error, event, data) when a listener throws
+   */
+  constructor(events, options = {}) {
+    this.onError = options.onError || null;
+    this.listeners = {};
+    events.forEach(event => {
+      this.listeners[event] = [];
+    });
+    this.listeners[WILDCARD] = [];
+  }
+
+  /**
+   * Subscribe to an event
+   * Listeners are called with (data, event), so a wildcard listener can tell events apart
+   * @param {string} event - Event name, or '*' for all events
+   * @param {Function} callback
+   * @returns {Function} Unsubscribes the listener
+   * @throws {Error} For an unknown event name or a non-function listener
+   */
+  on(event, callback) {
+    this.getListeners(event);
+    if (typeof callback !== 'function') {
+      throw new Error(`Listener for "${event}" must be a function`);
+    }
+
+    this.listeners[event].push({ callback, once: false });
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Subscribe to the next emit of an event only
+   * @param {string} event - Event name, or '*' for the next event of any kind
+   * @param {Function} callback
+   * @returns {Function} Unsubscribes the listener (if it hasn't fired yet)
+   */
+  once(event, callback) {
+    this.on(event, callback);
+    const listeners = this.listeners[event];
+    listeners[listeners.length - 1].once = true;
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Unsubscribe a listener (the earliest subscription if it was added twice)
+   * @param {string} event
+   * @param {Function} callback
+   * @returns {boolean} True if the listener was subscribed
+   */
+  off(event, callback) {
+    const listeners = this.getListeners(event);
+    const index = listeners.findIndex(listener => listener.callback === callback);
+    if (index === -1) return false;
+
+    listeners.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Call the event's listeners, then the wildcard listeners
+   * Listeners added or removed during an emit take effect from the next one
+   * @param {string} event
+   * @param {*} data
+   * @returns {number} Listeners that threw
+   */
+  emit(event, data) {
+    if (event === WILDCARD) {
+      throw new Error('Cannot emit the wildcard event');
+    }
+
+    const listeners = [...this.getListeners(event), ...this.listeners[WILDCARD]];
+    let failures = 0;
+
+    listeners.forEach(listener => {
+      if (listener.once) {
+        this.removeListener(listener);
+      }
+
+      try {
+        listener.callback(data, event);
+      } catch (error) {
+        failures++;
+        this.reportError(error, event, data);
+      }
+    });
+
+    return failures;
+  }
+
+  /**
+   * @param {string} event - Event name, or '*'
+   * @returns {number} Subscribed listeners
+   */
+  listenerCount(event) {
+    return this.getListeners(event).length;
+  }
+
+  /**
+   * @returns {Array} Event names that can be emitted
+   */
+  getEvents() {
+    return Object.keys(this.listeners).filter(event => event !== WILDCARD);
+  }
+
+  getListeners(event) {
+    const listeners = this.listeners[event];
+    if (!listeners) {
+      throw new Error(`Unknown event "${event}"`);
+    }
+    return listeners;
+  }
+
+  removeListener(listener) {
+    Object.values(this.listeners).forEach(listeners => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    });
+  }
+
+  reportError(error, event, data) {
+    if (!this.onError) {
+      console.error(`Listener for "${event}" failed:`, error);
+      return;
+    }
+
+    try {
+      this.onError(error, event, data);
+    } catch (e) {
+      console.error('Event error handler failed:', e);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { EventBus, WILDCARD } from './EventBus.js';
+
+function createBus(options) {
+  return new EventBus(['tick', 'end'], options);
+}
+
+describe('EventBus', () => {
+  it('calls listeners with the data and the event name', () => {
+    const bus = createBus();
+    const calls = [];
+    bus.on('tick', (data, event) => calls.push([event, data]));
+
+    bus.emit('tick', 1);
+    bus.emit('end', 2);
+
+    expect(calls).toEqual([['tick', 1]]);
+  });
+
+  it('unsubscribes with off or the returned function', () => {
+    const bus = createBus();
+    const calls = [];
+    const listener = data => calls.push(data);
+    const unsubscribe = bus.on('tick', listener);
+    bus.on('tick', listener);
+
+    expect(bus.off('tick', listener)).toBe(true);
+    bus.emit('tick', 1);
+    unsubscribe();
+    bus.emit('tick', 2);
+
+    expect(calls).toEqual([1]);
+    expect(bus.listenerCount('tick')).toBe(0);
+    expect(bus.off('tick', listener)).toBe(false);
+  });
+
+  it('fires once listeners a single time', () => {
+    const bus = createBus();
+    const calls = [];
+    bus.once('tick', data => calls.push(data));
+    bus.once(WILDCARD, (data, event) => calls.push(event));
+
+    bus.emit('tick', 1);
+    bus.emit('tick', 2);
+
+    expect(calls).toEqual([1, 'tick']);
+    expect(bus.listenerCount(WILDCARD)).toBe(0);
+  });
+
+  it('hears every event on the wildcard, after the named listeners', () => {
+    const bus = createBus();
+    const calls = [];
+    bus.on(WILDCARD, (data, event) => calls.push(`*:${event}`));
+    bus.on('end', () => calls.push('end'));
+
+    bus.emit('tick');
+    bus.emit('end');
+
+    expect(calls).toEqual(['*:tick', 'end', '*:end']);
+  });
+
+  it('keeps calling the other listeners when one throws', () => {
+    const errors = [];
+    const bus = createBus({ onError: (error, event, data) => errors.push([error.message, event, data]) });
+    const calls = [];
+    bus.on('tick', () => { throw new Error('boom'); });
+    bus.on('tick', data => calls.push(data));
+
+    expect(bus.emit('tick', 7)).toBe(1);
+    expect(calls).toEqual([7]);
+    expect(errors).toEqual([['boom', 'tick', 7]]);
+  });
+
+  it('applies changes made during an emit from the next one', () => {
+    const bus = createBus();
+    const calls = [];
+    bus.on('tick', () => {
+      calls.push('first');
+      bus.on('tick', () => calls.push('added'));
+    });
+
+    bus.emit('tick');
+    expect(calls).toEqual(['first']);
+  });
+
+  it('rejects unknown events, bad listeners and emitting the wildcard', () => {
+    const bus = createBus();
+
+    expect(() => bus.on('tock', () => {})).toThrow('Unknown event "tock"');
+    expect(() => bus.on('tick', 'nope')).toThrow('Listener for "tick" must be a function');
+    expect(() => bus.emit(WILDCARD)).toThrow('Cannot emit the wildcard event');
+    expect(bus.getEvents()).toEqual(['tick', 'end']);
+  });
+});
@@ -5,20 +5,97 @@ import { ChartGenerator } from './ChartGenerator.js';
 import { InvestmentManager } from './InvestmentManager.js';
 import { BalanceManager } from './BalanceManager.js';
 import { RoundTimer } from './RoundTimer.js';
+import { ProvablyFair } from './ProvablyFair.js';
+import { ChartProfile } from './ChartProfile.js';
+import { OrderBook } from './OrderBook.js';
+import { SideBetBook } from './SideBetBook.js';
+import { PlayerStore, SAVE_VERSION } from './PlayerStore.js';
+import { Ledger } from './Ledger.js';
+import { RoundArchive } from './RoundArchive.js';
+import { Money } from './Money.js';
+import { RoundStateMachine } from './RoundStateMachine.js';
+import { EventBus } from './EventBus.js';
+import { RealClock } from './Clock.js';
+
+// Round pacing
+const COUNTDOWN_SECONDS = 3; // before each round, while side bets are open
+const RESTART_SECONDS = 3; // results shown before the next countdown
+
+// Events listeners can subscribe to, plus '*' for all of them (see README "Event System")
+const EVENTS = [
+  'stateChange', 'countdownTick', 'priceUpdate', 'autoInvest', 'doubleDown', 'cashOut',
+  'orderFilled', 'liquidation', 'crash', 'roundEnd', 'balanceUpdate', 'statsUpdate', 'listenerError'
+];
+
+// Bankruptcy terms
+const BAILOUT_AMOUNT = 100;
+const BAILOUT_COOLDOWN = 24 * 60 * 60 * 1000; // one bailout per day (ms)
+const LOAN_LIMIT = 1000; // most the loan shark lets you owe
+const LOAN_INTEREST_RATE = 0.1; // added to the debt every round
+const LOAN_REPAYMENT_SHARE = 0.5; // of every cash out, until the debt is paid
+
+// Transactions that pay for positions, and that pay positions out
+const ENTRY_REASONS = ['investment', 'short_margin'];
+const CLOSE_REASONS = ['cash_out', 'partial_cash_out', 'short_payout'];
 
 export class GameController {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.clock - Time and scheduling (RealClock by default, ManualClock for tests)
+   * @param {Storage|null} options.storage - Persistence for the player's progress (localStorage by default, null for none)
+   * @param {Ledger|null} options.ledger - Full transaction history (IndexedDB by default, null for none)
+   * @param {RoundArchive|null} options.archive - Finished rounds with price paths (IndexedDB by default, null for none)
+   * @param {Object} options.logger - Debug output with a log() method (console by default)
+   * @param {boolean} options.autoRestart - Start the next round automatically after results
+   * @param {number} options.maxLeverage - Highest leverage the player can pick (10x by default)
+   * @param {number} options.houseMargin - House margin on side bet payouts (5% by default)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || new RealClock();
+    this.logger = options.logger || console;
+    this.autoRestart = options.autoRestart !== false;
+    this.restartTimerId = null;
     this.chartGenerator = new ChartGenerator();
     this.investmentManager = new InvestmentManager();
-    this.balanceManager = new BalanceManager(1000);
-    this.roundTimer = new RoundTimer();
+    this.orderBook = new OrderBook();
+    this.sideBets = new SideBetBook({ houseMargin: options.houseMargin });
+    SideBetBook.samplePeaks(this.chartGenerator); // prices the peak markets before the first countdown
+    this.playerStore = new PlayerStore(options.storage, { clock: this.clock });
+    this.ledger = options.ledger !== undefined ? options.ledger : new Ledger();
+    this.archive = options.archive !== undefined ? options.archive : new RoundArchive();
+    this.balanceManager = new BalanceManager(1000, {
+      clock: this.clock,
+      onChange: () => this.savePlayer(),
+      onTransaction: (transaction) => this.onTransaction(transaction)
+    });
+    this.roundTimer = new RoundTimer(this.clock);
+    this.provablyFair = new ProvablyFair();
 
-    this.state = 'idle'; // idle, countdown, active, results
+    this.stateMachine = new RoundStateMachine(this.clock); // idle, countdown, active, settling, results, broke
     this.currentRound = null;
     this.currentCoinName = null;
     this.animationFrameId = null;
+    this.priceCursor = null;
+    this.currentFrame = null; // { time, price, day } sampled once per animation frame
+    this.lastOrderCheckTime = 0;
     this.betAmount = 100;
+    this.roundBet = null; // bet when the current round started (the setting can change mid-round)
+    this.entryAmount = null; // amount for extra entries, null = bet amount
+    this.leverage = 1; // exposure multiple for new entries
+    this.maxLeverage = options.maxLeverage || 10;
+    this.sitOut = false; // skip the auto-invest, the player can still enter late
+    this.lastBailoutAt = null;
+    this.prestige = 0; // prestige resets taken
     this.lastCashOutResult = null;
+    this.crashEmitted = false; // 'crash' goes out once per round
+    this.lastListenerError = null; // { key, entry } of the last listener error, to count repeats
+    this.roundLoanRepayment = 0; // paid to the loan shark from this round's cash outs
+    this.roundBooks = { paidInCents: 0, paidOutCents: 0 }; // this round's position money, from the transactions
+    this.currentCommitment = null;
+    this.lastReveal = null;
+    this.lastRevealedRound = null;
+    this.lastRevealedProfile = null;
+    this.pendingProfile = null;
 
     // Track wins and losses
     this.stats = {
@@ -26,12 +103,9 @@ export class GameController {
       losses: 0
     };
 
-    this.listeners = {
-      stateChange: [],
-      priceUpdate: [],
-      roundEnd: [],
-      balanceUpdate: []
-    };
+    this.events = new EventBus(EVENTS, {
+      onError: (error, event) => this.onListenerError(error, event)
+    });
 
     this.memeCoins = [
       '$COPE', '$FOMO', '$YOLO', '$MOON', '$REKT',
@@ -41,44 +115,209 @@ export class GameController {
     ];
 
     this.lastCoinName = null;
+
+    // Pick up where the player left off
+    this.restoringPlayer = false;
+    this.loadPlayer();
+  }
+
+  /**
+   * Current round state (changed only through the state machine)
+   * @returns {string}
+   */
+  get state() {
+    return this.stateMachine.state;
+  }
+
+  /**
+   * Run a player action if the current state allows it, and log it with its outcome
+   * The entry is logged before the action runs, so anything it sets off (a transition, a new round) comes after
+   * @param {string} action - Action name (see RoundStateMachine)
+   * @param {Object} details - Arguments worth logging
+   * @param {Function} perform - Does the action, returns a result
+   * @returns {Object} The action's result, or the rejection
+   */
+  act(action, details, perform) {
+    const rejection = this.stateMachine.guard(action);
+    if (rejection) {
+      return rejection;
+    }
+
+    const entry = this.stateMachine.record({ type: 'action', action, state: this.state, ...details });
+    if (this.state === 'active') {
+      entry.roundTime = this.getCurrentFrame().time;
+    }
+
+    const result = perform();
+    entry.success = result.success;
+    if (!result.success) {
+      entry.message = result.message;
+    }
+    return result;
+  }
+
+  /**
+   * Restore the saved player: balance, history, stats and preferences
+   * House settings (leverage cap, side bet margin) come from the constructor only; invalid saved values are skipped
+   * @returns {Object} Load result { status, data, errors }
+   */
+  loadPlayer() {
+    const result = this.playerStore.load();
+    const { balance, debt, transactions, stats, lastBailoutAt, prestige, preferences } = result.data;
+
+    this.restoringPlayer = true;
+    this.balanceManager.restore({ balance, debt, transactions });
+    this.stats = { wins: stats.wins, losses: stats.losses };
+    this.lastBailoutAt = lastBailoutAt;
+    this.prestige = prestige;
+
+    const restore = (value, setter) => {
+      if (value !== undefined) setter.call(this, value);
+    };
+    restore(preferences.betAmount, this.setBetAmount);
+    restore(preferences.entryAmount, this.setEntryAmount);
+    restore(preferences.maxEntries, this.setMaxEntries);
+    restore(preferences.leverage, this.setLeverage);
+    restore(preferences.sitOut, this.setSitOut);
+    restore(preferences.orders, this.setOrders);
+    this.restoringPlayer = false;
+
+    if (result.status === 'corrupt') {
+      this.logger.log(`⚠️ Save was corrupt, starting over: ${result.errors.join('; ')}`);
+    } else if (result.status === 'migrated') {
+      this.logger.log(`💾 Save migrated to version ${SAVE_VERSION}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Progress as stored in the save
+   * @returns {Object} { balance, debt, transactions, stats, lastBailoutAt, prestige, preferences }
+   */
+  getPlayerData() {
+    return {
+      ...this.balanceManager.getState(),
+      stats: { ...this.stats },
+      lastBailoutAt: this.lastBailoutAt,
+      prestige: this.prestige,
+      preferences: {
+        betAmount: this.betAmount,
+        entryAmount: this.entryAmount,
+        maxEntries: this.investmentManager.maxEntries,
+        leverage: this.leverage,
+        sitOut: this.sitOut,
+        orders: { ...this.orderBook.defaults }
+      }
+    };
+  }
+
+  /**
+   * Save the player's progress (no-op without storage)
+   * @returns {boolean} True if saved
+   */
+  savePlayer() {
+    if (this.restoringPlayer || !this.playerStore.storage) return false;
+    return this.playerStore.save(this.getPlayerData());
+  }
+
+  /**
+   * Start over: initial balance, no debt, empty history and stats (preferences are kept)
+   */
+  resetPlayer() {
+    this.stats = { wins: 0, losses: 0 };
+    this.balanceManager.reset();
+    this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+    this.emit('statsUpdate', { stats: { ...this.stats }, counted: null });
   }
 
   /**
    * Start a new round
    */
   async startRound() {
-    if (this.state !== 'idle') return;
+    // Only one round at a time - a second call (double click, stray timer) is logged and ignored
+    if (this.state !== 'idle') {
+      this.stateMachine.record({ type: 'rejected', action: 'startRound', state: this.state });
+      return;
+    }
+
+    // Can't cover the bet: wait for a bailout, a loan, a lower bet or a reset
+    if (this.isBroke()) {
+      this.stateMachine.transition('broke', { balance: this.balanceManager.getBalance(), betAmount: this.betAmount });
+      this.logger.log('💸 Broke - round not started');
+      this.emit('stateChange', {
+        state: this.state,
+        bankruptcy: this.getBankruptcyOptions()
+      });
+      return;
+    }
 
     // Countdown phase
-    this.state = 'countdown';
-    this.emit('stateChange', { state: this.state });
+    this.stateMachine.transition('countdown');
+    this.lastListenerError = null;
+    this.currentCoinName = null; // picked when the round is generated
+
+    // Hot-swap profile between rounds
+    if (this.pendingProfile) {
+      this.chartGenerator.setProfile(this.pendingProfile);
+      this.pendingProfile = null;
+    }
+
+    // Side bets on this round are open until the countdown ends
+    const sideBetMarkets = this.sideBets.openMarkets(this.chartGenerator);
+
+    // Commit to the server seed before anything is shown
+    const [minDuration, maxDuration] = this.chartGenerator.profile.roundDuration;
+    const duration = Math.floor(Math.random() * (maxDuration - minDuration + 1)) + minDuration;
+    this.currentCommitment = this.provablyFair.commit(duration, this.chartGenerator.getFingerprint());
+    this.stateMachine.record({ type: 'commitment', roundId: this.currentCommitment.commitment });
+
+    this.emit('stateChange', {
+      state: this.state,
+      commitment: this.currentCommitment,
+      sideBetMarkets
+    });
 
-    await this.sleep(3000); // 3 second countdown
+    for (let secondsLeft = COUNTDOWN_SECONDS; secondsLeft > 0; secondsLeft--) {
+      this.emit('countdownTick', { phase: 'countdown', secondsLeft });
+      await this.sleep(1000);
+    }
 
-    // Generate round
-    const duration = Math.floor(Math.random() * 4) + 15; // 7-10 seconds
-    this.currentRound = this.chartGenerator.generateChart(duration);
+    // Generate round from the committed seed
+    this.currentRound = this.chartGenerator.generateChart(duration, {
+      seed: this.provablyFair.getRoundSeed()
+    });
     this.currentCoinName = this.getRandomCoinName();
 
     // Log round info for debugging
-    console.log(`🎲 Round Type: ${this.currentRound.type}`);
-    console.log(`📈 Peak Multiplier: ${this.currentRound.peakMultiplier.toFixed(2)}x`);
-    console.log(`⚡ Opening: Extreme Chaos (1.5-3s violent swings)`);
+    this.logger.log(`🌱 Seed: ${this.currentRound.seed}`);
+    this.logger.log(`🎲 Round Type: ${this.currentRound.type}`);
+    this.logger.log(`📈 Peak Multiplier: ${this.currentRound.peakMultiplier.toFixed(2)}x`);
+    this.logger.log(`⚡ Opening: Extreme Chaos (1.5-3s violent swings)`);
 
     // Reset round-specific managers
     this.investmentManager.reset();
+    this.orderBook.reset();
+    this.lastOrderCheckTime = 0;
+    this.priceCursor = this.chartGenerator.createPriceCursor(this.currentRound.pricePoints);
+    this.currentFrame = null;
     this.roundTimer.start(duration);
     this.lastCashOutResult = null;
+    this.crashEmitted = false;
+    this.roundLoanRepayment = 0; // paid to the loan shark from this round's cash outs
+    this.roundBooks = { paidInCents: 0, paidOutCents: 0 };
+    this.roundBet = this.betAmount;
 
     // Auto-invest at round start (Day 0, $1.00)
-    if (this.balanceManager.hasSufficientFunds(this.betAmount)) {
-      this.balanceManager.deduct(this.betAmount, 'investment');
-      this.investmentManager.autoInvest(this.betAmount);
+    if (!this.sitOut && this.balanceManager.hasSufficientFunds(this.betAmount)) {
+      const { investment } = this.investmentManager.autoInvest(this.betAmount, this.leverage);
+      this.balanceManager.deduct(this.betAmount, 'investment', this.getEntryDetails(investment));
       this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+      this.emit('autoInvest', { investment, balance: this.balanceManager.getBalance() });
     }
 
     // Start active round
-    this.state = 'active';
+    this.stateMachine.transition('active', { roundId: this.currentCommitment.commitment, coinName: this.currentCoinName });
     this.emit('stateChange', {
       state: this.state,
       round: this.currentRound,
@@ -96,19 +335,18 @@ export class GameController {
     const animate = () => {
       if (this.state !== 'active') return;
 
-      const elapsedTime = this.roundTimer.getElapsedTime();
-      const currentPrice = this.chartGenerator.getPriceAtTime(
-        this.currentRound.pricePoints,
-        elapsedTime
-      );
-      const currentDay = this.roundTimer.getCurrentDay();
+      const frame = this.sampleFrame();
+
+      // Fill any orders crossed since the last frame
+      this.checkOrders(frame);
 
       // Emit price update
-      this.emit('priceUpdate', {
-        price: currentPrice,
-        day: currentDay,
-        time: elapsedTime
-      });
+      this.emit('priceUpdate', { ...frame });
+
+      // The chart just hit $0
+      if (frame.price <= 0) {
+        this.emitCrash();
+      }
 
       // Check if round is over
       if (this.roundTimer.isOver()) {
@@ -116,114 +354,655 @@ export class GameController {
         return;
       }
 
-      this.animationFrameId = requestAnimationFrame(animate);
+      this.animationFrameId = this.clock.requestFrame(animate);
     };
 
-    this.animationFrameId = requestAnimationFrame(animate);
+    this.animationFrameId = this.clock.requestFrame(animate);
+  }
+
+  /**
+   * Announce the rug once per round, at the chart's crash (the round timer runs on a few seconds past it)
+   */
+  emitCrash() {
+    if (this.crashEmitted) return;
+    this.crashEmitted = true;
+
+    const time = this.getChartCrashTime(this.getCurrentFrame().time);
+    this.emit('crash', {
+      time,
+      day: Math.floor(time) + 1,
+      coinName: this.currentCoinName,
+      roundId: this.currentCommitment.commitment
+    });
+  }
+
+  /**
+   * When the current round's chart hits $0
+   * @param {number} fallbackTime - Used for a chart that never crashes
+   * @returns {number} Seconds
+   */
+  getChartCrashTime(fallbackTime) {
+    const crashTime = this.chartGenerator.getCrashTime(this.currentRound.pricePoints);
+    return crashTime === null ? fallbackTime : crashTime;
   }
 
   /**
    * End the current round
    */
   endRound() {
+    // Settle once - a second call (e.g. from a listener during settlement) is logged and ignored
+    if (this.state !== 'active') {
+      this.stateMachine.record({ type: 'rejected', action: 'endRound', state: this.state });
+      return;
+    }
+
+    const { time: endTime } = this.getCurrentFrame();
+    this.stateMachine.transition('settling', { roundTime: endTime });
+
     if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
+      this.clock.cancelFrame(this.animationFrameId);
       this.animationFrameId = null;
     }
 
     this.roundTimer.stop();
+    this.emitCrash();
 
     // Calculate results
     let result;
     if (this.investmentManager.hasActiveInvestments()) {
-      // Player didn't cash out - lost everything
+      // Player didn't cash out - longs still open are rugged, shorts pay out
       const lossResult = this.investmentManager.markAsLost();
+      lossResult.fills.forEach(fill => {
+        const details = this.getFillDetails(fill, 0);
+        if (fill.value > 0) {
+          this.balanceManager.add(fill.value, 'short_payout', details);
+        } else {
+          this.balanceManager.recordLoss(fill.amount, 'rugged', details);
+        }
+      });
+      this.repayLoanFrom(lossResult.payout); // a short paying out at the rug is a cash out too
+      if (lossResult.payout > 0) {
+        this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+      }
+
       result = {
         ...lossResult,
         profit: -lossResult.totalLoss,
-        multiplier: 0,
-        outcome: 'loss'
+        multiplier: lossResult.realizedValue / lossResult.totalInvested,
+        outcome: lossResult.payout > 0 ? 'short_payout' : 'loss'
       };
-      this.stats.losses++;
+
+      // Partial sells and shorts can bank more than the rugged remainder (breaking even counts as neither)
+      if (result.profit !== 0) {
+        this.countRound(result.profit > 0 ? 'win' : 'loss');
+      }
     } else if (this.investmentManager.hasCashedOut && this.lastCashOutResult) {
-      // Already cashed out - use stored result
+      // Already cashed out (or liquidated) - use stored result
       result = {
-        outcome: 'cashed_out',
+        outcome: this.lastCashOutResult.outcome || 'cashed_out',
         profit: this.lastCashOutResult.totalProfit,
         multiplier: this.lastCashOutResult.multiplier,
         totalInvested: this.lastCashOutResult.totalInvested,
         currentValue: this.lastCashOutResult.currentValue,
-        positions: this.lastCashOutResult.positions
+        positions: this.lastCashOutResult.positions,
+        exits: this.lastCashOutResult.exits
       };
 
-      // Track win/loss
-      if (result.profit > 0) {
-        this.stats.wins++;
-      } else if (result.profit < 0) {
-        this.stats.losses++;
+      // Track win/loss (breaking even counts as neither)
+      if (result.profit !== 0) {
+        this.countRound(result.profit > 0 ? 'win' : 'loss');
       }
     } else {
-      // No investments
+      // No investments - show what the auto-invest would have done
       result = {
-        outcome: 'no_investment',
+        outcome: this.sitOut ? 'sat_out' : 'no_investment',
         profit: 0,
-        multiplier: 0
+        multiplier: 0,
+        counterfactual: this.getCounterfactual()
       };
     }
 
-    this.state = 'results';
+    result.sideBets = this.settleSideBets();
+    result.loanRepayment = this.roundLoanRepayment;
+
+    // The loan shark charges per round
+    if (this.balanceManager.getDebt() > 0) {
+      result.loanInterest = this.balanceManager.accrueInterest(LOAN_INTEREST_RATE, this.getRoundDetails()).interest;
+    }
+    this.savePlayer();
+
+    this.checkBooks().forEach(error => this.logger.log(`⚠️ Books don't balance: ${error}`));
+
+    // Reveal the server seed now that the round can no longer be affected
+    this.lastReveal = this.provablyFair.reveal();
+    this.lastRevealedRound = this.currentRound;
+    this.lastRevealedProfile = this.chartGenerator.profile;
+
+    if (this.archive) {
+      this.archive.add(this.getRoundRecord(result, endTime));
+    }
+
+    this.stateMachine.transition('results', { outcome: result.outcome, profit: result.profit });
     this.emit('roundEnd', {
       result,
       round: this.currentRound,
-      coinName: this.currentCoinName
+      coinName: this.currentCoinName,
+      reveal: this.lastReveal
     });
 
-    // Auto-start next round after 3 seconds
-    setTimeout(() => {
-      this.state = 'idle';
-      this.emit('stateChange', { state: this.state });
+    // Auto-start next round after a few seconds
+    if (!this.autoRestart) return;
+
+    this.scheduleRestart(RESTART_SECONDS);
+  }
+
+  /**
+   * The finished round for the archive: revealed round data, price path, entries, exits and result
+   * @param {Object} result - Round result from endRound
+   * @param {number} endTime - When the round timer ran out, in seconds
+   * @returns {Object}
+   */
+  getRoundRecord(result, endTime) {
+    const round = this.currentRound;
+    const crashTime = this.getChartCrashTime(endTime);
+    const exits = this.investmentManager.exits.slice();
+
+    // Positions still open at the end were settled by the rug itself
+    if (result.fills && result.fills.length > 0) {
+      exits.push({ type: 'rug', time: crashTime, price: 0, fills: result.fills });
+    }
+
+    return {
+      roundId: this.lastReveal.commitment,
+      timestamp: this.clock.now(),
+      coinName: this.currentCoinName,
+      seed: round.seed,
+      type: round.type,
+      peakMultiplier: round.peakMultiplier,
+      duration: round.duration,
+      profile: round.profile,
+      pricePoints: round.pricePoints,
+      crashTime,
+      bet: this.roundBet,
+      entries: this.investmentManager.investments.map(InvestmentManager.toView),
+      exits,
+      sideBets: result.sideBets.bets,
+      result: {
+        outcome: result.outcome,
+        profit: result.profit,
+        multiplier: result.multiplier,
+        totalInvested: result.totalInvested || 0,
+        sideBetProfit: result.sideBets.profit,
+        loanRepayment: result.loanRepayment
+      }
+    };
+  }
+
+  /**
+   * Count down the results screen a second at a time, then start the next round
+   * @param {number} secondsLeft
+   */
+  scheduleRestart(secondsLeft) {
+    this.emit('countdownTick', { phase: 'restart', secondsLeft });
+
+    this.restartTimerId = this.clock.setTimeout(() => {
+      this.restartTimerId = null;
+      if (secondsLeft > 1) {
+        this.scheduleRestart(secondsLeft - 1);
+        return;
+      }
+
+      this.leaveResults();
       this.startRound();
-    }, 3000);
+    }, 1000);
   }
 
   /**
-   * Player doubles down (adds second investment at current price)
+   * Go from the results back to idle without starting a round (e.g. after stop() cancelled the restart)
+   * @returns {boolean} True if the game was showing results
    */
-  doubleDown() {
-    if (this.state !== 'active') {
-      return { success: false, message: 'Round not active' };
+  leaveResults() {
+    if (this.state !== 'results') return false;
+
+    this.stateMachine.transition('idle');
+    this.emit('stateChange', { state: this.state });
+    return true;
+  }
+
+  /**
+   * Add a round to the win/loss stats
+   * @param {string} counted - 'win' or 'loss'
+   */
+  countRound(counted) {
+    if (counted === 'win') {
+      this.stats.wins++;
+    } else {
+      this.stats.losses++;
+    }
+    this.emit('statsUpdate', { stats: { ...this.stats }, counted });
+  }
+
+  /**
+   * Stop the game loop: no more frames and no automatic next round
+   */
+  stop() {
+    this.autoRestart = false;
+
+    if (this.restartTimerId) {
+      this.clock.clearTimeout(this.restartTimerId);
+      this.restartTimerId = null;
     }
 
-    if (!this.investmentManager.canDoubleDown()) {
-      return { success: false, message: 'Cannot double down' };
+    if (this.animationFrameId) {
+      this.clock.cancelFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
+
+  /**
+   * Whether the player can't cover the next auto-invest
+   * @returns {boolean}
+   */
+  isBroke() {
+    return !this.sitOut && !this.balanceManager.hasSufficientFunds(this.betAmount);
+  }
+
+  /**
+   * Ways back from bankruptcy and their terms
+   * @returns {Object} { bailoutAmount, bailoutAvailableAt, canClaimBailout, debt, loanAvailable,
+   *   loanInterestRate, loanRepaymentShare, netWorth, prestige }
+   */
+  getBankruptcyOptions() {
+    const bailoutAvailableAt = this.lastBailoutAt === null ? 0 : this.lastBailoutAt + BAILOUT_COOLDOWN;
+    const debt = this.balanceManager.getDebt();
+
+    return {
+      bailoutAmount: BAILOUT_AMOUNT,
+      bailoutAvailableAt,
+      canClaimBailout: this.clock.now() >= bailoutAvailableAt,
+      debt,
+      loanAvailable: Money.toDollars(Math.max(0, Money.toCents(LOAN_LIMIT) - Money.toCents(debt))),
+      loanInterestRate: LOAN_INTEREST_RATE,
+      loanRepaymentShare: LOAN_REPAYMENT_SHARE,
+      netWorth: this.balanceManager.getNetWorth(),
+      prestige: this.prestige
+    };
+  }
+
+  /**
+   * Claim the daily bailout (only when broke)
+   * @returns {Object} Result
+   */
+  claimBailout() {
+    return this.act('claimBailout', {}, () => {
+      const { canClaimBailout, bailoutAvailableAt } = this.getBankruptcyOptions();
+      if (!canClaimBailout) {
+        const hours = Math.ceil((bailoutAvailableAt - this.clock.now()) / (60 * 60 * 1000));
+        return { success: false, message: `Next bailout in ${hours}h` };
+      }
+
+      this.lastBailoutAt = this.clock.now();
+      this.balanceManager.add(BAILOUT_AMOUNT, 'bailout');
+      this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+      this.resumeIfRecovered();
+
+      return { success: true, amount: BAILOUT_AMOUNT, balance: this.balanceManager.getBalance() };
+    });
+  }
+
+  /**
+   * Borrow from the loan shark - interest accrues every round, cash outs pay it back
+   * @param {number} amount
+   * @returns {Object} Result
+   */
+  takeLoan(amount) {
+    return this.act('takeLoan', { amount }, () => {
+      if (!(amount >= 1)) {
+        return { success: false, message: 'Loan must be at least $1' };
+      }
+
+      const { loanAvailable } = this.getBankruptcyOptions();
+      if (Money.toCents(amount) > Money.toCents(loanAvailable)) {
+        return { success: false, message: `The loan shark only lends you $${loanAvailable.toFixed(2)} more` };
+      }
+
+      const result = this.balanceManager.borrow(amount);
+      this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+      this.resumeIfRecovered();
+
+      return result;
+    });
+  }
+
+  /**
+   * Prestige reset: start over with the initial balance and no debt (only when broke)
+   * @returns {Object} Result with the new prestige level
+   */
+  prestigeReset() {
+    return this.act('prestigeReset', {}, () => {
+      this.prestige++;
+      this.resetPlayer();
+      this.resumeIfRecovered();
+
+      return { success: true, prestige: this.prestige, balance: this.balanceManager.getBalance() };
+    });
+  }
+
+  /**
+   * Leave the broke state once the bet is covered again
+   * @returns {boolean} True if the game resumed
+   */
+  resumeIfRecovered() {
+    if (this.state !== 'broke' || this.isBroke()) return false;
+
+    this.stateMachine.transition('idle', { balance: this.balanceManager.getBalance(), betAmount: this.betAmount });
+    this.emit('stateChange', { state: this.state });
+    if (this.autoRestart) {
+      this.startRound();
+    }
+    return true;
+  }
+
+  /**
+   * Hand the loan shark its share of a cash out
+   * @param {number} proceeds - Amount just credited
+   * @returns {number} Amount repaid
+   */
+  repayLoanFrom(proceeds) {
+    if (this.balanceManager.getDebt() <= 0) return 0;
+
+    const result = this.balanceManager.repay(proceeds * LOAN_REPAYMENT_SHARE, 'loan_repayment', this.getRoundDetails());
+    const repaid = result.success ? -result.amount : 0;
+    this.roundLoanRepayment += repaid;
+    return repaid;
+  }
+
+  /**
+   * Every recorded transaction: into the ledger, and into this round's books
+   * @param {Object} transaction - History entry from BalanceManager
+   */
+  onTransaction(transaction) {
+    if (ENTRY_REASONS.includes(transaction.reason)) {
+      this.roundBooks.paidInCents -= Money.toCents(transaction.amount);
+    } else if (CLOSE_REASONS.includes(transaction.reason)) {
+      this.roundBooks.paidOutCents += Money.toCents(transaction.amount);
+    }
+
+    if (this.ledger) {
+      this.ledger.append(transaction);
+    }
+  }
+
+  /**
+   * Reconcile the money: the balance with its transactions (see BalanceManager.checkBooks), and this
+   * round's positions with what the transactions paid for them and paid out of them - so the balance
+   * plus the cost of what is still open always adds up
+   * @returns {Array} Error messages (empty if everything reconciles)
+   */
+  checkBooks() {
+    const errors = this.balanceManager.checkBooks();
+    let costCents = 0;
+    let realizedCents = 0;
+
+    this.investmentManager.investments.forEach(inv => {
+      costCents += inv.amountCents;
+      realizedCents += inv.realizedCents;
+      if (!Money.isCents(inv.openCents) || inv.openCents < 0 || inv.openCents > inv.amountCents) {
+        errors.push(`position ${inv.id}: open amount ${inv.openCents}¢ is out of range`);
+      }
+    });
+
+    if (costCents !== this.roundBooks.paidInCents) {
+      errors.push(`positions cost ${costCents}¢ but ${this.roundBooks.paidInCents}¢ was paid in`);
+    }
+
+    if (realizedCents !== this.roundBooks.paidOutCents) {
+      errors.push(`positions realized ${realizedCents}¢ but ${this.roundBooks.paidOutCents}¢ was paid out`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Round a transaction belongs to (nulls between rounds)
+   * The round id is the provably fair commitment, published at the countdown;
+   * the coin is only picked when the countdown ends
+   * @returns {Object} { roundId, coinName }
+   */
+  getRoundDetails() {
+    const inRound = this.state === 'countdown' || this.state === 'active' || this.state === 'settling';
+
+    return {
+      roundId: inRound && this.currentCommitment ? this.currentCommitment.commitment : null,
+      coinName: inRound ? this.currentCoinName : null
+    };
+  }
+
+  /**
+   * Transaction details for opening a position
+   * @param {Object} investment - The new position
+   * @returns {Object}
+   */
+  getEntryDetails(investment) {
+    return {
+      ...this.getRoundDetails(),
+      positionId: investment.id,
+      side: investment.side,
+      leverage: investment.leverage,
+      entryPrice: investment.entryPrice
+    };
+  }
+
+  /**
+   * Transaction details for closing (part of) a position
+   * @param {Object} fill - Fill from InvestmentManager.getFill
+   * @param {number} exitPrice
+   * @returns {Object}
+   */
+  getFillDetails(fill, exitPrice) {
+    const profit = Money.toDollars(Money.toCents(fill.value) - Money.toCents(fill.amount));
+
+    return {
+      ...this.getRoundDetails(),
+      positionId: fill.positionId,
+      side: fill.side,
+      leverage: fill.leverage,
+      entryPrice: fill.entryPrice,
+      exitPrice,
+      multiplier: fill.multiplier,
+      profit,
+      outcome: profit > 0 ? 'win' : profit < 0 ? 'loss' : 'even'
+    };
+  }
+
+  /**
+   * Place a side bet on the upcoming round (only during the countdown)
+   * @param {string} marketId - Market id from the countdown's sideBetMarkets
+   * @param {number} amount - Stake
+   * @returns {Object} Result with the bet
+   */
+  placeSideBet(marketId, amount) {
+    return this.act('placeSideBet', { marketId, amount }, () => {
+      if (!this.balanceManager.hasSufficientFunds(amount)) {
+        return { success: false, message: 'Insufficient funds' };
+      }
+
+      const result = this.sideBets.placeBet(marketId, amount);
+      if (!result.success) {
+        return result;
+      }
+
+      this.balanceManager.deduct(result.bet.amount, 'side_bet', {
+        ...this.getRoundDetails(),
+        marketId,
+        multiplier: result.bet.payout
+      });
+      this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+
+      return {
+        ...result,
+        balance: this.balanceManager.getBalance()
+      };
+    });
+  }
+
+  /**
+   * Settle side bets on the finished round and pay out the winners
+   * @returns {Object} Settlement { bets, totalStaked, totalReturned, profit }
+   */
+  settleSideBets() {
+    const settlement = this.sideBets.settle(this.currentRound);
+
+    settlement.bets.forEach(bet => {
+      const details = {
+        ...this.getRoundDetails(),
+        marketId: bet.marketId,
+        multiplier: bet.won ? bet.payout : 0,
+        profit: bet.profit,
+        outcome: bet.won ? 'win' : 'loss'
+      };
+
+      if (bet.won) {
+        this.balanceManager.add(bet.returned, 'side_bet_win', details);
+      } else {
+        this.balanceManager.recordLoss(bet.amount, 'side_bet_lost', details);
+      }
+    });
+
+    if (settlement.totalReturned > 0) {
+      this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+    }
+
+    return settlement;
+  }
+
+  /**
+   * Player joins the round late at the current price (after sitting out or missing the auto-invest)
+   * @param {number} amount - Investment amount (bet amount by default)
+   */
+  enterRound(amount = this.betAmount) {
+    return this.act('enterRound', { amount }, () => {
+      if (!this.canEnterRound()) {
+        return { success: false, message: 'Already in this round' };
+      }
+
+      if (!(amount >= 1)) {
+        return { success: false, message: 'Bet amount must be at least $1' };
+      }
+
+      if (!this.balanceManager.hasSufficientFunds(amount)) {
+        return { success: false, message: 'Insufficient funds' };
+      }
+
+      // Fill at the price shown this frame
+      const { price: currentPrice, time: elapsedTime } = this.getCurrentFrame();
+      if (!(currentPrice > 0)) {
+        return { success: false, message: 'Coin already rugged' };
+      }
+
+      const result = this.investmentManager.openInitial(amount, currentPrice, elapsedTime, this.leverage);
+      if (!result.success) {
+        return result;
+      }
+
+      this.balanceManager.deduct(amount, 'investment', this.getEntryDetails(result.investment));
+      this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+
+      return {
+        ...result,
+        balance: this.balanceManager.getBalance()
+      };
+    });
+  }
+
+  /**
+   * Whether the player has no position yet this round
+   * @returns {boolean}
+   */
+  canEnterRound() {
+    return this.state === 'active' && this.investmentManager.canEnter();
+  }
+
+  /**
+   * Player doubles down (adds another entry at current price)
+   * @param {number} amount - Entry amount (entry amount setting by default)
+   */
+  doubleDown(amount = this.getEntryAmount()) {
+    return this.act('doubleDown', { amount }, () => {
+      if (!this.investmentManager.canDoubleDown()) {
+        return { success: false, message: 'Cannot double down' };
+      }
+
+      // Fill at the price shown this frame
+      const { price: currentPrice, time: elapsedTime } = this.getCurrentFrame();
+      return this.addEntry(amount, currentPrice, elapsedTime, 'doubled');
+    });
+  }
+
+  /**
+   * Player opens a short at current price (bets on the rug)
+   * @param {number} amount - Margin (entry amount setting by default)
+   */
+  openShort(amount = this.getEntryAmount()) {
+    return this.act('openShort', { amount }, () => {
+      // Fill at the price shown this frame
+      const { price: currentPrice, time: elapsedTime } = this.getCurrentFrame();
+      return this.addEntry(amount, currentPrice, elapsedTime, 'short');
+    });
+  }
+
+  /**
+   * Pay for and record an extra entry
+   * @param {number} amount - Entry amount
+   * @param {number} price - Fill price
+   * @param {number} time - Fill time in seconds
+   * @param {string} type - 'doubled', 'dca' or 'short'
+   * @returns {Object} Entry result
+   */
+  addEntry(amount, price, time, type) {
+    if (!(amount >= 1)) {
+      return { success: false, message: 'Entry amount must be at least $1' };
+    }
+
+    if (type === 'short' && !this.investmentManager.canShort()) {
+      return { success: false, message: 'Already shorted this round' };
+    }
+
+    if (type !== 'short' && !this.investmentManager.canDoubleDown()) {
+      return { success: false, message: 'No entries left this round' };
     }
 
     // Check balance
-    if (!this.balanceManager.hasSufficientFunds(this.betAmount)) {
+    if (!this.balanceManager.hasSufficientFunds(amount)) {
       return { success: false, message: 'Insufficient funds' };
     }
 
-    // Get current price
-    const elapsedTime = this.roundTimer.getElapsedTime();
-    const currentPrice = this.chartGenerator.getPriceAtTime(
-      this.currentRound.pricePoints,
-      elapsedTime
-    );
+    if (!(price > 0)) {
+      return { success: false, message: 'Coin already rugged' };
+    }
 
-    // Deduct from balance
-    const deductResult = this.balanceManager.deduct(this.betAmount, 'investment');
-    if (!deductResult.success) {
-      return deductResult;
+    const doubleDownResult = type === 'short'
+      ? this.investmentManager.openShort(amount, price, time, this.leverage)
+      : this.investmentManager.doubleDown(amount, price, time, type, this.leverage);
+    if (!doubleDownResult.success) {
+      return doubleDownResult;
     }
 
-    // Double down investment
-    const doubleDownResult = this.investmentManager.doubleDown(
-      this.betAmount,
-      currentPrice,
-      elapsedTime
+    // Deduct from balance
+    this.balanceManager.deduct(
+      amount,
+      type === 'short' ? 'short_margin' : 'investment',
+      this.getEntryDetails(doubleDownResult.investment)
     );
 
     this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+    this.emit('doubleDown', {
+      type,
+      price,
+      time,
+      investment: doubleDownResult.investment,
+      balance: this.balanceManager.getBalance()
+    });
 
     return {
       ...doubleDownResult,
@@ -235,45 +1014,307 @@ export class GameController {
    * Player cashes out
    */
   cashOut() {
-    if (this.state !== 'active') {
-      return { success: false, message: 'Round not active' };
-    }
-
-    if (!this.investmentManager.hasActiveInvestments()) {
-      return { success: false, message: 'No active investments' };
-    }
+    return this.act('cashOut', {}, () => {
+      if (!this.investmentManager.hasActiveInvestments()) {
+        return { success: false, message: 'No active investments' };
+      }
 
-    // Get current price
-    const elapsedTime = this.roundTimer.getElapsedTime();
-    const currentPrice = this.chartGenerator.getPriceAtTime(
-      this.currentRound.pricePoints,
-      elapsedTime
-    );
+      // Fill at the price shown this frame
+      const { price: currentPrice, time: elapsedTime } = this.getCurrentFrame();
+      return this.settleCashOut(currentPrice, elapsedTime);
+    });
+  }
 
-    // Cash out investments
-    const cashOutResult = this.investmentManager.cashOut(currentPrice);
+  /**
+   * Close all positions at a price and credit the balance
+   * @param {number} price - Fill price
+   * @param {number} time - Fill time in seconds
+   * @param {string|null} order - Exit order that filled, null for the player's own cash out
+   * @returns {Object} Cash out result
+   */
+  settleCashOut(price, time, order = null) {
+    const cashOutResult = this.investmentManager.cashOut(price, time);
     if (!cashOutResult.success) {
       return cashOutResult;
     }
 
-    // Add to balance
-    this.balanceManager.add(cashOutResult.currentValue, 'cash_out');
+    // Add to balance, one ledger entry per position
+    cashOutResult.exit.fills.forEach(fill => {
+      this.balanceManager.add(fill.value, 'cash_out', this.getFillDetails(fill, price));
+    });
+    const loanRepayment = this.repayLoanFrom(cashOutResult.proceeds);
 
     // Store cashout result for round end display
     this.lastCashOutResult = {
       totalProfit: cashOutResult.totalProfit,
       multiplier: cashOutResult.multiplier,
       totalInvested: cashOutResult.totalInvested,
-      currentValue: cashOutResult.currentValue,
-      positions: cashOutResult.positions
+      currentValue: cashOutResult.realizedValue,
+      positions: cashOutResult.positions,
+      exits: cashOutResult.exits
     };
 
     this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
 
-    return {
+    const result = {
       ...cashOutResult,
+      loanRepayment,
       balance: this.balanceManager.getBalance()
     };
+    this.emit('cashOut', { type: 'full', order, price, time, result });
+    return result;
+  }
+
+  /**
+   * Check pre-set orders and liquidation prices against the curve since the last frame
+   * Fills happen at the exact crossing on the chart, not at this frame's price
+   * @param {Object} frame - Current frame { time, price, day }
+   */
+  checkOrders(frame) {
+    let fromTime = this.lastOrderCheckTime;
+    this.lastOrderCheckTime = frame.time;
+
+    if (!this.investmentManager.hasActiveInvestments()) {
+      return;
+    }
+
+    const priceIndex = this.chartGenerator.getPriceIndex(this.currentRound.pricePoints);
+
+    while (this.investmentManager.hasActiveInvestments()) {
+      const trigger = this.orderBook.findTrigger(priceIndex, fromTime, frame.time, this.getOrderLevels());
+      if (!trigger) break;
+
+      this.stateMachine.record({ type: 'order', order: trigger.order, roundTime: trigger.time, price: trigger.price });
+      this.investmentManager.updateHighWaterMarks(priceIndex.maxPrice(fromTime, trigger.time));
+
+      if (trigger.order === 'liquidation') {
+        const result = this.liquidate(trigger.price, trigger.time);
+        if (result.closed) return;
+        fromTime = trigger.time;
+        continue;
+      }
+
+      if (trigger.order === 'dca_buy') {
+        // Buy, then keep scanning the rest of the frame with the new position
+        const result = this.addEntry(this.orderBook.orders.dcaAmount, trigger.price, trigger.time, 'dca');
+        this.emit('orderFilled', { ...trigger, result });
+        fromTime = trigger.time;
+        continue;
+      }
+
+      const result = this.settleCashOut(trigger.price, trigger.time, trigger.order);
+      this.emit('orderFilled', { ...trigger, result });
+      return;
+    }
+
+    // Highest price since entry, including peaks between frames (trailing stops)
+    this.investmentManager.updateHighWaterMarks(priceIndex.maxPrice(fromTime, frame.time));
+  }
+
+  /**
+   * What the auto-invest would have made this round: the round's bet at $1.00 with the current
+   * leverage and orders, held until an order fills or the rug (balance not checked)
+   * Replayed on the round's price points, so it is exact once the round is over
+   * @returns {Object} { amount, profit, multiplier, exit, peakPrice }
+   */
+  getCounterfactual() {
+    const { pricePoints } = this.currentRound;
+    const priceIndex = this.chartGenerator.getPriceIndex(pricePoints);
+    const endTime = pricePoints[pricePoints.length - 1].time;
+    const investments = new InvestmentManager({ maxEntries: this.investmentManager.maxEntries });
+    const orderBook = new OrderBook();
+    orderBook.setOrders(this.orderBook.getOrders());
+    investments.autoInvest(this.roundBet, this.leverage);
+
+    let fromTime = 0;
+    let exit = null;
+
+    while (investments.hasActiveInvestments()) {
+      const trigger = orderBook.findTrigger(priceIndex, fromTime, endTime, orderBook.getTriggerLevels(investments));
+      if (!trigger) break;
+
+      investments.updateHighWaterMarks(priceIndex.maxPrice(fromTime, trigger.time));
+      fromTime = trigger.time;
+
+      if (trigger.order === 'liquidation') {
+        investments.liquidate(trigger.price, trigger.time);
+        exit = trigger;
+      } else if (trigger.order === 'dca_buy') {
+        investments.doubleDown(orderBook.orders.dcaAmount, trigger.price, trigger.time, 'dca', this.leverage);
+      } else {
+        investments.cashOut(trigger.price, trigger.time);
+        exit = trigger;
+      }
+    }
+
+    // Whatever is still open rides the rug
+    if (investments.hasActiveInvestments()) {
+      investments.markAsLost();
+    }
+
+    const { totalProfit, totalInvested, multiplier } = investments.calculateCurrentProfit(0);
+
+    return {
+      amount: totalInvested,
+      profit: totalProfit,
+      multiplier,
+      exit,
+      peakPrice: priceIndex.maxPrice(0, endTime)
+    };
+  }
+
+  /**
+   * Liquidate positions whose liquidation price was reached
+   * @param {number} price - Liquidation price that was crossed
+   * @param {number} time
+   * @returns {Object} Liquidation result
+   */
+  liquidate(price, time) {
+    const result = this.investmentManager.liquidate(price, time);
+    if (!result.success) {
+      return result;
+    }
+
+    result.exit.fills.forEach(fill => {
+      this.balanceManager.recordLoss(fill.amount, 'liquidation', this.getFillDetails(fill, price));
+    });
+
+    // Everything is gone: remember the round result like a cash out
+    if (result.closed) {
+      this.lastCashOutResult = {
+        outcome: 'liquidated',
+        totalProfit: result.totalProfit,
+        multiplier: result.multiplier,
+        totalInvested: result.totalInvested,
+        currentValue: result.realizedValue,
+        positions: result.positions,
+        exits: result.exits
+      };
+    }
+
+    this.emit('liquidation', { price, time, result });
+    return result;
+  }
+
+  /**
+   * Set exit orders for this round; they also carry into the next rounds
+   * @param {Object} orders - { takeProfit, stopLoss, exitDay } (null clears one)
+   * @returns {Object} Result
+   */
+  setOrders(orders) {
+    const result = this.orderBook.setOrders(orders);
+    if (result.success) {
+      this.savePlayer();
+    }
+    return result;
+  }
+
+  /**
+   * Cancel all exit orders
+   */
+  clearOrders() {
+    const result = this.orderBook.clear();
+    this.savePlayer();
+    return result;
+  }
+
+  /**
+   * Price levels the current orders trigger at (for drawing)
+   * @returns {Object} { takeProfitPrice, stopLossPrice, exitTime }
+   */
+  getOrderLevels() {
+    const levels = this.orderBook.getTriggerLevels(this.investmentManager);
+
+    // No DCA buys the wallet can't pay for
+    if (levels.dcaPrice !== null && !this.balanceManager.hasSufficientFunds(this.orderBook.orders.dcaAmount)) {
+      levels.dcaPrice = null;
+    }
+
+    return levels;
+  }
+
+  /**
+   * Player sells part of the position, the rest stays in the round
+   * @param {number} fraction - Share of the open position to sell (0-1, 1 = full cash out)
+   */
+  partialCashOut(fraction) {
+    return this.act('partialCashOut', { fraction }, () => {
+      if (!this.investmentManager.hasActiveInvestments()) {
+        return { success: false, message: 'No active investments' };
+      }
+
+      // Fill at the price shown this frame
+      const { price: currentPrice, time: elapsedTime } = this.getCurrentFrame();
+
+      if (fraction >= 1) {
+        return this.settleCashOut(currentPrice, elapsedTime);
+      }
+
+      const sellResult = this.investmentManager.partialCashOut(fraction, currentPrice, elapsedTime);
+      if (!sellResult.success) {
+        return sellResult;
+      }
+
+      sellResult.exit.fills.forEach(fill => {
+        this.balanceManager.add(fill.value, 'partial_cash_out', this.getFillDetails(fill, currentPrice));
+      });
+      const loanRepayment = this.repayLoanFrom(sellResult.proceeds);
+      this.emit('balanceUpdate', { balance: this.balanceManager.getBalance() });
+
+      const result = {
+        ...sellResult,
+        loanRepayment,
+        balance: this.balanceManager.getBalance()
+      };
+      this.emit('cashOut', { type: 'partial', order: null, price: currentPrice, time: elapsedTime, result });
+      return result;
+    });
+  }
+
+  /**
+   * Player sells a dollar amount of the position at the current price
+   * @param {number} amount - Dollar value to sell (everything if it covers the position)
+   */
+  partialCashOutAmount(amount) {
+    // Logged as the partialCashOut it turns into
+    const rejection = this.stateMachine.guard('partialCashOut');
+    if (rejection) {
+      return rejection;
+    }
+
+    if (!(amount > 0)) {
+      return { success: false, message: 'Sell amount must be positive' };
+    }
+
+    const { currentValue } = this.getCurrentProfit();
+    if (!(currentValue > 0)) {
+      return { success: false, message: 'No active investments' };
+    }
+
+    return this.partialCashOut(Math.min(1, amount / currentValue));
+  }
+
+  /**
+   * Sample price for a new animation frame
+   * Everything in the same frame (display, cash out, double down) reads this sample
+   * @returns {Object} { time, price, day }
+   */
+  sampleFrame() {
+    const time = this.roundTimer.getElapsedTime();
+    this.currentFrame = {
+      time,
+      price: this.priceCursor.priceAt(time),
+      day: Math.floor(time) + 1
+    };
+    return this.currentFrame;
+  }
+
+  /**
+   * Get the current frame's price sample (sampled on demand before the first frame)
+   * @returns {Object} { time, price, day }
+   */
+  getCurrentFrame() {
+    return this.currentFrame || this.sampleFrame();
   }
 
   /**
@@ -281,12 +1322,7 @@ export class GameController {
    */
   getCurrentPrice() {
     if (this.state !== 'active' || !this.currentRound) return 1.0;
-
-    const elapsedTime = this.roundTimer.getElapsedTime();
-    return this.chartGenerator.getPriceAtTime(
-      this.currentRound.pricePoints,
-      elapsedTime
-    );
+    return this.getCurrentFrame().price;
   }
 
   /**
@@ -306,6 +1342,131 @@ export class GameController {
    */
   setBetAmount(amount) {
     this.betAmount = Math.max(1, Math.floor(amount));
+    this.savePlayer();
+    this.resumeIfRecovered();
+  }
+
+  /**
+   * Set amount for extra entries (null to use the bet amount)
+   */
+  setEntryAmount(amount) {
+    this.entryAmount = amount === null ? null : Math.max(1, Math.floor(amount));
+    this.savePlayer();
+  }
+
+  /**
+   * Amount the next manual entry will use
+   * @returns {number}
+   */
+  getEntryAmount() {
+    return this.entryAmount === null ? this.betAmount : this.entryAmount;
+  }
+
+  /**
+   * Set the house margin on side bet payouts (from the next countdown)
+   * @param {number} houseMargin - e.g. 0.05 for 5%
+   * @returns {Object} Result
+   */
+  setHouseMargin(houseMargin) {
+    try {
+      this.sideBets.setHouseMargin(houseMargin);
+    } catch (e) {
+      return { success: false, message: e.message };
+    }
+
+    return { success: true, houseMargin };
+  }
+
+  /**
+   * Sit out the auto-invest from the next round on (entering late stays possible)
+   * @param {boolean} sitOut
+   */
+  setSitOut(sitOut) {
+    this.sitOut = Boolean(sitOut);
+    this.savePlayer();
+    this.resumeIfRecovered();
+  }
+
+  /**
+   * Set leverage for new entries (the auto-invest included) - open positions keep theirs
+   * @param {number} leverage - Exposure multiple, 1 for none
+   * @returns {Object} Result
+   */
+  setLeverage(leverage) {
+    if (!(Number.isFinite(leverage) && leverage >= 1)) {
+      return { success: false, message: 'Leverage must be at least 1x' };
+    }
+
+    if (leverage > this.maxLeverage) {
+      return { success: false, message: `Leverage is capped at ${this.maxLeverage}x` };
+    }
+
+    this.leverage = leverage;
+    this.savePlayer();
+    return { success: true, leverage };
+  }
+
+  /**
+   * Set the leverage cap - lowers the current leverage if it is above the new cap
+   * @param {number} maxLeverage
+   * @returns {Object} Result
+   */
+  setMaxLeverage(maxLeverage) {
+    if (!(Number.isFinite(maxLeverage) && maxLeverage >= 1)) {
+      return { success: false, message: 'Max leverage must be at least 1x' };
+    }
+
+    this.maxLeverage = maxLeverage;
+    this.leverage = Math.min(this.leverage, maxLeverage);
+    this.savePlayer(); // the player's leverage may have been lowered
+    return { success: true, maxLeverage, leverage: this.leverage };
+  }
+
+  /**
+   * Set how many entries a round allows (auto-invest included, 2 = one double down)
+   * @param {number} maxEntries
+   * @returns {Object} Result
+   */
+  setMaxEntries(maxEntries) {
+    try {
+      this.investmentManager.setMaxEntries(maxEntries);
+    } catch (e) {
+      return { success: false, message: e.message };
+    }
+
+    this.savePlayer();
+    return { success: true, maxEntries };
+  }
+
+  /**
+   * Set chart profile - applied at the start of the next round
+   * @param {Object} profile - Profile object
+   * @returns {Object} Result with validation errors if the profile is invalid
+   */
+  setProfile(profile) {
+    try {
+      this.pendingProfile = ChartProfile.load(profile);
+    } catch (e) {
+      return { success: false, message: e.message, errors: e.errors || [e.message] };
+    }
+
+    // Sample the new profile's peaks now, so the countdown that applies it doesn't have to
+    SideBetBook.samplePeaks(this.chartGenerator.withProfile(this.pendingProfile));
+
+    return { success: true, profile: this.pendingProfile.name };
+  }
+
+  /**
+   * Load chart profile from JSON text - applied at the start of the next round
+   * @param {string} json - Profile JSON
+   * @returns {Object} Result with validation errors if the profile is invalid
+   */
+  loadProfile(json) {
+    try {
+      return this.setProfile(ChartProfile.fromJSON(json));
+    } catch (e) {
+      return { success: false, message: e.message, errors: e.errors || [e.message] };
+    }
   }
 
   /**
@@ -319,17 +1480,60 @@ export class GameController {
   }
 
   /**
-   * Event listener system
+   * Subscribe to an event ('*' for all); listeners get (data, event)
+   * @param {string} event
+   * @param {Function} callback
+   * @returns {Function} Unsubscribes the listener
    */
   on(event, callback) {
-    if (this.listeners[event]) {
-      this.listeners[event].push(callback);
-    }
+    return this.events.on(event, callback);
+  }
+
+  /**
+   * Subscribe to the next emit of an event only
+   * @param {string} event
+   * @param {Function} callback
+   * @returns {Function} Unsubscribes the listener
+   */
+  once(event, callback) {
+    return this.events.once(event, callback);
+  }
+
+  /**
+   * Unsubscribe a listener
+   * @param {string} event
+   * @param {Function} callback
+   * @returns {boolean} True if it was subscribed
+   */
+  off(event, callback) {
+    return this.events.off(event, callback);
   }
 
   emit(event, data) {
-    if (this.listeners[event]) {
-      this.listeners[event].forEach(callback => callback(data));
+    this.events.emit(event, data);
+  }
+
+  /**
+   * A listener threw: the game carries on, the error is logged, audited and re-emitted as listenerError
+   * @param {Error} error
+   * @param {string} event - Event the listener was handling
+   */
+  onListenerError(error, event) {
+    const message = error && error.message ? error.message : String(error);
+    const key = `${event}:${message}`;
+
+    // A listener failing every frame is logged once per round, with a repeat count
+    if (this.lastListenerError && this.lastListenerError.key === key) {
+      this.lastListenerError.entry.repeats++;
+    } else {
+      this.logger.log(`⚠️ ${event} listener failed: ${message}`);
+      const entry = this.stateMachine.record({ type: 'listener_error', event, message, repeats: 0 });
+      this.lastListenerError = { key, entry };
+    }
+
+    // A failing listenerError listener is only logged, or errors could loop
+    if (event !== 'listenerError') {
+      this.emit('listenerError', { event, error });
     }
   }
 
@@ -337,7 +1541,24 @@ export class GameController {
    * Utility sleep function
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return this.clock.sleep(ms);
+  }
+
+  /**
+   * Recent transitions, actions, rejections and order fills
+   * @param {number} limit - Most recent entries to return (all by default)
+   * @returns {Array}
+   */
+  getAuditLog(limit) {
+    return this.stateMachine.getAuditLog(limit);
+  }
+
+  /**
+   * The audit log as JSON, for bug reports
+   * @returns {string}
+   */
+  dumpAuditLog() {
+    return this.stateMachine.dump();
   }
 
   /**
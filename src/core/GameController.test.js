@@ -0,0 +1,275 @@
+import { describe, it, expect } from 'vitest';
+import { GameController } from './GameController.js';
+import { ManualClock } from './Clock.js';
+import { RoundArchive } from './RoundArchive.js';
+import { MemoryRecordStore } from './RecordStore.js';
+import { SideBetBook } from './SideBetBook.js';
+
+// Every chart sits at 2.00 until the rug
+function plateau({ samples, duration }) {
+  const pricePoints = [];
+  for (let i = 0; i < samples; i++) {
+    pricePoints.push({ time: (i / samples) * duration, price: 2, day: 1 });
+  }
+  pricePoints.push({ time: duration, price: 0, day: 1 });
+  return { pricePoints, peakMultiplier: 2 };
+}
+
+function createGame(options = {}) {
+  const clock = new ManualClock();
+  const controller = new GameController({
+    clock,
+    storage: null,
+    ledger: null,
+    archive: null,
+    logger: { log() {} },
+    autoRestart: false,
+    ...options
+  });
+  controller.chartGenerator.registerRoundType('plateau', { probability: 1e9, generate: plateau });
+  return { clock, controller };
+}
+
+async function runUntil(clock, condition) {
+  while (!condition()) {
+    if (!(await clock.runNext())) throw new Error('Nothing scheduled');
+  }
+}
+
+async function startActiveRound() {
+  const game = createGame();
+  game.controller.startRound();
+  await runUntil(game.clock, () => game.controller.state === 'active' && game.controller.currentFrame !== null);
+  return game;
+}
+
+describe('GameController.partialCashOut', () => {
+  it('turns a full sell into one cash out, audited once', async () => {
+    const { controller } = await startActiveRound();
+
+    const result = controller.partialCashOut(1);
+
+    expect(result.success).toBe(true);
+    expect(controller.investmentManager.hasActiveInvestments()).toBe(false);
+
+    const actions = controller.getAuditLog().filter(entry => entry.type === 'action');
+    expect(actions.map(entry => entry.action)).toEqual(['partialCashOut']);
+    expect(actions[0].success).toBe(true);
+  });
+});
+
+describe('GameController round stats', () => {
+  it('counts a rugged round that broke even as neither win nor loss', async () => {
+    const { clock, controller } = await startActiveRound();
+
+    // Half the $100 bet sold at 2.00 gets the stake back, the other half rides the rug
+    expect(controller.partialCashOut(0.5).success).toBe(true);
+    await runUntil(clock, () => controller.state === 'results');
+
+    expect(controller.lastCashOutResult).toBeNull();
+    expect(controller.stats).toEqual({ wins: 0, losses: 0 });
+  });
+});
+
+describe('GameController bankruptcy', () => {
+  async function goBroke(game) {
+    const { controller } = game;
+    controller.balanceManager.deduct(controller.balanceManager.getBalance() - 5);
+    await controller.startRound();
+    expect(controller.state).toBe('broke');
+  }
+
+  it('gives one bailout a day and resumes once the bet is covered', async () => {
+    const game = createGame();
+    const { clock, controller } = game;
+    await goBroke(game);
+
+    expect(controller.claimBailout()).toMatchObject({ success: true, amount: 100, balance: 105 });
+    expect(controller.state).toBe('idle');
+
+    await goBroke(game);
+    expect(controller.claimBailout()).toEqual({ success: false, message: 'Next bailout in 24h' });
+
+    await clock.advance(24 * 60 * 60 * 1000);
+    expect(controller.claimBailout().success).toBe(true);
+  });
+
+  it('only bails out broke players', () => {
+    const { controller } = createGame();
+
+    expect(controller.claimBailout().success).toBe(false);
+    expect(controller.prestigeReset().success).toBe(false);
+  });
+
+  it('lends up to the limit, charges interest each round and takes half of cash outs', async () => {
+    const { clock, controller } = createGame();
+
+    expect(controller.takeLoan(1500).message).toBe('The loan shark only lends you $1000.00 more');
+    expect(controller.takeLoan(300)).toMatchObject({ success: true, debt: 300 });
+
+    controller.startRound();
+    await runUntil(clock, () => controller.state === 'active' && controller.currentFrame !== null);
+
+    // The $100 bet comes back as $200: half of it goes to the loan shark
+    expect(controller.cashOut().loanRepayment).toBe(100);
+    expect(controller.balanceManager.getDebt()).toBe(200);
+
+    await runUntil(clock, () => controller.state === 'results');
+    expect(controller.balanceManager.getDebt()).toBe(220);
+    expect(controller.checkBooks()).toEqual([]);
+  });
+
+  it('takes half of a short paid out at the rug', async () => {
+    const { clock, controller } = createGame();
+    controller.takeLoan(300);
+    let result = null;
+    controller.on('roundEnd', (data) => { result = data.result; });
+
+    controller.startRound();
+    await runUntil(clock, () => controller.state === 'active' && controller.currentFrame !== null);
+    expect(controller.openShort(100).success).toBe(true);
+    await runUntil(clock, () => controller.state === 'results');
+
+    // The $100 short pays $200 at the rug: half of it goes to the loan shark, then interest
+    expect(result.outcome).toBe('short_payout');
+    expect(result.loanRepayment).toBe(100);
+    expect(controller.balanceManager.getDebt()).toBe(220);
+    expect(controller.checkBooks()).toEqual([]);
+  });
+
+  it('starts over on a prestige reset', async () => {
+    const game = createGame();
+    const { controller } = game;
+    controller.takeLoan(50);
+    await goBroke(game);
+
+    expect(controller.prestigeReset()).toMatchObject({ success: true, prestige: 1, balance: 1000 });
+    expect(controller.balanceManager.getDebt()).toBe(0);
+    expect(controller.state).toBe('idle');
+  });
+});
+
+describe('GameController state guards', () => {
+  it('rejects actions outside their states and a second startRound', async () => {
+    const { clock, controller } = createGame();
+    controller.startRound();
+    await runUntil(clock, () => controller.state === 'countdown');
+
+    expect(controller.cashOut()).toEqual({ success: false, message: 'Round not active' });
+    controller.startRound();
+
+    const rejected = controller.getAuditLog().filter(entry => entry.type === 'rejected');
+    expect(rejected.map(entry => entry.action)).toEqual(['cashOut', 'startRound']);
+    expect(controller.state).toBe('countdown');
+  });
+});
+
+describe('GameController crash event', () => {
+  // Rugs 3.5s before the round timer runs out, like the profiles' end-of-round crash window
+  function earlyRug({ samples, duration }) {
+    const { pricePoints } = plateau({ samples, duration: duration - 3.5 });
+    return { pricePoints, peakMultiplier: 2 };
+  }
+
+  it('fires once, on the first frame at $0, with the chart crash time and day', async () => {
+    const { clock, controller } = createGame();
+    controller.chartGenerator.registerRoundType('early_rug', { probability: 1e12, generate: earlyRug });
+    const crashes = [];
+    controller.on('crash', (data) => crashes.push({ ...data, state: controller.state, elapsed: controller.currentFrame.time }));
+
+    controller.startRound();
+    await runUntil(clock, () => controller.state === 'results');
+
+    const { duration } = controller.lastRevealedRound;
+    expect(crashes).toHaveLength(1);
+    expect(crashes[0]).toMatchObject({
+      time: duration - 3.5,
+      day: Math.floor(duration - 3.5) + 1,
+      state: 'active'
+    });
+    expect(crashes[0].elapsed).toBeLessThan(duration - 3);
+  });
+});
+
+describe('GameController round archive', () => {
+  it('records when the chart crashed, not when the round timer ran out', async () => {
+    const archive = new RoundArchive(new MemoryRecordStore());
+    const { clock, controller } = createGame({ archive });
+    controller.chartGenerator.registerRoundType('early_rug', {
+      probability: 1e12,
+      generate: ({ samples, duration }) => plateau({ samples, duration: duration - 2 })
+    });
+
+    controller.startRound();
+    await runUntil(clock, () => controller.state === 'results');
+    const [round] = await archive.list();
+
+    expect(round.crashTime).toBe(round.duration - 2);
+    expect(round.exits.at(-1)).toMatchObject({ type: 'rug', time: round.duration - 2, price: 0 });
+  });
+});
+
+describe('GameController sit out', () => {
+  it('skips the auto-invest and reports what the round bet would have made', async () => {
+    const { clock, controller } = createGame();
+    controller.setBetAmount(50);
+    controller.setSitOut(true);
+    let result = null;
+    controller.on('roundEnd', (data) => { result = data.result; });
+
+    controller.startRound();
+    await runUntil(clock, () => controller.state === 'active');
+    expect(controller.investmentManager.investments).toHaveLength(0);
+    expect(controller.balanceManager.getBalance()).toBe(1000);
+
+    // Changing the bet mid-round doesn't rewrite what this round would have made
+    controller.setBetAmount(200);
+    await runUntil(clock, () => controller.state === 'results');
+
+    expect(result.outcome).toBe('sat_out');
+    expect(result.counterfactual).toMatchObject({ amount: 50, profit: -50 });
+    expect(controller.stats).toEqual({ wins: 0, losses: 0 });
+  });
+
+  it('lets the player enter late at the market price', async () => {
+    const { clock, controller } = createGame();
+    controller.setSitOut(true);
+    controller.startRound();
+    await runUntil(clock, () => controller.state === 'active' && controller.currentFrame !== null);
+
+    const result = controller.enterRound(100);
+
+    expect(result.success).toBe(true);
+    expect(result.investment).toMatchObject({ type: 'initial', entryPrice: 2 });
+    expect(controller.canEnterRound()).toBe(false);
+  });
+});
+
+describe('GameController side bet markets', () => {
+  it('prices the peak markets of a new profile when it is picked', () => {
+    const controller = new GameController({
+      clock: new ManualClock(),
+      storage: null,
+      ledger: null,
+      archive: null,
+      logger: { log() {} },
+      autoRestart: false
+    });
+    let markets = null;
+    controller.on('stateChange', (data) => {
+      if (data.state === 'countdown') markets = data.sideBetMarkets;
+    });
+
+    controller.setProfile({ ...controller.chartGenerator.profile, name: 'slow', peakTiming: [0.5, 0.9] });
+    const sampled = SideBetBook.samplePeaks;
+    SideBetBook.samplePeaks = () => { throw new Error('sampled in the countdown'); };
+    try {
+      controller.startRound();
+    } finally {
+      SideBetBook.samplePeaks = sampled;
+    }
+
+    expect(controller.chartGenerator.profile.name).toBe('slow');
+    expect(markets.map(market => market.id)).toContain('peak_over:2');
+  });
+});
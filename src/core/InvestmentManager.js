@@ -1,81 +1,456 @@
 /**
  * InvestmentManager - Tracks player investments and calculates profit/loss
+ * Positions are long (profit as price rises) or short (profit as price falls, max 2x at the rug)
+ * Leverage multiplies the exposure of an entry's margin; leveraged positions can be liquidated
+ * Positions keep their money in whole cents (amountCents, openCents, realizedCents);
+ * everything returned is in dollars (see toView)
  */
+import { Money } from './Money.js';
+
+// Share of a position's margin that must remain; below it the position is liquidated
+const MAINTENANCE_MARGIN = 0.1;
+
+// Shorts allowed per round - they don't use the long entries (maxEntries)
+const SHORTS_PER_ROUND = 1;
+
 export class InvestmentManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Long entries allowed per round, including the auto-invest (2 = one double down)
+   */
+  constructor(options = {}) {
+    this.maxEntries = 2;
+    if (options.maxEntries !== undefined) {
+      this.setMaxEntries(options.maxEntries);
+    }
     this.reset();
   }
 
+  /**
+   * Set how many entries a round allows (applies immediately)
+   * @param {number} maxEntries - At least 1 (the auto-invest)
+   */
+  setMaxEntries(maxEntries) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new Error(`maxEntries must be a positive integer, got ${maxEntries}`);
+    }
+    this.maxEntries = maxEntries;
+  }
+
   /**
    * Reset investments for new round
    */
   reset() {
     this.investments = [];
+    this.exits = [];
     this.hasDoubledDown = false;
     this.hasCashedOut = false;
   }
 
   /**
    * Auto-invest at round start (always at $1.00, Day 0)
-   * @param {number} amount - Investment amount
+   * @param {number} amount - Investment amount (margin)
+   * @param {number} leverage - Exposure multiple, 1 for none
    * @returns {Object} Investment result
    */
-  autoInvest(amount) {
+  autoInvest(amount, leverage = 1) {
+    return this.openInitial(amount, 1.0, 0, leverage);
+  }
+
+  /**
+   * Open the round's first long - the auto-invest, or a late entry at market price (a short may already be open)
+   * @param {number} amount - Investment amount (margin)
+   * @param {number} entryPrice - Fill price
+   * @param {number} entryTime - Fill time in seconds
+   * @param {number} leverage - Exposure multiple, 1 for none
+   * @returns {Object} Investment result
+   */
+  openInitial(amount, entryPrice, entryTime, leverage = 1) {
+    if (this.countEntries('long') > 0) {
+      return { success: false, message: 'Already in this round' };
+    }
+
+    if (this.hasCashedOut) {
+      return { success: false, message: 'Already cashed out this round' };
+    }
+
+    if (!(entryPrice > 0)) {
+      return { success: false, message: 'Coin already rugged' };
+    }
+
+    if (!InvestmentManager.isValidLeverage(leverage)) {
+      return { success: false, message: 'Leverage must be at least 1x' };
+    }
+
+    const amountCents = Money.toCents(amount);
     const investment = {
       id: Date.now() + Math.random(),
-      amount,
-      entryPrice: 1.0,
-      entryTime: 0,
-      entryDay: 1,
+      amountCents,
+      entryPrice,
+      entryTime,
+      entryDay: Math.floor(entryTime) + 1,
+      highPrice: entryPrice,
+      side: 'long',
+      leverage,
+      liquidationPrice: InvestmentManager.getLiquidationPrice('long', entryPrice, leverage),
+      openCents: amountCents,
+      realizedCents: 0,
       status: 'active',
       type: 'initial'
     };
 
     this.investments.push(investment);
 
-    return { success: true, investment };
+    return { success: true, investment: InvestmentManager.toView(investment) };
   }
 
   /**
-   * Double down - add second investment at current price
+   * Double down - add another entry at current price
    * @param {number} amount - Investment amount
    * @param {number} entryPrice - Current market price
    * @param {number} entryTime - Current time
+   * @param {string} type - Entry type ('doubled' for manual entries, 'dca' for buy orders)
+   * @param {number} leverage - Exposure multiple, 1 for none
+   * @returns {Object} Investment result
+   */
+  doubleDown(amount, entryPrice, entryTime, type = 'doubled', leverage = 1) {
+    return this.addEntry(amount, entryPrice, entryTime, type, 'long', leverage);
+  }
+
+  /**
+   * Open a short at current price - the amount is the margin
+   * Needs no long and uses none of the long entries
+   * Pays up to 2x the margin when price hits $0, squeezed if price runs up too far
+   * @param {number} amount - Margin amount
+   * @param {number} entryPrice - Current market price
+   * @param {number} entryTime - Current time
+   * @param {number} leverage - Exposure multiple, 1 for none
    * @returns {Object} Investment result
    */
-  doubleDown(amount, entryPrice, entryTime) {
-    if (this.hasDoubledDown) {
-      return { success: false, message: 'Already doubled down this round' };
+  openShort(amount, entryPrice, entryTime, leverage = 1) {
+    return this.addEntry(amount, entryPrice, entryTime, 'short', 'short', leverage);
+  }
+
+  /**
+   * Add a long entry after the first one, or a short
+   * @param {number} amount
+   * @param {number} entryPrice
+   * @param {number} entryTime
+   * @param {string} type - 'doubled', 'dca' or 'short'
+   * @param {string} side - 'long' or 'short'
+   * @param {number} leverage - Exposure multiple, 1 for none
+   * @returns {Object} Investment result
+   */
+  addEntry(amount, entryPrice, entryTime, type, side, leverage = 1) {
+    if (side === 'short' && this.countEntries('short') >= SHORTS_PER_ROUND) {
+      return { success: false, message: 'Already shorted this round' };
+    }
+
+    if (side === 'long' && this.countEntries('long') >= this.maxEntries) {
+      return {
+        success: false,
+        message: this.maxEntries === 2
+          ? 'Already doubled down this round'
+          : `Maximum of ${this.maxEntries} entries reached this round`
+      };
     }
 
     if (this.hasCashedOut) {
       return { success: false, message: 'Already cashed out this round' };
     }
 
-    if (this.investments.length === 0) {
+    if (side === 'long' && this.countEntries('long') === 0) {
       return { success: false, message: 'No initial investment' };
     }
 
+    if (!(entryPrice > 0)) {
+      return { success: false, message: 'Coin already rugged' };
+    }
+
+    if (!InvestmentManager.isValidLeverage(leverage)) {
+      return { success: false, message: 'Leverage must be at least 1x' };
+    }
+
+    const amountCents = Money.toCents(amount);
     const investment = {
       id: Date.now() + Math.random(),
-      amount,
+      amountCents,
       entryPrice,
       entryTime,
       entryDay: Math.floor(entryTime) + 1,
+      highPrice: entryPrice,
+      side,
+      leverage,
+      liquidationPrice: InvestmentManager.getLiquidationPrice(side, entryPrice, leverage),
+      openCents: amountCents,
+      realizedCents: 0,
       status: 'active',
-      type: 'doubled'
+      type
     };
 
     this.investments.push(investment);
-    this.hasDoubledDown = true;
+    if (side === 'long') {
+      this.hasDoubledDown = true;
+    }
 
-    return { success: true, investment };
+    return { success: true, investment: InvestmentManager.toView(investment) };
+  }
+
+  /**
+   * @param {string} side - 'long' or 'short'
+   * @returns {number} Positions opened on that side this round
+   */
+  countEntries(side) {
+    return this.investments.filter(inv => inv.side === side).length;
+  }
+
+  /**
+   * Price at which a position's margin is down to the maintenance margin
+   * Set once when the position is opened
+   * @param {string} side - 'long' or 'short'
+   * @param {number} entryPrice
+   * @param {number} leverage
+   * @returns {number|null} Null if the position can't be liquidated (unleveraged long)
+   */
+  static getLiquidationPrice(side, entryPrice, leverage = 1) {
+    const move = (1 - MAINTENANCE_MARGIN) / leverage;
+    if (side === 'short') {
+      return entryPrice * (1 + move);
+    }
+    return leverage > 1 ? entryPrice * (1 - move) : null;
+  }
+
+  /**
+   * @param {number} leverage
+   * @returns {boolean}
+   */
+  static isValidLeverage(leverage) {
+    return Number.isFinite(leverage) && leverage >= 1;
+  }
+
+  /**
+   * Value of one dollar of a position's margin at a price
+   * @param {Object} inv - Position
+   * @param {number} price
+   * @returns {number}
+   */
+  static getMultiplier(inv, price) {
+    const move = (price / inv.entryPrice - 1) * inv.leverage;
+    return Math.max(0, 1 + (inv.side === 'short' ? -move : move));
+  }
+
+  /**
+   * What closing part of a position paid, rounded down to the cent
+   * @param {Object} inv - Position
+   * @param {number} closedCents - Margin closed
+   * @param {number} price - Exit price
+   * @returns {Object} { positionId, side, leverage, entryPrice, amountCents, valueCents, multiplier }
+   */
+  static getFill(inv, closedCents, price) {
+    const multiplier = InvestmentManager.getMultiplier(inv, price);
+    return {
+      positionId: inv.id,
+      side: inv.side,
+      leverage: inv.leverage,
+      entryPrice: inv.entryPrice,
+      amountCents: closedCents,
+      valueCents: Money.fill(closedCents, multiplier),
+      multiplier
+    };
+  }
+
+  /**
+   * A fill with its amount and value in dollars
+   * @param {Object} fill - Result of getFill
+   * @returns {Object} { positionId, side, leverage, entryPrice, amount, value, multiplier }
+   */
+  static fillToView({ amountCents, valueCents, ...fill }) {
+    return {
+      ...fill,
+      amount: Money.toDollars(amountCents),
+      value: Money.toDollars(valueCents)
+    };
+  }
+
+  /**
+   * A position with its money in dollars, as returned to callers
+   * @param {Object} inv - Position
+   * @returns {Object} Copy with amount, openAmount and realizedValue in dollars
+   */
+  static toView({ amountCents, openCents, realizedCents, ...inv }) {
+    return {
+      ...inv,
+      amount: Money.toDollars(amountCents),
+      openAmount: Money.toDollars(openCents),
+      realizedValue: Money.toDollars(realizedCents)
+    };
+  }
+
+  /**
+   * Money put in and taken out so far this round
+   * @returns {Object} { invested, realized } in dollars
+   */
+  getTotals() {
+    let investedCents = 0;
+    let realizedCents = 0;
+    this.investments.forEach(inv => {
+      investedCents += inv.amountCents;
+      realizedCents += inv.realizedCents;
+    });
+    return { invested: Money.toDollars(investedCents), realized: Money.toDollars(realizedCents) };
+  }
+
+  /**
+   * Open value in dollars as a straight line in price: value = slope * price + intercept
+   * (ignores the floor at $0, which liquidation reaches first, and fill rounding)
+   * @returns {Object} { slope, intercept }
+   */
+  getValueLine() {
+    let slope = 0;
+    let intercept = 0;
+    this.investments.forEach(inv => {
+      const open = Money.toDollars(inv.openCents);
+      const exposure = (inv.side === 'short' ? -1 : 1) * inv.leverage;
+      slope += exposure * open / inv.entryPrice;
+      intercept += open * (1 - exposure);
+    });
+    return { slope, intercept };
+  }
+
+  /**
+   * Average entry price of open longs, weighted by amount
+   * (total dollars / total coins, like a dollar-cost average)
+   * @returns {number|null} Null if no long is open
+   */
+  getAverageEntryPrice() {
+    let cents = 0;
+    let coins = 0;
+    this.investments.forEach(inv => {
+      if (inv.side === 'short') return;
+      cents += inv.openCents;
+      coins += inv.openCents / inv.entryPrice;
+    });
+    return coins > 0 ? cents / coins : null;
+  }
+
+  /**
+   * Nearest liquidation prices of open positions
+   * @returns {Object} { above, below } - shorts are liquidated above, longs below (null if none)
+   */
+  getLiquidationLevels() {
+    let above = null;
+    let below = null;
+    this.investments.forEach(inv => {
+      if (inv.openCents <= 0 || inv.liquidationPrice === null) return;
+      if (inv.side === 'short') {
+        above = above === null ? inv.liquidationPrice : Math.min(above, inv.liquidationPrice);
+      } else {
+        below = below === null ? inv.liquidationPrice : Math.max(below, inv.liquidationPrice);
+      }
+    });
+    return { above, below };
+  }
+
+  /**
+   * Liquidate every open position whose liquidation price has been reached
+   * The remaining margin is forfeited
+   * @param {number} price - Price the liquidation happened at
+   * @param {number} time
+   * @returns {Object} Result with the liquidated positions
+   */
+  liquidate(price, time = null) {
+    const liquidated = [];
+    const fills = [];
+    let costCents = 0;
+
+    this.investments.forEach(inv => {
+      if (inv.openCents <= 0 || inv.liquidationPrice === null) return;
+
+      const reached = inv.side === 'short'
+        ? price >= inv.liquidationPrice
+        : price <= inv.liquidationPrice;
+      if (!reached) return;
+
+      // The margin left is forfeited
+      fills.push({ ...InvestmentManager.getFill(inv, inv.openCents, price), valueCents: 0, multiplier: 0 });
+      costCents += inv.openCents;
+      inv.openCents = 0;
+      inv.status = 'liquidated';
+      liquidated.push(InvestmentManager.toView(inv));
+    });
+
+    if (liquidated.length === 0) {
+      return { success: false, message: 'Nothing to liquidate' };
+    }
+
+    const exit = {
+      type: 'liquidation',
+      time,
+      price,
+      fraction: 1,
+      costBasis: Money.toDollars(costCents),
+      proceeds: 0,
+      profit: -Money.toDollars(costCents),
+      fills: fills.map(InvestmentManager.fillToView)
+    };
+    this.exits.push(exit);
+
+    // Nothing left open: the round is over for the player
+    const closed = this.investments.every(inv => inv.openCents <= 0);
+    if (closed) {
+      this.hasCashedOut = true;
+    }
+
+    return {
+      success: true,
+      liquidated,
+      closed,
+      exit,
+      exits: this.exits.slice(),
+      ...this.calculateCurrentProfit(price)
+    };
+  }
+
+  /**
+   * Most recent long entry (DCA dips are measured from it)
+   * @returns {Object|null}
+   */
+  getLastEntry() {
+    const longs = this.investments.filter(inv => inv.side !== 'short');
+    return longs.length > 0 ? longs[longs.length - 1] : null;
+  }
+
+  /**
+   * Raise each open position's high-water mark (highest price since its entry)
+   * @param {number} price - Highest price seen since the last update
+   */
+  updateHighWaterMarks(price) {
+    this.investments.forEach(inv => {
+      if (inv.openCents > 0 && price > inv.highPrice) {
+        inv.highPrice = price;
+      }
+    });
+  }
+
+  /**
+   * Highest high-water mark among open longs
+   * @returns {number|null} Null if no long is open
+   */
+  getHighWaterMark() {
+    let high = null;
+    this.investments.forEach(inv => {
+      if (inv.openCents > 0 && inv.side !== 'short' && (high === null || inv.highPrice > high)) {
+        high = inv.highPrice;
+      }
+    });
+    return high;
   }
 
   /**
    * Calculate current profit/loss based on current price
+   * Realized P/L comes from partial sells, unrealized from what is still open (valued like a fill)
    * @param {number} currentPrice - Current market price
-   * @returns {Object} Profit data
+   * @returns {Object} Profit data in dollars
    */
   calculateCurrentProfit(currentPrice) {
     if (this.investments.length === 0) {
@@ -83,50 +458,97 @@ export class InvestmentManager {
         totalProfit: 0,
         totalInvested: 0,
         currentValue: 0,
+        realizedValue: 0,
+        realizedProfit: 0,
+        unrealizedProfit: 0,
         multiplier: 0,
+        averageEntryPrice: null,
         positions: []
       };
     }
 
-    let totalInvested = 0;
-    let currentValue = 0;
+    let investedCents = 0;
+    let valueCents = 0;
+    let realizedCents = 0;
+    let realizedProfitCents = 0;
     const positions = [];
 
     for (const inv of this.investments) {
-      const invested = inv.amount;
-      const multiplier = currentPrice / inv.entryPrice;
-      const value = invested * multiplier;
-      const profit = value - invested;
+      const { valueCents: positionValue, multiplier } = InvestmentManager.getFill(inv, inv.openCents, currentPrice);
+      const positionRealized = inv.realizedCents - (inv.amountCents - inv.openCents);
+      const positionUnrealized = positionValue - inv.openCents;
 
-      totalInvested += invested;
-      currentValue += value;
+      investedCents += inv.amountCents;
+      valueCents += positionValue;
+      realizedCents += inv.realizedCents;
+      realizedProfitCents += positionRealized;
 
       positions.push({
-        ...inv,
+        ...InvestmentManager.toView(inv),
         multiplier,
-        value,
-        profit
+        value: Money.toDollars(positionValue),
+        realizedProfit: Money.toDollars(positionRealized),
+        unrealizedProfit: Money.toDollars(positionUnrealized),
+        profit: Money.toDollars(positionRealized + positionUnrealized)
       });
     }
 
-    const totalProfit = currentValue - totalInvested;
-    const overallMultiplier = currentValue / totalInvested;
+    const profitCents = valueCents + realizedCents - investedCents;
 
     return {
-      totalProfit,
-      totalInvested,
-      currentValue,
-      multiplier: overallMultiplier,
+      totalProfit: Money.toDollars(profitCents),
+      totalInvested: Money.toDollars(investedCents),
+      currentValue: Money.toDollars(valueCents),
+      realizedValue: Money.toDollars(realizedCents),
+      realizedProfit: Money.toDollars(realizedProfitCents),
+      unrealizedProfit: Money.toDollars(profitCents - realizedProfitCents),
+      multiplier: (valueCents + realizedCents) / investedCents,
+      averageEntryPrice: this.getAverageEntryPrice(),
       positions
     };
   }
 
+  /**
+   * Sell part of every open position, the rest stays exposed
+   * @param {number} fraction - Share of the open amount to sell (0-1, 1 = full cash out)
+   * @param {number} currentPrice - Current market price
+   * @param {number} currentTime - Current time
+   * @returns {Object} Sell result with the exit and updated profit data
+   */
+  partialCashOut(fraction, currentPrice, currentTime = null) {
+    if (this.investments.length === 0) {
+      return { success: false, message: 'No active investments' };
+    }
+
+    if (this.hasCashedOut) {
+      return { success: false, message: 'Already cashed out' };
+    }
+
+    if (!(fraction > 0 && fraction <= 1)) {
+      return { success: false, message: 'Sell fraction must be between 0 and 1' };
+    }
+
+    if (fraction === 1) {
+      return this.cashOut(currentPrice, currentTime);
+    }
+
+    const exit = this.closePositions(fraction, currentPrice, currentTime, 'partial');
+
+    return {
+      success: true,
+      exit,
+      proceeds: exit.proceeds,
+      ...this.calculateCurrentProfit(currentPrice)
+    };
+  }
+
   /**
    * Cash out all investments
    * @param {number} currentPrice - Current market price
+   * @param {number} currentTime - Current time
    * @returns {Object} Cash out result
    */
-  cashOut(currentPrice) {
+  cashOut(currentPrice, currentTime = null) {
     if (this.investments.length === 0) {
       return { success: false, message: 'No active investments' };
     }
@@ -135,58 +557,153 @@ export class InvestmentManager {
       return { success: false, message: 'Already cashed out' };
     }
 
-    const profitData = this.calculateCurrentProfit(currentPrice);
+    const exit = this.closePositions(1, currentPrice, currentTime, 'full');
     this.hasCashedOut = true;
 
-    // Mark all investments as cashed out
+    // Mark all open investments as cashed out
     this.investments.forEach(inv => {
-      inv.status = 'cashed_out';
+      if (inv.status === 'active') {
+        inv.status = 'cashed_out';
+      }
     });
 
     return {
       success: true,
-      ...profitData
+      exit,
+      proceeds: exit.proceeds,
+      exits: this.exits.slice(),
+      ...this.calculateCurrentProfit(currentPrice)
+    };
+  }
+
+  /**
+   * Sell a fraction of each position's open amount and record the exit
+   * The amount sold rounds to the nearest cent, what it pays rounds down
+   * @param {number} fraction
+   * @param {number} price
+   * @param {number} time
+   * @param {string} type - 'partial' or 'full'
+   * @returns {Object} Exit record, with a fill per position
+   */
+  closePositions(fraction, price, time, type) {
+    const fills = [];
+    let costCents = 0;
+    let proceedsCents = 0;
+
+    for (const inv of this.investments) {
+      if (inv.openCents <= 0) continue;
+
+      const soldCents = fraction === 1 ? inv.openCents : Money.share(inv.openCents, fraction);
+      const fill = InvestmentManager.getFill(inv, soldCents, price);
+
+      inv.openCents -= soldCents;
+      inv.realizedCents += fill.valueCents;
+      costCents += soldCents;
+      proceedsCents += fill.valueCents;
+      fills.push(InvestmentManager.fillToView(fill));
+    }
+
+    const exit = {
+      type,
+      time,
+      price,
+      fraction,
+      costBasis: Money.toDollars(costCents),
+      proceeds: Money.toDollars(proceedsCents),
+      profit: Money.toDollars(proceedsCents - costCents),
+      fills
     };
+
+    this.exits.push(exit);
+    return exit;
   }
 
   /**
-   * Mark all investments as lost (round ended without cash out)
-   * @returns {Object} Loss result
+   * Settle everything still open at the rug (round ended without cash out)
+   * Longs are lost, shorts are closed at $0 for their maximum payout
+   * Anything already sold with partial cash outs is kept
+   * @returns {Object} Loss result, with `payout` owed to the player for shorts and a fill per open position
    */
   markAsLost() {
     if (this.investments.length === 0) {
       return { success: false, totalLoss: 0, positions: [] };
     }
 
-    let totalLoss = 0;
+    let investedCents = 0;
+    let realizedCents = 0;
+    let ruggedCents = 0;
+    let payoutCents = 0;
     const positions = [];
+    const fills = [];
 
     this.investments.forEach(inv => {
-      inv.status = 'lost';
-      totalLoss += inv.amount;
+      const realizedProfit = inv.realizedCents - (inv.amountCents - inv.openCents);
+      const fill = InvestmentManager.getFill(inv, inv.openCents, 0);
+      const value = fill.valueCents;
+
+      if (inv.status === 'active') {
+        inv.status = inv.side === 'short' ? 'rug_payout' : 'lost';
+      }
+
+      investedCents += inv.amountCents;
+      realizedCents += inv.realizedCents;
+      payoutCents += value;
+      if (value === 0) {
+        ruggedCents += inv.openCents;
+      }
+      if (inv.openCents > 0) {
+        fills.push(InvestmentManager.fillToView(fill));
+      }
 
       positions.push({
-        ...inv,
-        multiplier: 0,
-        value: 0,
-        profit: -inv.amount
+        ...InvestmentManager.toView(inv),
+        multiplier: fill.multiplier,
+        value: Money.toDollars(value),
+        realizedProfit: Money.toDollars(realizedProfit),
+        unrealizedProfit: Money.toDollars(value - inv.openCents),
+        profit: Money.toDollars(inv.realizedCents + value - inv.amountCents)
       });
+
+      inv.realizedCents += value;
+      inv.openCents = 0;
     });
 
     return {
       success: true,
-      totalLoss,
-      totalInvested: totalLoss,
-      positions
+      totalLoss: Money.toDollars(investedCents - realizedCents - payoutCents),
+      totalInvested: Money.toDollars(investedCents),
+      realizedValue: Money.toDollars(realizedCents + payoutCents),
+      payout: Money.toDollars(payoutCents),
+      ruggedAmount: Money.toDollars(ruggedCents),
+      exits: this.exits.slice(),
+      positions,
+      fills
     };
   }
 
   /**
-   * Check if can double down
+   * Check if can double down (add another long entry)
    * @returns {boolean}
    */
   canDoubleDown() {
-    return !this.hasDoubledDown && !this.hasCashedOut && this.investments.length > 0;
+    const longs = this.countEntries('long');
+    return !this.hasCashedOut && longs > 0 && longs < this.maxEntries;
+  }
+
+  /**
+   * Check if can open the first long (auto-invest skipped or sat out)
+   * @returns {boolean}
+   */
+  canEnter() {
+    return !this.hasCashedOut && this.countEntries('long') === 0;
+  }
+
+  /**
+   * Check if can open a short
+   * @returns {boolean}
+   */
+  canShort() {
+    return !this.hasCashedOut && this.countEntries('short') < SHORTS_PER_ROUND;
   }
 
   /**
@@ -204,10 +721,12 @@ export class InvestmentManager {
   getSummary() {
     return {
       totalInvestments: this.investments.length,
+      maxEntries: this.maxEntries,
       hasDoubledDown: this.hasDoubledDown,
       hasCashedOut: this.hasCashedOut,
       canDoubleDown: this.canDoubleDown(),
-      investments: this.investments
+      investments: this.investments.map(InvestmentManager.toView),
+      exits: this.exits
     };
   }
 }
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { InvestmentManager } from './InvestmentManager.js';
+import { OrderBook } from './OrderBook.js';
+import { PriceIndex } from './PriceIndex.js';
+import { GameController } from './GameController.js';
+import { ManualClock } from './Clock.js';
+
+describe('InvestmentManager shorts', () => {
+  it('opens a short without a long', () => {
+    const investments = new InvestmentManager();
+    const result = investments.openShort(100, 2, 3);
+
+    expect(result.success).toBe(true);
+    expect(result.investment.side).toBe('short');
+    expect(result.investment.entryPrice).toBe(2);
+    expect(investments.canEnter()).toBe(true);
+    expect(investments.canDoubleDown()).toBe(false);
+  });
+
+  it('does not use the long entries', () => {
+    const investments = new InvestmentManager({ maxEntries: 2 });
+    investments.autoInvest(100);
+    investments.doubleDown(100, 1.2, 2);
+
+    expect(investments.canDoubleDown()).toBe(false);
+    expect(investments.openShort(100, 1.2, 2.5).success).toBe(true);
+  });
+
+  it('allows one short per round', () => {
+    const investments = new InvestmentManager();
+    investments.openShort(100, 1, 1);
+
+    expect(investments.canShort()).toBe(false);
+    expect(investments.openShort(100, 1, 2)).toEqual({ success: false, message: 'Already shorted this round' });
+  });
+
+  it('lets the player go long after shorting', () => {
+    const investments = new InvestmentManager();
+    investments.openShort(100, 1.5, 1);
+
+    expect(investments.openInitial(100, 1.4, 2).success).toBe(true);
+    expect(investments.canEnter()).toBe(false);
+  });
+
+  it('pays shorts their maximum at the rug', () => {
+    const investments = new InvestmentManager();
+    investments.openShort(100, 1, 1);
+    investments.openInitial(50, 1.2, 2);
+
+    const result = investments.markAsLost();
+
+    expect(result.payout).toBe(200);
+    expect(result.positions.map(position => position.status)).toEqual(['rug_payout', 'lost']);
+  });
+
+  it('enters shorts at the market price', () => {
+    const investments = new InvestmentManager();
+    investments.openShort(100, 1, 1, 5);
+
+    expect(investments.calculateCurrentProfit(1).currentValue).toBe(100);
+    expect(investments.calculateCurrentProfit(0.9).currentValue).toBeCloseTo(150);
+  });
+
+  it('squeezes shorts above the liquidation price', () => {
+    const investments = new InvestmentManager();
+    const { investment } = investments.openShort(100, 1, 1, 2);
+
+    expect(investment.liquidationPrice).toBeCloseTo(investment.entryPrice * 1.45);
+    expect(investments.liquidate(investment.liquidationPrice, 2).closed).toBe(true);
+  });
+});
+
+describe('InvestmentManager entries', () => {
+  it('allows as many long entries as maxEntries', () => {
+    const investments = new InvestmentManager({ maxEntries: 4 });
+    investments.autoInvest(100);
+
+    [0.9, 0.8, 0.7].forEach((price, i) => {
+      expect(investments.doubleDown(10, price, i + 1).success).toBe(true);
+    });
+
+    expect(investments.canDoubleDown()).toBe(false);
+    expect(investments.doubleDown(10, 0.6, 5).message).toBe('Maximum of 4 entries reached this round');
+  });
+
+  it('rejects an invalid limit', () => {
+    expect(() => new InvestmentManager({ maxEntries: 0 })).toThrow('maxEntries must be a positive integer, got 0');
+  });
+});
+
+describe('InvestmentManager leverage', () => {
+  it('liquidates a leveraged long when the move has eaten its margin', () => {
+    const investments = new InvestmentManager();
+    const { investment } = investments.openInitial(100, 2, 1, 5);
+
+    // 90% of the margin gone: a 18% fall at 5x
+    expect(investment.liquidationPrice).toBeCloseTo(1.64);
+    expect(investments.liquidate(1.7, 2)).toEqual({ success: false, message: 'Nothing to liquidate' });
+
+    const result = investments.liquidate(investment.liquidationPrice, 3);
+
+    expect(result.closed).toBe(true);
+    expect(result.liquidated[0].status).toBe('liquidated');
+    expect(result.exit).toMatchObject({ type: 'liquidation', proceeds: 0, profit: -100 });
+  });
+
+  it('never liquidates an unleveraged long', () => {
+    const investments = new InvestmentManager();
+    const { investment } = investments.openInitial(100, 1, 0);
+
+    expect(investment.liquidationPrice).toBeNull();
+    expect(investments.getLiquidationLevels()).toEqual({ above: null, below: null });
+  });
+
+  it('is liquidated where the order book finds the curve crossing the level', () => {
+    const investments = new InvestmentManager();
+    investments.openInitial(100, 1, 0, 10);
+    const orderBook = new OrderBook();
+    const chart = new PriceIndex([{ time: 0, price: 1 }, { time: 1, price: 0.8 }, { time: 2, price: 1.2 }]);
+
+    const levels = orderBook.getTriggerLevels(investments);
+    expect(levels.liquidationBelow).toBeCloseTo(0.91);
+
+    const trigger = orderBook.findTrigger(chart, 0, 2, levels);
+    expect(trigger.order).toBe('liquidation');
+    expect(trigger.price).toBeCloseTo(0.91);
+    expect(trigger.time).toBeCloseTo(0.45);
+    expect(investments.liquidate(trigger.price, trigger.time).closed).toBe(true);
+  });
+
+  it('is not liquidated by the crash to $0', () => {
+    const investments = new InvestmentManager();
+    investments.openInitial(100, 1, 0, 10);
+    const orderBook = new OrderBook();
+    const chart = new PriceIndex([{ time: 0, price: 1 }, { time: 1, price: 1 }, { time: 1, price: 0 }]);
+
+    expect(orderBook.findTrigger(chart, 0, 2, orderBook.getTriggerLevels(investments))).toBeNull();
+  });
+
+  it('is capped at the controller\'s maxLeverage', () => {
+    const controller = new GameController({
+      clock: new ManualClock(),
+      storage: null,
+      ledger: null,
+      archive: null,
+      logger: { log() {} },
+      maxLeverage: 5
+    });
+
+    expect(controller.setLeverage(6)).toEqual({ success: false, message: 'Leverage is capped at 5x' });
+    expect(controller.setLeverage(5)).toEqual({ success: true, leverage: 5 });
+
+    expect(controller.setMaxLeverage(3)).toEqual({ success: true, maxLeverage: 3, leverage: 3 });
+    expect(controller.setLeverage(4).success).toBe(false);
+  });
+});
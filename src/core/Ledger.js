@@ -0,0 +1,135 @@
+/**
+ * Ledger - Every balance transaction the player ever made, kept for review and export
+ * Stored in IndexedDB in the browser, in memory where IndexedDB is missing (Node)
+ */
+import { MemoryRecordStore, IndexedDbRecordStore } from './RecordStore.js';
+
+// Columns of the CSV export, in order
+export const LEDGER_COLUMNS = [
+  'id', 'timestamp', 'reason', 'amount', 'balanceAfter', 'debtAfter',
+  'roundId', 'coinName', 'positionId', 'side', 'leverage',
+  'entryPrice', 'exitPrice', 'multiplier', 'profit', 'outcome', 'marketId'
+];
+
+export class Ledger {
+  /**
+   * @param {Object} backend - Entry store (see RecordStore.js), IndexedDB if available
+   */
+  constructor(backend = Ledger.getDefaultBackend()) {
+    this.backend = backend;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Add a transaction to the ledger
+   * Writes are queued so entries keep their order; a failed write is logged, not thrown
+   * @param {Object} entry - Transaction from BalanceManager
+   * @returns {Promise}
+   */
+  append(entry) {
+    this.pending = this.pending
+      .then(() => this.backend.add({ ...entry }))
+      .catch(e => console.warn('Could not write to the ledger:', e));
+    return this.pending;
+  }
+
+  /**
+   * Entries matching the filters, oldest first
+   * @param {Object} filters - { reason, coinName, roundId, outcome, from, to } (all optional)
+   * @returns {Promise<Array>}
+   */
+  async query(filters = {}) {
+    const { from = null, to = null } = filters;
+    await this.pending;
+    const entries = await this.backend.getAll(from, to);
+    return entries.filter(entry => Ledger.matches(entry, filters));
+  }
+
+  /**
+   * Values seen in the ledger, for filter pickers
+   * @returns {Promise<Object>} { reasons, coinNames }
+   */
+  async getFilterOptions() {
+    const entries = await this.query();
+    const distinct = (key) => [...new Set(entries.map(entry => entry[key]).filter(Boolean))].sort();
+
+    return {
+      reasons: distinct('reason'),
+      coinNames: distinct('coinName')
+    };
+  }
+
+  /**
+   * Delete every entry
+   * @returns {Promise}
+   */
+  async clear() {
+    await this.pending;
+    return this.backend.clear();
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {Object} filters - reason, coinName, roundId and outcome match exactly; from/to are
+   *   inclusive timestamps (ms)
+   * @returns {boolean}
+   */
+  static matches(entry, { reason, coinName, roundId, outcome, from, to } = {}) {
+    if (reason && entry.reason !== reason) return false;
+    if (coinName && entry.coinName !== coinName) return false;
+    if (roundId && entry.roundId !== roundId) return false;
+    if (outcome && entry.outcome !== outcome) return false;
+    if (Number.isFinite(from) && entry.timestamp < from) return false;
+    if (Number.isFinite(to) && entry.timestamp > to) return false;
+    return true;
+  }
+
+  /**
+   * Entries as CSV, one row per entry with a header row
+   * @param {Array} entries
+   * @returns {string}
+   */
+  static toCSV(entries) {
+    const rows = entries.map(entry => LEDGER_COLUMNS.map(column => {
+      const value = column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column];
+      return Ledger.escapeCSV(value);
+    }).join(','));
+
+    return [LEDGER_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Entries as a JSON array (every field, not just the CSV columns)
+   * @param {Array} entries
+   * @returns {string}
+   */
+  static toJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  /**
+   * @param {*} value
+   * @returns {string} CSV field, quoted if needed
+   */
+  static escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * IndexedDB if the browser has it, memory otherwise
+   * @returns {Object} Backend
+   */
+  static getDefaultBackend() {
+    try {
+      if (globalThis.indexedDB) {
+        return new IndexedDbRecordStore(globalThis.indexedDB, 'ledger');
+      }
+    } catch (e) {
+      // Blocked by the browser - fall through
+    }
+    return new MemoryRecordStore();
+  }
+}
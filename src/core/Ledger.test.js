@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { Ledger, LEDGER_COLUMNS } from './Ledger.js';
+import { MemoryRecordStore } from './RecordStore.js';
+
+async function createLedger(...entries) {
+  const ledger = new Ledger(new MemoryRecordStore());
+  entries.forEach(entry => ledger.append(entry));
+  await ledger.pending;
+  return ledger;
+}
+
+const entries = [
+  { timestamp: 1000, reason: 'investment', amount: -50, roundId: 'r1', coinName: 'DOGE2' },
+  { timestamp: 2000, reason: 'cash_out', amount: 80, roundId: 'r1', coinName: 'DOGE2', outcome: 'win' },
+  { timestamp: 3000, reason: 'investment', amount: -50, roundId: 'r2', coinName: 'PEPE' },
+  { timestamp: 4000, reason: 'investment_lost', amount: 0, roundId: 'r2', coinName: 'PEPE', outcome: 'loss' }
+];
+
+describe('Ledger.query', () => {
+  it('returns every entry oldest first with an id', async () => {
+    const ledger = await createLedger(...entries);
+    const all = await ledger.query();
+
+    expect(all.map(entry => entry.id)).toEqual([1, 2, 3, 4]);
+    expect(all.map(entry => entry.timestamp)).toEqual([1000, 2000, 3000, 4000]);
+  });
+
+  it.each([
+    [{ reason: 'investment' }, [1000, 3000]],
+    [{ coinName: 'PEPE' }, [3000, 4000]],
+    [{ roundId: 'r1' }, [1000, 2000]],
+    [{ outcome: 'loss' }, [4000]],
+    [{ from: 2000, to: 3000 }, [2000, 3000]],
+    [{ from: 2500 }, [3000, 4000]],
+    [{ to: 1000 }, [1000]],
+    [{ reason: 'investment', coinName: 'PEPE', from: 0 }, [3000]],
+    [{ reason: 'side_bet' }, []]
+  ])('filters by %j', async (filters, timestamps) => {
+    const ledger = await createLedger(...entries);
+    const matched = await ledger.query(filters);
+
+    expect(matched.map(entry => entry.timestamp)).toEqual(timestamps);
+  });
+
+  it('waits for queued writes', async () => {
+    const ledger = new Ledger(new MemoryRecordStore());
+    ledger.append(entries[0]);
+
+    expect(await ledger.query()).toHaveLength(1);
+  });
+
+  it('lists the reasons and coins seen', async () => {
+    const ledger = await createLedger(...entries, { timestamp: 5000, reason: 'bailout', amount: 100 });
+
+    expect(await ledger.getFilterOptions()).toEqual({
+      reasons: ['bailout', 'cash_out', 'investment', 'investment_lost'],
+      coinNames: ['DOGE2', 'PEPE']
+    });
+  });
+});
+
+describe('Ledger.toCSV', () => {
+  it('writes a header and one row per entry in column order', () => {
+    const csv = Ledger.toCSV([entries[1]]);
+    const [header, row, end] = csv.split('\n');
+
+    expect(header).toBe(LEDGER_COLUMNS.join(','));
+    expect(row).toBe(',1970-01-01T00:00:02.000Z,cash_out,80,,,r1,DOGE2,,,,,,,,win,');
+    expect(end).toBe('');
+  });
+
+  it('quotes fields with commas, quotes and newlines', () => {
+    const csv = Ledger.toCSV([{ timestamp: 0, reason: 'side_bet', coinName: 'RUG, "PULL"\nINU', marketId: 'peak_over:2' }]);
+
+    expect(csv.split('\n').slice(1).join('\n')).toBe(
+      ',1970-01-01T00:00:00.000Z,side_bet,,,,,"RUG, ""PULL""\nINU",,,,,,,,,peak_over:2\n'
+    );
+  });
+
+  it.each([
+    [null, ''],
+    [undefined, ''],
+    [0, '0'],
+    ['plain', 'plain'],
+    ['a,b', '"a,b"'],
+    ['say "hi"', '"say ""hi"""'],
+    ['line\r\nbreak', '"line\r\nbreak"']
+  ])('escapes %j as %j', (value, expected) => {
+    expect(Ledger.escapeCSV(value)).toBe(expected);
+  });
+});
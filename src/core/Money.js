@@ -0,0 +1,71 @@
+/**
+ * Money - Amounts as whole cents, so balances never drift
+ * Dollars only appear at the edges (inputs, results, display); all sums are done in cents
+ *
+ * Rounding rules:
+ * - Entered amounts round to the nearest cent (half away from zero)
+ * - Fills (what a position pays at a price) round down - the house keeps the fraction
+ * - Shares of an amount (partial sells, interest) round to the nearest cent
+ */
+
+// Float error allowed when flooring a fill, in cents (e.g. 100 * 0.29 = 28.999999999999996)
+const FILL_TOLERANCE = 1e-6;
+
+export class Money {
+  /**
+   * @param {number} dollars
+   * @returns {number} Whole cents
+   */
+  static toCents(dollars) {
+    if (!Number.isFinite(dollars)) {
+      throw new Error(`Not a money amount: ${dollars}`);
+    }
+    const cents = Math.round(Math.abs(dollars) * 100);
+    return dollars < 0 ? -cents : cents;
+  }
+
+  /**
+   * @param {number} cents - Whole cents
+   * @returns {number} Dollars (the nearest double to the exact amount)
+   */
+  static toDollars(cents) {
+    return cents / 100;
+  }
+
+  /**
+   * Round a dollar amount to the cent
+   * @param {number} dollars
+   * @returns {number}
+   */
+  static round(dollars) {
+    return Money.toDollars(Money.toCents(dollars));
+  }
+
+  /**
+   * What an amount is worth at a multiplier, rounded down to the cent
+   * @param {number} cents - Whole cents
+   * @param {number} multiplier - Value per unit, e.g. exit price / entry price
+   * @returns {number} Whole cents
+   */
+  static fill(cents, multiplier) {
+    return Math.max(0, Math.floor(cents * multiplier + FILL_TOLERANCE));
+  }
+
+  /**
+   * A share of an amount, rounded to the nearest cent
+   * @param {number} cents - Whole cents
+   * @param {number} fraction - e.g. 0.25, or 0.1 for 10% interest
+   * @returns {number} Whole cents
+   */
+  static share(cents, fraction) {
+    return Math.round(cents * fraction);
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean} True for a whole number of cents
+   */
+  static isCents(value) {
+    return Number.isSafeInteger(value);
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { Money } from './Money.js';
+import { BalanceManager } from './BalanceManager.js';
+import { InvestmentManager } from './InvestmentManager.js';
+
+describe('Money', () => {
+  it('rounds entered amounts to the nearest cent, halves away from zero', () => {
+    expect(Money.toCents(10.004)).toBe(1000);
+    expect(Money.toCents(0.125)).toBe(13);
+    expect(Money.toCents(-0.125)).toBe(-13);
+    expect(Money.toCents(0.1 + 0.2)).toBe(30);
+    expect(Money.round(19.999)).toBe(20);
+  });
+
+  it('rejects amounts that are not numbers', () => {
+    expect(() => Money.toCents(NaN)).toThrow('Not a money amount: NaN');
+    expect(() => Money.toCents(Infinity)).toThrow();
+  });
+
+  it('rounds fills down, ignoring float error', () => {
+    expect(Money.fill(100, 1.239)).toBe(123);
+    expect(Money.fill(100, 0.29)).toBe(29);
+    expect(Money.fill(100, -0.5)).toBe(0);
+  });
+
+  it('rounds shares to the nearest cent', () => {
+    expect(Money.share(333, 0.5)).toBe(167);
+    expect(Money.share(1000, 0.1)).toBe(100);
+  });
+});
+
+describe('Money across the managers', () => {
+  it('keeps the wallet in whole cents over many small amounts', () => {
+    const balance = new BalanceManager(0);
+    for (let i = 0; i < 1000; i++) {
+      balance.add(0.1);
+    }
+    balance.deduct(33.33);
+
+    expect(balance.getBalance()).toBe(66.67);
+    expect(balance.checkBooks()).toEqual([]);
+  });
+
+  it('sells partial positions without losing or creating a cent', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(10);
+
+    const first = investments.partialCashOut(1 / 3, 1.37, 1);
+    const second = investments.partialCashOut(0.5, 1.37, 2);
+    const last = investments.cashOut(1.37, 3);
+
+    const sold = [first.exit, second.exit, last.exit].reduce((sum, exit) => sum + Money.toCents(exit.costBasis), 0);
+    expect(sold).toBe(1000);
+    expect(first.exit.costBasis).toBe(3.33);
+    expect(first.exit.proceeds).toBe(4.56); // 3.33 * 1.37 = 4.5621, rounded down
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * OrderBook - Pre-set exit orders on the active position
+ * Take profit at a position multiplier, stop-loss at a price, trailing stop, time exit on day N,
+ * plus DCA buy orders that add an entry on every dip
+ * Orders are defaults: whatever is set carries into the next round
+ */
+export class OrderBook {
+  constructor() {
+    this.defaults = {
+      takeProfit: null,   // position multiplier, e.g. 1.5
+      stopLoss: null,     // price, e.g. 0.80 (hit from above for a net long book, from below for a net short one)
+      trailingStop: null, // drop from the high-water mark, e.g. 0.15 for 15%
+      exitDay: null,      // day number, exits when the day starts
+      dcaAmount: null,    // dollars to buy on each dip
+      dcaDip: null        // dip below the last entry price that triggers a buy, e.g. 0.10
+    };
+    this.reset();
+  }
+
+  /**
+   * Arm the default orders for a new round
+   */
+  reset() {
+    this.orders = { ...this.defaults };
+  }
+
+  /**
+   * Set orders for the current round and as defaults for the next ones
+   * Missing keys keep their value, null clears an order
+   * @param {Object} orders - { takeProfit, stopLoss, trailingStop, exitDay, dcaAmount, dcaDip }
+   * @returns {Object} Result
+   */
+  setOrders(orders) {
+    const next = { ...this.defaults, ...orders };
+
+    if (next.takeProfit !== null && !(Number.isFinite(next.takeProfit) && next.takeProfit > 0)) {
+      return { success: false, message: 'Take profit must be a positive multiplier' };
+    }
+
+    if (next.stopLoss !== null && !(Number.isFinite(next.stopLoss) && next.stopLoss > 0)) {
+      return { success: false, message: 'Stop-loss must be a positive price' };
+    }
+
+    if (next.trailingStop !== null && !(Number.isFinite(next.trailingStop) && next.trailingStop > 0 && next.trailingStop < 1)) {
+      return { success: false, message: 'Trailing stop must be between 0% and 100%' };
+    }
+
+    if (next.exitDay !== null && !(Number.isInteger(next.exitDay) && next.exitDay >= 1)) {
+      return { success: false, message: 'Exit day must be a whole day number (1 or later)' };
+    }
+
+    if ((next.dcaAmount === null) !== (next.dcaDip === null)) {
+      return { success: false, message: 'DCA needs both an amount and a dip' };
+    }
+
+    if (next.dcaAmount !== null && !(Number.isFinite(next.dcaAmount) && next.dcaAmount >= 1)) {
+      return { success: false, message: 'DCA amount must be at least $1' };
+    }
+
+    if (next.dcaDip !== null && !(Number.isFinite(next.dcaDip) && next.dcaDip > 0 && next.dcaDip < 1)) {
+      return { success: false, message: 'DCA dip must be between 0% and 100%' };
+    }
+
+    this.defaults = next;
+    this.orders = { ...next };
+
+    return { success: true, orders: this.getOrders() };
+  }
+
+  /**
+   * Cancel all orders (now and for future rounds)
+   */
+  clear() {
+    return this.setOrders({
+      takeProfit: null,
+      stopLoss: null,
+      trailingStop: null,
+      exitDay: null,
+      dcaAmount: null,
+      dcaDip: null
+    });
+  }
+
+  /**
+   * @returns {Object} { takeProfit, stopLoss, trailingStop, exitDay, dcaAmount, dcaDip }
+   */
+  getOrders() {
+    return { ...this.orders };
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  hasOrders() {
+    return Object.values(this.orders).some(value => value !== null);
+  }
+
+  /**
+   * Convert orders into trigger levels for the current position
+   * The position value is linear in price, so a target multiplier maps to a single price
+   * (reached from below for a net long book, from above for a net short one)
+   * The stop-loss guards against the losing direction: a fall for a net long book, a rally for a net short one
+   * @param {InvestmentManager} investmentManager
+   * @returns {Object} { takeProfitPrice, takeProfitAbove, stopLossPrice, stopLossAbove, trailingStopPrice,
+   *   trailingStop, highWaterMark, exitTime, dcaPrice, liquidationAbove, liquidationBelow }
+   */
+  getTriggerLevels(investmentManager) {
+    const { takeProfit, stopLoss, trailingStop, exitDay, dcaDip } = this.orders;
+    let takeProfitPrice = null;
+    let takeProfitAbove = true;
+    const stopLossAbove = investmentManager.getValueLine().slope < 0;
+
+    if (takeProfit !== null) {
+      const investments = investmentManager.investments;
+
+      if (investments.length === 0) {
+        // Not invested yet: the round opens at $1.00
+        takeProfitPrice = takeProfit;
+      } else {
+        const { invested, realized } = investmentManager.getTotals();
+        const { slope, intercept } = investmentManager.getValueLine();
+        const price = (takeProfit * invested - realized - intercept) / slope;
+        takeProfitAbove = slope > 0;
+
+        if (slope > 0) {
+          takeProfitPrice = Math.max(0, price);
+        } else if (slope < 0 && price > 0) {
+          takeProfitPrice = price;
+        }
+      }
+    }
+
+    // Trails the highest price since entry (only once there is a position)
+    const highWaterMark = investmentManager.getHighWaterMark();
+    const trailingStopPrice = trailingStop !== null && highWaterMark !== null
+      ? highWaterMark * (1 - trailingStop)
+      : null;
+
+    // Next DCA buy: a dip below the most recent entry, while entries are left
+    const lastEntry = investmentManager.getLastEntry();
+    const dcaPrice = dcaDip !== null && lastEntry && investmentManager.canDoubleDown()
+      ? lastEntry.entryPrice * (1 - dcaDip)
+      : null;
+
+    // Forced exits, not orders - but they cross the curve the same way
+    const liquidation = investmentManager.getLiquidationLevels();
+
+    return {
+      takeProfitPrice,
+      takeProfitAbove,
+      stopLossPrice: stopLoss,
+      stopLossAbove,
+      trailingStopPrice,
+      trailingStop,
+      highWaterMark,
+      exitTime: exitDay === null ? null : exitDay - 1,
+      dcaPrice,
+      liquidationAbove: liquidation.above,
+      liquidationBelow: liquidation.below
+    };
+  }
+
+  /**
+   * Find the first order to trigger between two times, at the exact crossing on the curve
+   * The crash is a gap: nothing fills on the way down to zero
+   * The trailing stop level rises with the price along the way
+   * @param {PriceIndex} index - Price index of the round's chart
+   * @param {number} fromTime - Last checked time
+   * @param {number} toTime - Current time
+   * @param {Object} levels - Result of getTriggerLevels
+   * @returns {Object|null} { order, price, time }
+   */
+  findTrigger(index, fromTime, toTime, levels) {
+    const { takeProfitPrice, takeProfitAbove, stopLossPrice, stopLossAbove, trailingStop, exitTime, dcaPrice } = levels;
+    const { liquidationAbove, liquidationBelow } = levels;
+    const { times, prices, length } = index;
+    let high = levels.highWaterMark;
+
+    let position = index.findIndex(fromTime);
+    let time = fromTime;
+    let price = index.interpolate(position, fromTime);
+
+    // Already crashed, or on the way down
+    const crashing = position + 1 < length && prices[position + 1] <= 0 && fromTime > times[position];
+    if (price <= 0 || crashing) return null;
+
+    // Marketable orders fill right away
+    const immediate = OrderBook.checkLevel(levels, price, time);
+    if (immediate) return { order: immediate, price, time };
+
+    while (time < toTime) {
+      const next = position + 1;
+      if (next >= length) break;
+
+      // The crash: a vertical drop, no fills
+      if (prices[next] <= 0) return null;
+
+      if (times[next] <= time) {
+        position = next;
+        price = prices[next];
+        continue;
+      }
+
+      const segmentEnd = Math.min(toTime, times[next]);
+      const endPrice = index.interpolate(position, segmentEnd);
+      const candidates = [];
+
+      if (trailingStop !== null && high !== null) {
+        high = Math.max(high, price);
+        const trail = high * (1 - trailingStop);
+        if (endPrice <= trail) {
+          candidates.push(OrderBook.crossing('trailing_stop', time, price, segmentEnd, endPrice, trail));
+        }
+      }
+
+      if (liquidationAbove !== null && price < liquidationAbove && endPrice >= liquidationAbove) {
+        candidates.push(OrderBook.crossing('liquidation', time, price, segmentEnd, endPrice, liquidationAbove));
+      }
+      if (liquidationBelow !== null && price > liquidationBelow && endPrice <= liquidationBelow) {
+        candidates.push(OrderBook.crossing('liquidation', time, price, segmentEnd, endPrice, liquidationBelow));
+      }
+      if (takeProfitPrice !== null && OrderBook.crosses(price, endPrice, takeProfitPrice, takeProfitAbove)) {
+        candidates.push(OrderBook.crossing('take_profit', time, price, segmentEnd, endPrice, takeProfitPrice));
+      }
+      if (stopLossPrice !== null && OrderBook.crosses(price, endPrice, stopLossPrice, stopLossAbove)) {
+        candidates.push(OrderBook.crossing('stop_loss', time, price, segmentEnd, endPrice, stopLossPrice));
+      }
+      if (dcaPrice !== null && price > dcaPrice && endPrice <= dcaPrice) {
+        candidates.push(OrderBook.crossing('dca_buy', time, price, segmentEnd, endPrice, dcaPrice));
+      }
+      if (exitTime !== null && exitTime > time && exitTime <= segmentEnd) {
+        candidates.push({ order: 'time_exit', time: exitTime, price: index.interpolate(position, exitTime) });
+      }
+
+      if (candidates.length > 0) {
+        return candidates.reduce((first, c) => (c.time < first.time ? c : first));
+      }
+
+      time = segmentEnd;
+      price = endPrice;
+      if (segmentEnd >= times[next]) {
+        position = next;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Order already satisfied at a price and time (if any)
+   * @returns {string|null}
+   */
+  static checkLevel(levels, price, time) {
+    if (levels.liquidationAbove !== null && price >= levels.liquidationAbove) return 'liquidation';
+    if (levels.liquidationBelow !== null && price <= levels.liquidationBelow) return 'liquidation';
+    if (levels.takeProfitPrice !== null &&
+        (levels.takeProfitAbove ? price >= levels.takeProfitPrice : price <= levels.takeProfitPrice)) {
+      return 'take_profit';
+    }
+    if (levels.stopLossPrice !== null &&
+        (levels.stopLossAbove ? price >= levels.stopLossPrice : price <= levels.stopLossPrice)) {
+      return 'stop_loss';
+    }
+    if (levels.trailingStopPrice !== null && price <= levels.trailingStopPrice) return 'trailing_stop';
+    if (levels.exitTime !== null && time >= levels.exitTime) return 'time_exit';
+    if (levels.dcaPrice !== null && price <= levels.dcaPrice) return 'dca_buy';
+    return null;
+  }
+
+  /**
+   * Whether a segment crosses a level in the given direction
+   * @param {number} fromPrice
+   * @param {number} toPrice
+   * @param {number} level
+   * @param {boolean} upward - Crossing from below (true) or from above (false)
+   * @returns {boolean}
+   */
+  static crosses(fromPrice, toPrice, level, upward) {
+    return upward
+      ? fromPrice < level && toPrice >= level
+      : fromPrice > level && toPrice <= level;
+  }
+
+  /**
+   * Point where the line between two samples crosses a price level
+   * @returns {Object} { order, price, time }
+   */
+  static crossing(order, fromTime, fromPrice, toTime, toPrice, level) {
+    const t = (level - fromPrice) / (toPrice - fromPrice);
+    return { order, price: level, time: fromTime + t * (toTime - fromTime) };
+  }
+}
@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import { OrderBook } from './OrderBook.js';
+import { InvestmentManager } from './InvestmentManager.js';
+import { PriceIndex } from './PriceIndex.js';
+
+function index(...points) {
+  return new PriceIndex(points.map(([time, price]) => ({ time, price, day: Math.floor(time) + 1 })));
+}
+
+function book(orders) {
+  const orderBook = new OrderBook();
+  expect(orderBook.setOrders(orders).success).toBe(true);
+  return orderBook;
+}
+
+describe('OrderBook stop-loss', () => {
+  it('fires on a fall for a long book', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(100);
+    const orderBook = book({ stopLoss: 0.8 });
+
+    const levels = orderBook.getTriggerLevels(investments);
+    expect(levels.stopLossAbove).toBe(false);
+
+    const trigger = orderBook.findTrigger(index([0, 1], [1, 1.2], [2, 0.6]), 0, 2, levels);
+    expect(trigger.order).toBe('stop_loss');
+    expect(trigger.price).toBe(0.8);
+    expect(trigger.time).toBeCloseTo(1 + 0.4 / 0.6);
+  });
+
+  it('fires on a rally for a short book, not on a profitable fall', () => {
+    const investments = new InvestmentManager();
+    investments.openShort(100, 1, 0);
+    const orderBook = book({ stopLoss: 1.2 });
+
+    const levels = orderBook.getTriggerLevels(investments);
+    expect(levels.stopLossAbove).toBe(true);
+
+    expect(orderBook.findTrigger(index([0, 1], [1, 0.5], [2, 0.4]), 0, 2, levels)).toBeNull();
+
+    const trigger = orderBook.findTrigger(index([0, 1], [1, 0.9], [2, 1.3]), 0, 2, levels);
+    expect(trigger.order).toBe('stop_loss');
+    expect(trigger.price).toBe(1.2);
+    expect(trigger.time).toBeCloseTo(1.75);
+  });
+
+  it('fires right away when the short book is already past it', () => {
+    const investments = new InvestmentManager();
+    investments.openShort(100, 1, 0);
+    const orderBook = book({ stopLoss: 1.1 });
+
+    const trigger = orderBook.findTrigger(index([0, 1.2], [1, 1.3]), 0, 1, orderBook.getTriggerLevels(investments));
+    expect(trigger).toEqual({ order: 'stop_loss', price: 1.2, time: 0 });
+  });
+});
+
+describe('OrderBook take profit and time exit', () => {
+  it('maps a position multiplier to a price and fills on the crossing', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(100);
+    const orderBook = book({ takeProfit: 1.5 });
+
+    const levels = orderBook.getTriggerLevels(investments);
+    expect(levels.takeProfitPrice).toBeCloseTo(1.5);
+
+    const trigger = orderBook.findTrigger(index([0, 1], [1, 1.2], [2, 1.8]), 0, 2, levels);
+    expect(trigger.order).toBe('take_profit');
+    expect(trigger.time).toBeCloseTo(1.5);
+  });
+
+  it('only looks up to the current time', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(100);
+    const orderBook = book({ takeProfit: 1.5 });
+    const chart = index([0, 1], [1, 1.2], [2, 1.8]);
+    const levels = orderBook.getTriggerLevels(investments);
+
+    expect(orderBook.findTrigger(chart, 0, 1.4, levels)).toBeNull();
+    expect(orderBook.findTrigger(chart, 1.4, 1.6, levels).time).toBeCloseTo(1.5);
+  });
+
+  it('never fills on the way down to the crash', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(100);
+    const orderBook = book({ stopLoss: 0.8 });
+
+    const trigger = orderBook.findTrigger(index([0, 1], [1, 1.1], [1.02, 0]), 0, 1.02, orderBook.getTriggerLevels(investments));
+    expect(trigger).toBeNull();
+  });
+
+  it('exits when the day starts, at the price on the curve', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(100);
+    const orderBook = book({ exitDay: 3 });
+
+    const trigger = orderBook.findTrigger(index([0, 1], [1, 1.2], [3, 1.6]), 0, 3, orderBook.getTriggerLevels(investments));
+    expect(trigger).toEqual({ order: 'time_exit', price: 1.4, time: 2 });
+  });
+
+  it('keeps orders as defaults for the next round', () => {
+    const orderBook = book({ takeProfit: 2, exitDay: 5 });
+    orderBook.reset();
+
+    expect(orderBook.getOrders()).toMatchObject({ takeProfit: 2, exitDay: 5, stopLoss: null });
+    expect(orderBook.clear().orders.takeProfit).toBeNull();
+  });
+
+  it('rejects orders that could never fill', () => {
+    const orderBook = new OrderBook();
+
+    expect(orderBook.setOrders({ takeProfit: 0 }).message).toBe('Take profit must be a positive multiplier');
+    expect(orderBook.setOrders({ stopLoss: -1 }).message).toBe('Stop-loss must be a positive price');
+    expect(orderBook.setOrders({ exitDay: 1.5 }).message).toBe('Exit day must be a whole day number (1 or later)');
+    expect(orderBook.hasOrders()).toBe(false);
+  });
+});
+
+describe('OrderBook trailing stop', () => {
+  it('trails the high reached inside the checked window', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(100);
+    const orderBook = book({ trailingStop: 0.2 });
+
+    // High of 2.0 at t=1, so the stop sits at 1.6
+    const trigger = orderBook.findTrigger(index([0, 1], [1, 2], [2, 1.2]), 0, 2, orderBook.getTriggerLevels(investments));
+    expect(trigger.order).toBe('trailing_stop');
+    expect(trigger.price).toBeCloseTo(1.6);
+    expect(trigger.time).toBeCloseTo(1.5);
+  });
+
+  it('starts from the position high-water mark', () => {
+    const investments = new InvestmentManager();
+    investments.autoInvest(100);
+    investments.updateHighWaterMarks(2.5);
+    const orderBook = book({ trailingStop: 0.2 });
+
+    const levels = orderBook.getTriggerLevels(investments);
+    expect(levels.trailingStopPrice).toBeCloseTo(2);
+
+    const trigger = orderBook.findTrigger(index([0, 2.2], [1, 1.8]), 0, 1, levels);
+    expect(trigger.order).toBe('trailing_stop');
+    expect(trigger.time).toBeCloseTo(0.5);
+  });
+
+  it('waits for a position', () => {
+    const orderBook = book({ trailingStop: 0.2 });
+
+    expect(orderBook.getTriggerLevels(new InvestmentManager()).trailingStopPrice).toBeNull();
+    expect(orderBook.setOrders({ trailingStop: 1 }).success).toBe(false);
+  });
+});
+
+describe('OrderBook DCA', () => {
+  it('buys on a dip below the last entry', () => {
+    const investments = new InvestmentManager({ maxEntries: 3 });
+    investments.autoInvest(100);
+    const orderBook = book({ dcaAmount: 50, dcaDip: 0.1 });
+
+    const levels = orderBook.getTriggerLevels(investments);
+    expect(levels.dcaPrice).toBeCloseTo(0.9);
+
+    const trigger = orderBook.findTrigger(index([0, 1], [1, 0.8]), 0, 1, levels);
+    expect(trigger.order).toBe('dca_buy');
+    expect(trigger.time).toBeCloseTo(0.5);
+  });
+
+  it('measures the next dip from the newest entry', () => {
+    const investments = new InvestmentManager({ maxEntries: 3 });
+    investments.autoInvest(100);
+    investments.doubleDown(50, 0.9, 1, 'dca');
+    const orderBook = book({ dcaAmount: 50, dcaDip: 0.1 });
+
+    expect(orderBook.getTriggerLevels(investments).dcaPrice).toBeCloseTo(0.81);
+  });
+
+  it('stops buying once the entries are used up', () => {
+    const investments = new InvestmentManager({ maxEntries: 2 });
+    investments.autoInvest(100);
+    investments.doubleDown(50, 0.9, 1, 'dca');
+    const orderBook = book({ dcaAmount: 50, dcaDip: 0.1 });
+
+    expect(orderBook.getTriggerLevels(investments).dcaPrice).toBeNull();
+    expect(investments.doubleDown(50, 0.8, 2).message).toBe('Already doubled down this round');
+  });
+
+  it('needs both an amount and a dip', () => {
+    const orderBook = new OrderBook();
+
+    expect(orderBook.setOrders({ dcaAmount: 50 }).message).toBe('DCA needs both an amount and a dip');
+    expect(orderBook.setOrders({ dcaAmount: 0.5, dcaDip: 0.1 }).message).toBe('DCA amount must be at least $1');
+  });
+});
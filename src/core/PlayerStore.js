@@ -0,0 +1,279 @@
+/**
+ * PlayerStore - Persists the player's progress as one versioned JSON document
+ * Older save formats are migrated on load; unreadable or tampered saves fall back to defaults
+ */
+import { Sha256 } from './Sha256.js';
+import { RealClock } from './Clock.js';
+
+export const SAVE_VERSION = 2;
+
+const SAVE_KEY = 'rugPullSimulator.save';
+const LEGACY_BALANCE_KEY = 'playerBalance';
+
+// MIGRATIONS[n] upgrades a version n - 1 save to version n
+const MIGRATIONS = {
+  // Version 0: a bare balance number under "playerBalance"
+  1: (legacy) => ({
+    balance: legacy.balance,
+    transactions: [],
+    stats: { wins: 0, losses: 0 },
+    preferences: {}
+  }),
+
+  // Version 2: loan shark debt, bailout timer and prestige
+  2: (data) => ({ ...data, debt: 0, lastBailoutAt: null, prestige: 0 })
+};
+
+export class PlayerStore {
+  /**
+   * @param {Storage|null} storage - localStorage-like store, null to disable persistence
+   * @param {Object} options
+   * @param {string} options.key - Storage key of the save document
+   * @param {Object} options.clock - Time source for savedAt (see Clock.js)
+   */
+  constructor(storage = PlayerStore.getDefaultStorage(), options = {}) {
+    this.storage = storage;
+    this.key = options.key || SAVE_KEY;
+    this.clock = options.clock || new RealClock();
+  }
+
+  /**
+   * Progress of a new player
+   * Missing preferences mean "use the game's defaults"
+   * @returns {Object} { balance, debt, transactions, stats, lastBailoutAt, prestige, preferences }
+   */
+  static getDefaults() {
+    return {
+      balance: 1000,
+      debt: 0,
+      transactions: [],
+      stats: { wins: 0, losses: 0 },
+      lastBailoutAt: null,
+      prestige: 0,
+      preferences: {}
+    };
+  }
+
+  /**
+   * Load the save, migrating older formats
+   * @returns {Object} { status: 'new'|'loaded'|'migrated'|'corrupt', data, errors }
+   */
+  load() {
+    const text = this.read(this.key);
+
+    if (text === null) {
+      return this.loadLegacy();
+    }
+
+    try {
+      const { data, migrated } = PlayerStore.parse(text);
+      if (migrated) {
+        this.save(data);
+      }
+      return { status: migrated ? 'migrated' : 'loaded', data, errors: [] };
+    } catch (e) {
+      // Keep the broken save around for recovery, then start over
+      this.write(`${this.key}.corrupt`, text);
+      return { status: 'corrupt', data: PlayerStore.getDefaults(), errors: e.errors || [e.message] };
+    }
+  }
+
+  /**
+   * Pick up a balance saved before the versioned format existed
+   * @returns {Object} Load result
+   */
+  loadLegacy() {
+    const balance = parseFloat(this.read(LEGACY_BALANCE_KEY));
+    if (!Number.isFinite(balance) || balance < 0) {
+      return { status: 'new', data: PlayerStore.getDefaults(), errors: [] };
+    }
+
+    const data = PlayerStore.migrate(0, { balance });
+    if (this.save(data)) {
+      this.remove(LEGACY_BALANCE_KEY);
+    }
+    return { status: 'migrated', data, errors: [] };
+  }
+
+  /**
+   * Save progress
+   * @param {Object} data - Current-version data (see getDefaults)
+   * @returns {boolean} False if there is no storage or writing failed
+   */
+  save(data) {
+    return this.write(this.key, PlayerStore.serialize(data, this.clock.now()));
+  }
+
+  /**
+   * Delete the save (the next load starts a new player)
+   */
+  clear() {
+    this.remove(this.key);
+  }
+
+  read(key) {
+    if (!this.storage) return null;
+
+    try {
+      return this.storage.getItem(key);
+    } catch (e) {
+      console.warn('Could not read save from localStorage:', e);
+      return null;
+    }
+  }
+
+  write(key, value) {
+    if (!this.storage) return false;
+
+    try {
+      this.storage.setItem(key, value);
+      return true;
+    } catch (e) {
+      console.warn('Could not write save to localStorage:', e);
+      return false;
+    }
+  }
+
+  remove(key) {
+    if (!this.storage) return;
+
+    try {
+      this.storage.removeItem(key);
+    } catch (e) {
+      console.warn('Could not remove save from localStorage:', e);
+    }
+  }
+
+  /**
+   * Wrap progress in a versioned, checksummed document
+   * @param {Object} data
+   * @param {number} savedAt - Timestamp in milliseconds
+   * @returns {string} JSON text
+   */
+  static serialize(data, savedAt) {
+    return JSON.stringify({
+      version: SAVE_VERSION,
+      savedAt,
+      checksum: PlayerStore.checksum(SAVE_VERSION, data),
+      data
+    });
+  }
+
+  /**
+   * Read a save document, verifying and migrating it
+   * @param {string} text - JSON text
+   * @returns {Object} { data, migrated }
+   * @throws {Error} With an errors array if the save is corrupt
+   */
+  static parse(text) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (e) {
+      throw PlayerStore.corrupt([`Save is not valid JSON: ${e.message}`]);
+    }
+
+    if (!doc || typeof doc !== 'object' || !Number.isInteger(doc.version) || !doc.data) {
+      throw PlayerStore.corrupt(['Save is missing its version or data']);
+    }
+
+    if (doc.version > SAVE_VERSION) {
+      throw PlayerStore.corrupt([`Save version ${doc.version} is newer than this game (${SAVE_VERSION})`]);
+    }
+
+    if (doc.checksum !== PlayerStore.checksum(doc.version, doc.data)) {
+      throw PlayerStore.corrupt(['Save checksum does not match its data']);
+    }
+
+    const data = PlayerStore.migrate(doc.version, doc.data);
+    const errors = PlayerStore.validate(data);
+    if (errors.length > 0) {
+      throw PlayerStore.corrupt(errors);
+    }
+
+    return { data, migrated: doc.version < SAVE_VERSION };
+  }
+
+  /**
+   * Run every migration from a version up to the current one
+   * @param {number} version - Version the data was saved with
+   * @param {Object} data
+   * @returns {Object} Current-version data
+   */
+  static migrate(version, data) {
+    let migrated = data;
+    for (let next = version + 1; next <= SAVE_VERSION; next++) {
+      migrated = MIGRATIONS[next](migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Check the shape of current-version data
+   * @param {Object} data
+   * @returns {Array} Error messages (empty if valid)
+   */
+  static validate(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!Number.isFinite(data.balance) || data.balance < 0) {
+      errors.push(`balance: ${data.balance} is not a valid balance`);
+    }
+
+    if (!Number.isFinite(data.debt) || data.debt < 0) {
+      errors.push(`debt: ${data.debt} is not a valid debt`);
+    }
+
+    if (data.lastBailoutAt !== null && !Number.isFinite(data.lastBailoutAt)) {
+      errors.push('lastBailoutAt: must be a timestamp or null');
+    }
+
+    if (!Number.isInteger(data.prestige) || data.prestige < 0) {
+      errors.push('prestige: must be a whole number >= 0');
+    }
+
+    if (!Array.isArray(data.transactions)) {
+      errors.push('transactions: must be an array');
+    }
+
+    if (!isObject(data.stats) ||
+        !Number.isInteger(data.stats.wins) || data.stats.wins < 0 ||
+        !Number.isInteger(data.stats.losses) || data.stats.losses < 0) {
+      errors.push('stats: wins and losses must be whole numbers >= 0');
+    }
+
+    if (!isObject(data.preferences)) {
+      errors.push('preferences: must be an object');
+    }
+
+    return errors;
+  }
+
+  /**
+   * @param {number} version
+   * @param {Object} data
+   * @returns {string} Hex SHA-256 of the version and data
+   */
+  static checksum(version, data) {
+    return Sha256.hex(`${version}:${JSON.stringify(data)}`);
+  }
+
+  static corrupt(errors) {
+    const error = new Error(`Corrupt save: ${errors.join('; ')}`);
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * Get browser localStorage if available (absent in Node, may throw when disabled)
+   * @returns {Storage|null}
+   */
+  static getDefaultStorage() {
+    try {
+      return globalThis.localStorage || null;
+    } catch (e) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { PlayerStore, SAVE_VERSION } from './PlayerStore.js';
+import { GameController } from './GameController.js';
+import { ManualClock } from './Clock.js';
+
+const silentLogger = { log() {} };
+
+class MemoryStorage {
+  constructor(items = {}) {
+    this.items = new Map(Object.entries(items));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+// A save document as an older version of the game wrote it
+function savedAt(version, data) {
+  return JSON.stringify({ version, savedAt: 0, checksum: PlayerStore.checksum(version, data), data });
+}
+
+describe('PlayerStore migrations', () => {
+  it('picks up the bare balance of version 0', () => {
+    const storage = new MemoryStorage({ playerBalance: '512.5' });
+    const result = new PlayerStore(storage).load();
+
+    expect(result.status).toBe('migrated');
+    expect(result.data).toEqual({ ...PlayerStore.getDefaults(), balance: 512.5 });
+    expect(storage.getItem('playerBalance')).toBeNull();
+    expect(JSON.parse(storage.getItem('rugPullSimulator.save')).version).toBe(SAVE_VERSION);
+  });
+
+  it('upgrades version 1 through every step', () => {
+    const storage = new MemoryStorage({
+      'rugPullSimulator.save': savedAt(1, {
+        balance: 80,
+        transactions: [],
+        stats: { wins: 2, losses: 5 },
+        preferences: { betAmount: 20 }
+      })
+    });
+
+    const { status, data } = new PlayerStore(storage).load();
+
+    expect(status).toBe('migrated');
+    expect(data).toEqual({
+      balance: 80,
+      debt: 0,
+      lastBailoutAt: null,
+      prestige: 0,
+      transactions: [],
+      stats: { wins: 2, losses: 5 },
+      preferences: { betAmount: 20 }
+    });
+  });
+
+  it('treats a save from a newer game or with a bad checksum as corrupt', () => {
+    const newer = new MemoryStorage({ 'rugPullSimulator.save': savedAt(SAVE_VERSION + 1, PlayerStore.getDefaults()) });
+    expect(new PlayerStore(newer).load().status).toBe('corrupt');
+
+    const doc = JSON.parse(savedAt(SAVE_VERSION, PlayerStore.getDefaults()));
+    doc.data.balance = 1e9;
+    const tampered = new MemoryStorage({ 'rugPullSimulator.save': JSON.stringify(doc) });
+    const result = new PlayerStore(tampered).load();
+
+    expect(result.status).toBe('corrupt');
+    expect(result.data.balance).toBe(1000);
+    expect(tampered.getItem('rugPullSimulator.save.corrupt')).toBe(JSON.stringify(doc));
+  });
+
+  it('rejects data with the wrong shape', () => {
+    const storage = new MemoryStorage({
+      'rugPullSimulator.save': savedAt(SAVE_VERSION, { ...PlayerStore.getDefaults(), debt: -5 })
+    });
+
+    expect(new PlayerStore(storage).load().errors).toEqual(['debt: -5 is not a valid debt']);
+  });
+});
+
+describe('GameController saves', () => {
+  function controller(storage, options = {}) {
+    return new GameController({
+      clock: new ManualClock(),
+      storage,
+      ledger: null,
+      archive: null,
+      logger: silentLogger,
+      ...options
+    });
+  }
+
+  it('keeps house settings out of the save', () => {
+    const storage = new MemoryStorage();
+    controller(storage).setBetAmount(25);
+
+    const doc = JSON.parse(storage.getItem('rugPullSimulator.save'));
+    expect(doc.data).not.toHaveProperty('settings');
+    expect(doc.data.preferences.betAmount).toBe(25);
+  });
+
+  it('ignores house settings written into a save by hand', () => {
+    const data = {
+      ...PlayerStore.getDefaults(),
+      preferences: { leverage: 50 },
+      settings: { maxLeverage: 100, houseMargin: 0 }
+    };
+    // Checksum recomputed, as anyone can in the console
+    const storage = new MemoryStorage({ 'rugPullSimulator.save': savedAt(SAVE_VERSION, data) });
+
+    const game = controller(storage, { maxLeverage: 5, houseMargin: 0.05 });
+
+    expect(game.maxLeverage).toBe(5);
+    expect(game.leverage).toBe(1);
+    expect(game.sideBets.houseMargin).toBe(0.05);
+  });
+});
+
+describe('Timestamps', () => {
+  it('come from the injected clock', () => {
+    const storage = new MemoryStorage();
+    const clock = new ManualClock({ startTime: 1234 });
+    const game = new GameController({ clock, storage, ledger: null, archive: null, logger: silentLogger });
+
+    game.balanceManager.deduct(10);
+
+    expect(game.balanceManager.getHistory(1)[0].timestamp).toBe(1234);
+    expect(JSON.parse(storage.getItem('rugPullSimulator.save')).savedAt).toBe(1234);
+  });
+});
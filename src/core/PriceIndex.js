@@ -0,0 +1,127 @@
+/**
+ * PriceIndex - Time-indexed view of a chart's price points
+ * Binary search for random access, a forward-only cursor for the live loop
+ */
+export class PriceIndex {
+  /**
+   * @param {Array} pricePoints - Chart price points, sorted by time
+   */
+  constructor(pricePoints) {
+    this.pricePoints = pricePoints;
+    this.length = pricePoints.length;
+    this.times = new Float64Array(this.length);
+    this.prices = new Float64Array(this.length);
+
+    for (let i = 0; i < this.length; i++) {
+      this.times[i] = pricePoints[i].time;
+      this.prices[i] = pricePoints[i].price;
+    }
+  }
+
+  /**
+   * Index of the last point at or before a time (O(log n))
+   * @param {number} time
+   * @returns {number} -1 if time is before the first point
+   */
+  findIndex(time) {
+    let low = 0;
+    let high = this.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.times[mid] <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Interpolated price at a time
+   * @param {number} time - Time in seconds
+   * @returns {number}
+   */
+  priceAt(time) {
+    return this.interpolate(this.findIndex(time), time);
+  }
+
+  /**
+   * Interpolate between point `index` and the next one
+   * @param {number} index - Result of findIndex
+   * @param {number} time
+   * @returns {number}
+   */
+  interpolate(index, time) {
+    if (this.length === 0) return 1.0;
+    if (time <= 0 || index < 0) return this.prices[0];
+    if (index >= this.length - 1) return this.prices[this.length - 1];
+
+    const t = (time - this.times[index]) / (this.times[index + 1] - this.times[index]);
+    return this.prices[index] + t * (this.prices[index + 1] - this.prices[index]);
+  }
+
+  /**
+   * Highest price on the curve between two times (inclusive)
+   * @param {number} fromTime
+   * @param {number} toTime
+   * @returns {number}
+   */
+  maxPrice(fromTime, toTime) {
+    let max = Math.max(this.priceAt(fromTime), this.priceAt(toTime));
+
+    for (let i = this.findIndex(fromTime) + 1; i < this.length && this.times[i] <= toTime; i++) {
+      max = Math.max(max, this.prices[i]);
+    }
+
+    return max;
+  }
+
+  /**
+   * Create a cursor for monotonically increasing lookups
+   * @returns {PriceCursor}
+   */
+  cursor() {
+    return new PriceCursor(this);
+  }
+}
+
+/**
+ * PriceCursor - Walks forward through a PriceIndex
+ * Amortized O(1) per lookup while time only moves forward; falls back to binary search otherwise
+ */
+export class PriceCursor {
+  /**
+   * @param {PriceIndex} index
+   */
+  constructor(index) {
+    this.index = index;
+    this.position = -1;
+    this.lastTime = -Infinity;
+  }
+
+  /**
+   * Interpolated price at a time
+   * @param {number} time - Time in seconds
+   * @returns {number}
+   */
+  priceAt(time) {
+    const { times, length } = this.index;
+
+    if (time < this.lastTime) {
+      // Time went backwards (e.g. replay scrubbing) - reposition
+      this.position = this.index.findIndex(time);
+    } else {
+      while (this.position + 1 < length && times[this.position + 1] <= time) {
+        this.position++;
+      }
+    }
+
+    this.lastTime = time;
+    return this.index.interpolate(this.position, time);
+  }
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { PriceIndex } from './PriceIndex.js';
+import { ChartGenerator } from './ChartGenerator.js';
+
+// The linear scan ChartGenerator.getPriceAtTime used before the index
+function linearPriceAt(pricePoints, currentTime) {
+  if (pricePoints.length === 0) return 1.0;
+  if (currentTime <= 0) return pricePoints[0].price;
+  if (currentTime >= pricePoints[pricePoints.length - 1].time) {
+    return pricePoints[pricePoints.length - 1].price;
+  }
+
+  for (let i = 0; i < pricePoints.length - 1; i++) {
+    if (pricePoints[i].time <= currentTime && pricePoints[i + 1].time > currentTime) {
+      const t = (currentTime - pricePoints[i].time) /
+                (pricePoints[i + 1].time - pricePoints[i].time);
+      return pricePoints[i].price + t * (pricePoints[i + 1].price - pricePoints[i].price);
+    }
+  }
+
+  return pricePoints[pricePoints.length - 1].price;
+}
+
+function points(...pairs) {
+  return pairs.map(([time, price]) => ({ time, price }));
+}
+
+describe('PriceIndex', () => {
+  const index = new PriceIndex(points([0, 1], [1, 2], [2, 4], [3, 1]));
+
+  it('finds the last point at or before a time', () => {
+    expect(index.findIndex(-1)).toBe(-1);
+    expect(index.findIndex(0)).toBe(0);
+    expect(index.findIndex(1.99)).toBe(1);
+    expect(index.findIndex(2)).toBe(2);
+    expect(index.findIndex(10)).toBe(3);
+  });
+
+  it('interpolates between points', () => {
+    expect(index.priceAt(0.5)).toBe(1.5);
+    expect(index.priceAt(2.25)).toBe(3.25);
+    expect(index.priceAt(1)).toBe(2);
+  });
+
+  it('holds the first price before the chart and the last after it', () => {
+    expect(index.priceAt(-5)).toBe(1);
+    expect(index.priceAt(3)).toBe(1);
+    expect(index.priceAt(60)).toBe(1);
+    expect(new PriceIndex([]).priceAt(1)).toBe(1.0);
+  });
+
+  it('steps through duplicate timestamps without dividing by zero', () => {
+    const crash = new PriceIndex(points([0, 1], [1, 2], [2, 3], [2, 0], [3, 0]));
+
+    expect(crash.findIndex(2)).toBe(3);
+    expect(crash.priceAt(2)).toBe(0);
+    expect(crash.priceAt(1.5)).toBe(2.5);
+    expect(crash.priceAt(2.5)).toBe(0);
+  });
+
+  it('finds the highest price between two times', () => {
+    expect(index.maxPrice(0, 1.5)).toBe(3);
+    expect(index.maxPrice(0.5, 3)).toBe(4);
+    expect(index.maxPrice(2.5, 3)).toBe(2.5);
+  });
+});
+
+describe('PriceCursor', () => {
+  it('walks forward and repositions when time goes back', () => {
+    const index = new PriceIndex(points([0, 1], [1, 2], [2, 4], [3, 1]));
+    const cursor = index.cursor();
+
+    expect(cursor.priceAt(0.5)).toBe(1.5);
+    expect(cursor.priceAt(2.5)).toBe(2.5);
+    expect(cursor.position).toBe(2);
+    expect(cursor.priceAt(0.25)).toBe(1.25);
+    expect(cursor.position).toBe(0);
+    expect(cursor.priceAt(-1)).toBe(1);
+    expect(cursor.priceAt(9)).toBe(1);
+  });
+});
+
+describe('PriceIndex against the linear scan', () => {
+  const generator = new ChartGenerator();
+  const charts = [12, 15, 18].map((duration, i) => generator.generateChart(duration, { seed: `index:${i}` }));
+
+  it('agrees on a generated chart, by lookup and by cursor', () => {
+    charts.forEach(({ pricePoints }) => {
+      const index = new PriceIndex(pricePoints);
+      const cursor = index.cursor();
+      const end = pricePoints[pricePoints.length - 1].time + 1;
+
+      for (let time = -0.5; time <= end; time += 0.013) {
+        const expected = linearPriceAt(pricePoints, time);
+        expect(index.priceAt(time)).toBe(expected);
+        expect(cursor.priceAt(time)).toBe(expected);
+      }
+
+      // Every point exactly, then backwards as when scrubbing a replay
+      pricePoints.forEach(({ time }) => {
+        expect(index.priceAt(time)).toBe(linearPriceAt(pricePoints, time));
+      });
+      for (let time = end; time >= 0; time -= 0.37) {
+        expect(cursor.priceAt(time)).toBe(linearPriceAt(pricePoints, time));
+      }
+    });
+  });
+});
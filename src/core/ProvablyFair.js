@@ -0,0 +1,94 @@
+/**
+ * ProvablyFair - Commit/reveal scheme for round seeds
+ * The hash of the server seed is published before the round, the seed itself after
+ */
+import { Sha256 } from './Sha256.js';
+
+export class ProvablyFair {
+  constructor() {
+    this.nonce = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Pick a fresh server seed for the next round and commit to it
+   * @param {number} duration - Round duration in seconds (covered by the commitment)
+   * @param {string} profileHash - Fingerprint of the chart generator (covered by the commitment)
+   * @returns {Object} Public commitment { commitment, nonce }
+   */
+  commit(duration, profileHash) {
+    this.nonce++;
+    const serverSeed = ProvablyFair.generateServerSeed();
+    const commitment = ProvablyFair.hashCommitment(serverSeed, this.nonce, duration, profileHash);
+
+    this.pending = {
+      serverSeed,
+      nonce: this.nonce,
+      duration,
+      profileHash,
+      commitment
+    };
+
+    return { commitment, nonce: this.nonce };
+  }
+
+  /**
+   * Get chart seed for the committed round
+   * @returns {string|null}
+   */
+  getRoundSeed() {
+    if (!this.pending) return null;
+    return ProvablyFair.roundSeed(this.pending.serverSeed, this.pending.nonce);
+  }
+
+  /**
+   * Reveal the committed server seed (call after the round has ended)
+   * @returns {Object|null} { serverSeed, nonce, duration, profileHash, commitment }
+   */
+  reveal() {
+    const revealed = this.pending;
+    this.pending = null;
+    return revealed;
+  }
+
+  /**
+   * Derive the chart seed from server seed and nonce
+   * @param {string} serverSeed
+   * @param {number} nonce
+   * @returns {string}
+   */
+  static roundSeed(serverSeed, nonce) {
+    return `${serverSeed}:${nonce}`;
+  }
+
+  /**
+   * Hash the values a round is committed to
+   * @param {string} serverSeed
+   * @param {number} nonce
+   * @param {number} duration
+   * @param {string} profileHash - ChartGenerator fingerprint
+   * @returns {string} Hex SHA-256 digest
+   */
+  static hashCommitment(serverSeed, nonce, duration, profileHash) {
+    return Sha256.hex(`${serverSeed}:${nonce}:${duration}:${profileHash}`);
+  }
+
+  /**
+   * Generate a 256-bit random server seed
+   * @returns {string} Hex string
+   */
+  static generateServerSeed() {
+    const bytes = new Uint8Array(32);
+    globalThis.crypto.getRandomValues(bytes);
+    return ProvablyFair.toHex(bytes);
+  }
+
+  /**
+   * Convert bytes to lowercase hex
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { ProvablyFair } from './ProvablyFair.js';
+import { ChartGenerator } from './ChartGenerator.js';
+import { DEFAULT_PROFILE } from './ChartProfile.js';
+
+describe('ProvablyFair', () => {
+  it('commits to the seed, nonce, duration and profile hash', () => {
+    const fair = new ProvablyFair();
+    const profileHash = new ChartGenerator().getFingerprint();
+
+    const { commitment, nonce } = fair.commit(15, profileHash);
+    const reveal = fair.reveal();
+
+    expect(nonce).toBe(1);
+    expect(reveal).toMatchObject({ nonce: 1, duration: 15, profileHash, commitment });
+    expect(ProvablyFair.hashCommitment(reveal.serverSeed, 1, 15, profileHash)).toBe(commitment);
+    expect(ProvablyFair.hashCommitment(reveal.serverSeed, 1, 15, 'other')).not.toBe(commitment);
+    expect(fair.reveal()).toBeNull();
+  });
+
+  it('gives every chart setting its own profile hash', () => {
+    const generator = new ChartGenerator();
+    const fingerprint = generator.getFingerprint();
+
+    expect(new ChartGenerator().getFingerprint()).toBe(fingerprint);
+
+    generator.setProfile({ ...DEFAULT_PROFILE, name: 'renamed' });
+    expect(generator.getFingerprint()).not.toBe(fingerprint);
+
+    const withType = new ChartGenerator();
+    withType.registerRoundType('flat', { probability: 0.1, generate: () => ({ pricePoints: [{ time: 0, price: 1 }] }) });
+    expect(withType.getFingerprint()).not.toBe(fingerprint);
+  });
+});
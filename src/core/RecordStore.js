@@ -0,0 +1,174 @@
+/**
+ * RecordStore - Append-only record stores behind the ledger and the round archive
+ * IndexedDB in the browser (one database, one object store per kind of record), memory elsewhere
+ *
+ * Interface: add(record), getAll(from, to), count(), deleteOldest(count), clear()
+ * Records get an auto-incremented id and are read back oldest first
+ */
+
+const DB_NAME = 'rugPullSimulator';
+
+// Object stores, all keyed by id and indexed by timestamp; adding one means a new DB_VERSION
+const DB_VERSION = 2;
+const STORE_NAMES = ['ledger', 'rounds'];
+
+/**
+ * MemoryRecordStore - Keeps records in an array (lost on reload)
+ */
+export class MemoryRecordStore {
+  constructor() {
+    this.records = [];
+    this.lastId = 0;
+  }
+
+  /**
+   * @param {Object} record - Stored as given, with an id added
+   * @returns {Promise<number>} Record id
+   */
+  async add(record) {
+    record.id = ++this.lastId;
+    this.records.push(record);
+    return record.id;
+  }
+
+  /**
+   * @param {number|null} from - Earliest timestamp, null for no limit
+   * @param {number|null} to - Latest timestamp, null for no limit
+   * @returns {Promise<Array>} Copies of the records, oldest first
+   */
+  async getAll(from = null, to = null) {
+    return this.records
+      .filter(record => (from === null || record.timestamp >= from) && (to === null || record.timestamp <= to))
+      .map(record => ({ ...record }));
+  }
+
+  async count() {
+    return this.records.length;
+  }
+
+  /**
+   * @param {number} count - Records to delete, oldest first
+   */
+  async deleteOldest(count) {
+    this.records.splice(0, Math.max(0, count));
+  }
+
+  async clear() {
+    this.records = [];
+  }
+}
+
+/**
+ * IndexedDbRecordStore - Keeps records in one IndexedDB object store, indexed by timestamp
+ */
+export class IndexedDbRecordStore {
+  /**
+   * @param {IDBFactory} indexedDB
+   * @param {string} storeName - One of STORE_NAMES
+   * @param {string} name - Database name
+   */
+  constructor(indexedDB, storeName, name = DB_NAME) {
+    if (!STORE_NAMES.includes(storeName)) {
+      throw new Error(`Unknown record store "${storeName}"`);
+    }
+
+    this.indexedDB = indexedDB;
+    this.storeName = storeName;
+    this.name = name;
+    this.connection = null;
+  }
+
+  /**
+   * Open the database, creating any store a previous version didn't have
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.name, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          STORE_NAMES.forEach(storeName => {
+            if (db.objectStoreNames.contains(storeName)) return;
+            const store = db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+          });
+        };
+        request.onsuccess = () => {
+          // Let a newer version of the game (another tab) upgrade the database
+          request.result.onversionchange = () => request.result.close();
+          resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.connection;
+  }
+
+  /**
+   * @param {Object} record
+   * @returns {Promise<number>} Record id
+   */
+  async add(record) {
+    const store = await this.getStore('readwrite');
+    return IndexedDbRecordStore.request(store.add(record));
+  }
+
+  /**
+   * @param {number|null} from - Earliest timestamp, null for no limit
+   * @param {number|null} to - Latest timestamp, null for no limit
+   * @returns {Promise<Array>} Records, oldest first
+   */
+  async getAll(from = null, to = null) {
+    const store = await this.getStore('readonly');
+    if (from === null && to === null) {
+      return IndexedDbRecordStore.request(store.getAll());
+    }
+
+    const range = IDBKeyRange.bound(from === null ? -Infinity : from, to === null ? Infinity : to);
+    const records = await IndexedDbRecordStore.request(store.index('timestamp').getAll(range));
+    return records.sort((a, b) => a.id - b.id);
+  }
+
+  async count() {
+    const store = await this.getStore('readonly');
+    return IndexedDbRecordStore.request(store.count());
+  }
+
+  /**
+   * @param {number} count - Records to delete, oldest first
+   * @returns {Promise}
+   */
+  async deleteOldest(count) {
+    if (!(count > 0)) return;
+
+    const store = await this.getStore('readwrite');
+    const keys = await IndexedDbRecordStore.request(store.getAllKeys(null, count));
+    if (keys.length === 0) return;
+
+    // Ids only grow, so the oldest records are one key range
+    await IndexedDbRecordStore.request(store.delete(IDBKeyRange.bound(keys[0], keys[keys.length - 1])));
+  }
+
+  async clear() {
+    const store = await this.getStore('readwrite');
+    return IndexedDbRecordStore.request(store.clear());
+  }
+
+  async getStore(mode) {
+    const db = await this.open();
+    return db.transaction(this.storeName, mode).objectStore(this.storeName);
+  }
+
+  /**
+   * Wait for an IndexedDB request
+   * @param {IDBRequest} request
+   * @returns {Promise}
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * RoundArchive - Finished rounds with their full price path, the player's entries and exits, and the result
+ * Capped to the most recent rounds; stored in IndexedDB in the browser, in memory elsewhere (Node)
+ */
+import { MemoryRecordStore, IndexedDbRecordStore } from './RecordStore.js';
+
+// Rounds kept by default - a round with its price path is a few KB
+export const ROUND_ARCHIVE_LIMIT = 100;
+
+export class RoundArchive {
+  /**
+   * @param {Object} store - Record store (see RecordStore.js), IndexedDB if available
+   * @param {Object} options
+   * @param {number} options.limit - Most rounds kept; the oldest are deleted first
+   */
+  constructor(store = RoundArchive.getDefaultStore(), options = {}) {
+    const limit = options.limit === undefined ? ROUND_ARCHIVE_LIMIT : options.limit;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Round archive limit must be a positive integer, got ${limit}`);
+    }
+
+    this.store = store;
+    this.limit = limit;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Archive a finished round, then drop the oldest rounds over the limit
+   * Writes are queued so rounds keep their order; a failed write is logged, not thrown
+   * @param {Object} round - Record from GameController.getRoundRecord
+   * @returns {Promise}
+   */
+  add(round) {
+    this.pending = this.pending
+      .then(async () => {
+        await this.store.add({ ...round });
+        const excess = (await this.store.count()) - this.limit;
+        if (excess > 0) {
+          await this.store.deleteOldest(excess);
+        }
+      })
+      .catch(e => console.warn('Could not archive the round:', e));
+    return this.pending;
+  }
+
+  /**
+   * Archived rounds, newest first
+   * @param {number} limit - Most rounds to return (all by default)
+   * @returns {Promise<Array>}
+   */
+  async list(limit = this.limit) {
+    await this.pending;
+    const rounds = await this.store.getAll();
+    return rounds.slice(-limit).reverse();
+  }
+
+  /**
+   * @param {string} roundId - The round's provably fair commitment
+   * @returns {Promise<Object|null>}
+   */
+  async get(roundId) {
+    const rounds = await this.list();
+    return rounds.find(round => round.roundId === roundId) || null;
+  }
+
+  /**
+   * Delete every archived round
+   * @returns {Promise}
+   */
+  async clear() {
+    await this.pending;
+    return this.store.clear();
+  }
+
+  /**
+   * IndexedDB if the browser has it, memory otherwise
+   * @returns {Object} Record store
+   */
+  static getDefaultStore() {
+    try {
+      if (globalThis.indexedDB) {
+        return new IndexedDbRecordStore(globalThis.indexedDB, 'rounds');
+      }
+    } catch (e) {
+      // Blocked by the browser - fall through
+    }
+    return new MemoryRecordStore();
+  }
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { RoundArchive } from './RoundArchive.js';
+import { MemoryRecordStore } from './RecordStore.js';
+
+function round(n) {
+  return { roundId: `round-${n}`, timestamp: n * 1000, crashTime: 12 };
+}
+
+describe('RoundArchive', () => {
+  it('evicts the oldest rounds over the limit', async () => {
+    const store = new MemoryRecordStore();
+    const archive = new RoundArchive(store, { limit: 3 });
+
+    [1, 2, 3, 4, 5].forEach(n => archive.add(round(n)));
+
+    const rounds = await archive.list();
+    expect(rounds.map(r => r.roundId)).toEqual(['round-5', 'round-4', 'round-3']);
+    expect(await store.count()).toBe(3);
+    expect(await archive.get('round-1')).toBeNull();
+    expect((await archive.get('round-3')).timestamp).toBe(3000);
+  });
+
+  it('lists the newest rounds first, up to a count', async () => {
+    const archive = new RoundArchive(new MemoryRecordStore());
+    [1, 2, 3].forEach(n => archive.add(round(n)));
+
+    expect((await archive.list(2)).map(r => r.roundId)).toEqual(['round-3', 'round-2']);
+  });
+
+  it('rejects a limit that is not a positive integer', () => {
+    expect(() => new RoundArchive(new MemoryRecordStore(), { limit: 0 }))
+      .toThrow('Round archive limit must be a positive integer, got 0');
+  });
+});
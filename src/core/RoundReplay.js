@@ -0,0 +1,207 @@
+/**
+ * RoundReplay - Plays an archived round back on a clock: play/pause, speed and seeking
+ * Read-only: it works from the archive record alone, so the live game and balance are never touched
+ */
+import { PriceIndex } from './PriceIndex.js';
+import { RealClock } from './Clock.js';
+
+// Playback speeds offered to the player
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Round time between chart points - one point per frame at 1x and 60 FPS, like live play
+const POINT_INTERVAL = 1 / 60;
+
+export class RoundReplay {
+  /**
+   * @param {Object} round - Record from RoundArchive
+   * @param {Object} options
+   * @param {Object} options.clock - Time and frames (RealClock by default, ManualClock for tests)
+   * @param {Function} options.onFrame - Called with every frame (see emitFrame)
+   */
+  constructor(round, options = {}) {
+    if (!round || !Array.isArray(round.pricePoints) || round.pricePoints.length === 0) {
+      throw new Error('Replay needs an archived round with price points');
+    }
+
+    this.round = round;
+    this.clock = options.clock || new RealClock();
+    this.onFrame = options.onFrame || null;
+    this.cursor = new PriceIndex(round.pricePoints).cursor();
+    this.duration = round.crashTime === undefined
+      ? round.pricePoints[round.pricePoints.length - 1].time
+      : round.crashTime;
+
+    this.time = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.frameId = null;
+    this.lastFrameAt = null;
+  }
+
+  /**
+   * Start or resume playback (from the start if the replay had finished)
+   */
+  play() {
+    if (this.playing) return;
+    if (this.isEnded()) {
+      this.seek(0);
+    }
+
+    this.playing = true;
+    this.lastFrameAt = this.clock.now();
+    this.frameId = this.clock.requestFrame(() => this.tick());
+    this.emitFrame([], false);
+  }
+
+  /**
+   * Pause playback where it is
+   */
+  pause() {
+    if (!this.playing) return;
+
+    this.playing = false;
+    this.clock.cancelFrame(this.frameId);
+    this.frameId = null;
+    this.emitFrame([], false);
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * @param {number} speed - One of REPLAY_SPEEDS
+   * @throws {Error} For any other speed
+   */
+  setSpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      throw new Error(`Replay speed must be one of ${REPLAY_SPEEDS.join(', ')}, got ${speed}`);
+    }
+    this.speed = speed;
+  }
+
+  /**
+   * Jump to a time; the frame carries every point up to it so the chart can be redrawn
+   * @param {number} time - Round time in seconds (clamped to the round)
+   */
+  seek(time) {
+    this.time = Math.min(Math.max(0, time), this.duration);
+    this.emitFrame(this.getPoints(0, this.time), true);
+
+    if (this.isEnded()) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Stop playback for good (e.g. the viewer was closed)
+   */
+  stop() {
+    this.onFrame = null;
+    this.pause();
+  }
+
+  isEnded() {
+    return this.time >= this.duration;
+  }
+
+  /**
+   * Advance by the wall time since the last frame, times the speed
+   */
+  tick() {
+    const now = this.clock.now();
+    const fromTime = this.time;
+    this.time = Math.min(this.duration, this.time + ((now - this.lastFrameAt) / 1000) * this.speed);
+    this.lastFrameAt = now;
+
+    const points = this.getPoints(fromTime, this.time, false);
+    if (this.isEnded()) {
+      this.playing = false;
+      this.frameId = null;
+      this.emitFrame(points, false);
+      return;
+    }
+
+    this.frameId = this.clock.requestFrame(() => this.tick());
+    this.emitFrame(points, false);
+  }
+
+  /**
+   * Chart points between two times, one every POINT_INTERVAL, always ending exactly at toTime
+   * @param {number} fromTime
+   * @param {number} toTime
+   * @param {boolean} includeStart - Include a point at fromTime
+   * @returns {Array} [{ time, price, day }]
+   */
+  getPoints(fromTime, toTime, includeStart = true) {
+    const points = [];
+    const first = includeStart ? 0 : 1;
+    const steps = Math.floor((toTime - fromTime) / POINT_INTERVAL);
+
+    for (let i = first; i <= steps; i++) {
+      points.push(this.getPoint(fromTime + i * POINT_INTERVAL));
+    }
+
+    const last = points[points.length - 1];
+    if (toTime > fromTime && (!last || last.time < toTime)) {
+      points.push(this.getPoint(toTime));
+    }
+
+    return points;
+  }
+
+  /**
+   * @param {number} time
+   * @returns {Object} { time, price, day } as in a live frame
+   */
+  getPoint(time) {
+    return {
+      time,
+      price: this.cursor.priceAt(time),
+      day: Math.floor(time) + 1
+    };
+  }
+
+  /**
+   * The player's moves up to a time, as live play marks them on the chart
+   * The auto-invest at the open has no marker; the full cash out or liquidation that closed the round does
+   * @param {number} time
+   * @returns {Object} { entries: [{ time, price }], cashOut: { time, price } or null }
+   */
+  getMarkers(time = this.time) {
+    const entries = this.round.entries
+      .filter(entry => entry.entryTime <= time && !(entry.type === 'initial' && entry.entryTime === 0))
+      .map(entry => ({ time: entry.entryTime, price: entry.entryPrice }));
+
+    const closes = this.round.exits.filter(exit =>
+      (exit.type === 'full' || exit.type === 'liquidation') && exit.time <= time);
+    const close = closes.length > 0 ? closes[closes.length - 1] : null;
+
+    return {
+      entries,
+      cashOut: close ? { time: close.time, price: close.price } : null
+    };
+  }
+
+  /**
+   * @param {Array} points - New chart points (every point so far if reset)
+   * @param {boolean} reset - The chart must be redrawn from these points (after a seek)
+   */
+  emitFrame(points, reset) {
+    if (!this.onFrame) return;
+
+    this.onFrame({
+      time: this.time,
+      duration: this.duration,
+      points,
+      reset,
+      markers: this.getMarkers(),
+      playing: this.playing,
+      ended: this.isEnded()
+    });
+  }
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { RoundReplay } from './RoundReplay.js';
+import { RoundArchive } from './RoundArchive.js';
+import { MemoryRecordStore } from './RecordStore.js';
+import { ManualClock } from './Clock.js';
+import { HeadlessRunner } from '../headless/HeadlessRunner.js';
+import { TargetBot } from '../headless/TargetBot.js';
+
+// An archived round: auto-invest, a double down at 1s, cashed out at 2.5s
+const round = {
+  roundId: 'abc',
+  pricePoints: [[0, 1], [1, 1.5], [2, 2], [3, 1.8], [3.02, 0]].map(([time, price]) => ({ time, price, day: Math.floor(time) + 1 })),
+  crashTime: 3.02,
+  entries: [
+    { type: 'initial', entryTime: 0, entryPrice: 1 },
+    { type: 'double_down', entryTime: 1, entryPrice: 1.5 }
+  ],
+  exits: [{ type: 'full', time: 2.5, price: 1.9 }]
+};
+
+function createReplay() {
+  const clock = new ManualClock({ frameInterval: 20 });
+  const frames = [];
+  const replay = new RoundReplay(round, { clock, onFrame: frame => frames.push(frame) });
+  return { clock, frames, replay };
+}
+
+describe('RoundReplay', () => {
+  it('plays the chart back in round time, at the chosen speed', async () => {
+    const { clock, frames, replay } = createReplay();
+    replay.play();
+
+    await clock.advance(1000);
+    expect(replay.time).toBeCloseTo(1);
+    expect(frames.at(-1).points.at(-1).price).toBeCloseTo(1.5);
+
+    replay.setSpeed(2);
+    await clock.advance(500);
+    expect(replay.time).toBeCloseTo(2);
+  });
+
+  it('redraws everything up to a seek, with the markers of that moment', () => {
+    const { frames, replay } = createReplay();
+
+    replay.seek(0.9);
+    expect(frames.at(-1).reset).toBe(true);
+    expect(frames.at(-1).points[0].time).toBe(0);
+    expect(frames.at(-1).points.at(-1).time).toBe(0.9);
+    expect(frames.at(-1).markers).toEqual({ entries: [], cashOut: null });
+
+    replay.seek(2.6);
+    expect(frames.at(-1).markers).toEqual({
+      entries: [{ time: 1, price: 1.5 }],
+      cashOut: { time: 2.5, price: 1.9 }
+    });
+  });
+
+  it('stops at the crash and starts over on play', async () => {
+    const { clock, frames, replay } = createReplay();
+    replay.play();
+
+    await clock.advance(10000);
+    expect(frames.at(-1)).toMatchObject({ time: 3.02, ended: true, playing: false });
+    expect(clock.pendingCount()).toBe(0);
+
+    replay.play();
+    expect(replay.time).toBe(0);
+    expect(replay.playing).toBe(true);
+  });
+
+  it('sends nothing while paused or once stopped', async () => {
+    const { clock, frames, replay } = createReplay();
+    replay.play();
+    replay.pause();
+    const count = frames.length;
+
+    await clock.advance(1000);
+    expect(frames).toHaveLength(count);
+
+    replay.stop();
+    replay.seek(1);
+    expect(frames).toHaveLength(count);
+  });
+
+  it('rejects unknown speeds and rounds without a chart', () => {
+    const { replay } = createReplay();
+
+    expect(() => replay.setSpeed(3)).toThrow('Replay speed must be one of 0.5, 1, 2, 4, got 3');
+    expect(() => new RoundReplay({ pricePoints: [] })).toThrow('Replay needs an archived round with price points');
+  });
+
+  it('replays archived rounds without touching the game', async () => {
+    const archive = new RoundArchive(new MemoryRecordStore(), { limit: 10 });
+    const runner = new HeadlessRunner({ player: new TargetBot({ target: 1.4 }), betAmount: 10, archive });
+    await runner.run(3);
+    const balance = runner.controller.balanceManager.getBalance();
+
+    const [last] = await archive.list();
+    const clock = new ManualClock();
+    const replay = new RoundReplay(last, { clock });
+    replay.play();
+    await clock.advance((last.crashTime + 1) * 1000);
+
+    expect(replay.isEnded()).toBe(true);
+    expect(replay.getPoint(last.crashTime).price).toBe(0);
+    expect(runner.controller.balanceManager.getBalance()).toBe(balance);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * RoundStateMachine - The game's round states, the moves between them and what the player may do in each
+ * Every transition and action (allowed or rejected) goes into a timestamped audit log for bug reports
+ */
+
+// Allowed moves: state -> states it can go to
+// 'settling' is the round end itself: payouts and side bets are booked, nothing else may happen
+const TRANSITIONS = {
+  idle: ['countdown', 'broke'],
+  countdown: ['active'],
+  active: ['settling'],
+  settling: ['results'],
+  results: ['idle'],
+  broke: ['idle']
+};
+
+// Player actions: the states each is allowed in, and the message when it isn't
+const ACTIONS = {
+  enterRound: { states: ['active'], message: 'Round not active' },
+  doubleDown: { states: ['active'], message: 'Round not active' },
+  openShort: { states: ['active'], message: 'Round not active' },
+  cashOut: { states: ['active'], message: 'Round not active' },
+  partialCashOut: { states: ['active'], message: 'Round not active' },
+  placeSideBet: { states: ['countdown'], message: 'Side bets close when the round starts' },
+  claimBailout: { states: ['broke'], message: 'Bailouts are only for broke players' },
+  takeLoan: { states: ['idle', 'countdown', 'results', 'broke'], message: 'The loan shark only deals between rounds' },
+  prestigeReset: { states: ['broke'], message: 'Prestige reset is only available when broke' }
+};
+
+// Most audit entries kept (oldest are dropped first)
+const AUDIT_LOG_LIMIT = 1000;
+
+export class RoundStateMachine {
+  /**
+   * @param {Object} clock - Timestamps for the audit log (see Clock.js)
+   * @param {string} initialState
+   */
+  constructor(clock, initialState = 'idle') {
+    if (!TRANSITIONS[initialState]) {
+      throw new Error(`Unknown state "${initialState}"`);
+    }
+
+    this.clock = clock;
+    this.state = initialState;
+    this.auditLog = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * @param {string} state
+   * @returns {boolean} True if the machine is in that state
+   */
+  is(state) {
+    return this.state === state;
+  }
+
+  /**
+   * @param {string} to - Target state
+   * @returns {boolean} True if the current state can move there
+   */
+  canTransition(to) {
+    return TRANSITIONS[this.state].includes(to);
+  }
+
+  /**
+   * Move to another state
+   * @param {string} to - Target state
+   * @param {Object} details - Extra fields for the audit entry (only what the player may already see)
+   * @throws {Error} If the move isn't declared - a bug in the caller
+   */
+  transition(to, details = {}) {
+    if (!this.canTransition(to)) {
+      this.record({ type: 'invalid_transition', from: this.state, to, ...details });
+      throw new Error(`Invalid state transition: ${this.state} -> ${to}`);
+    }
+
+    const from = this.state;
+    this.state = to;
+    this.record({ type: 'transition', from, to, ...details });
+  }
+
+  /**
+   * Check a player action against the current state; rejections are logged
+   * @param {string} action - Key of ACTIONS
+   * @returns {Object|null} Failure result if the action isn't allowed now, null if it is
+   */
+  guard(action) {
+    const rule = ACTIONS[action];
+    if (!rule) {
+      throw new Error(`Unknown action "${action}"`);
+    }
+
+    if (rule.states.includes(this.state)) return null;
+
+    this.record({ type: 'rejected', action, state: this.state, message: rule.message });
+    return { success: false, message: rule.message };
+  }
+
+  /**
+   * Add an entry to the audit log
+   * @param {Object} entry - { type, ... }
+   * @returns {Object} The stored entry (so an action's outcome can be filled in once known)
+   */
+  record(entry) {
+    const stored = { seq: ++this.sequence, time: this.clock.now(), ...entry };
+    this.auditLog.push(stored);
+
+    if (this.auditLog.length > AUDIT_LOG_LIMIT) {
+      this.auditLog.shift();
+    }
+    return stored;
+  }
+
+  /**
+   * @param {number} limit - Most recent entries to return (all by default)
+   * @returns {Array} Audit entries, oldest first
+   */
+  getAuditLog(limit = AUDIT_LOG_LIMIT) {
+    return this.auditLog.slice(-limit).map(entry => ({ ...entry }));
+  }
+
+  /**
+   * The audit log as JSON, for attaching to a bug report
+   * @returns {string}
+   */
+  dump() {
+    return JSON.stringify({
+      state: this.state,
+      dumpedAt: this.clock.now(),
+      entries: this.auditLog
+    }, null, 2);
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { RoundStateMachine } from './RoundStateMachine.js';
+import { ManualClock } from './Clock.js';
+
+describe('RoundStateMachine', () => {
+  it('walks through a round and logs every move', async () => {
+    const clock = new ManualClock();
+    const machine = new RoundStateMachine(clock);
+
+    machine.transition('countdown');
+    await clock.advance(5000);
+    machine.transition('active', { roundId: 'abc' });
+    machine.transition('settling');
+    machine.transition('results');
+    machine.transition('idle');
+
+    expect(machine.is('idle')).toBe(true);
+    expect(machine.getAuditLog().map(({ from, to }) => `${from}->${to}`)).toEqual([
+      'idle->countdown', 'countdown->active', 'active->settling', 'settling->results', 'results->idle'
+    ]);
+    expect(machine.getAuditLog()[1]).toMatchObject({ seq: 2, time: 5000, roundId: 'abc' });
+  });
+
+  it('throws on an undeclared move and logs it', () => {
+    const machine = new RoundStateMachine(new ManualClock());
+
+    expect(() => machine.transition('results')).toThrow('Invalid state transition: idle -> results');
+    expect(machine.state).toBe('idle');
+    expect(machine.getAuditLog(1)[0]).toMatchObject({ type: 'invalid_transition', from: 'idle', to: 'results' });
+  });
+
+  it('guards player actions by state', () => {
+    const machine = new RoundStateMachine(new ManualClock(), 'countdown');
+
+    expect(machine.guard('placeSideBet')).toBeNull();
+    expect(machine.guard('cashOut')).toEqual({ success: false, message: 'Round not active' });
+    expect(machine.getAuditLog()).toHaveLength(1);
+    expect(machine.getAuditLog()[0]).toMatchObject({ type: 'rejected', action: 'cashOut', state: 'countdown' });
+    expect(() => machine.guard('teleport')).toThrow('Unknown action "teleport"');
+  });
+
+  it('keeps only the newest 1000 entries', () => {
+    const machine = new RoundStateMachine(new ManualClock());
+    for (let i = 0; i < 1005; i++) {
+      machine.record({ type: 'action', action: 'cashOut' });
+    }
+
+    const log = machine.getAuditLog();
+    expect(log).toHaveLength(1000);
+    expect(log[0].seq).toBe(6);
+    expect(JSON.parse(machine.dump()).entries).toHaveLength(1000);
+  });
+
+  it('rejects an unknown initial state', () => {
+    expect(() => new RoundStateMachine(new ManualClock(), 'paused')).toThrow('Unknown state "paused"');
+  });
+});
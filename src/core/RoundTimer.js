@@ -1,8 +1,14 @@
 /**
  * RoundTimer - Manages round timing and day counter
  */
+import { RealClock } from './Clock.js';
+
 export class RoundTimer {
-  constructor() {
+  /**
+   * @param {Object} clock - Time source (RealClock or ManualClock)
+   */
+  constructor(clock = new RealClock()) {
+    this.clock = clock;
     this.reset();
   }
 
@@ -12,7 +18,7 @@ export class RoundTimer {
    */
   start(duration) {
     this.duration = duration;
-    this.startTime = Date.now();
+    this.startTime = this.clock.now();
     this.endTime = this.startTime + (duration * 1000);
     this.isActive = true;
     this.isPaused = false;
@@ -37,7 +43,7 @@ export class RoundTimer {
     if (!this.isActive) return 0;
     if (this.isPaused) return this.pausedAt - this.startTime;
 
-    const now = Date.now();
+    const now = this.clock.now();
     const elapsed = (now - this.startTime) / 1000;
     return Math.min(elapsed, this.duration);
   }
@@ -82,7 +88,7 @@ export class RoundTimer {
   pause() {
     if (!this.isActive || this.isPaused) return;
     this.isPaused = true;
-    this.pausedAt = Date.now();
+    this.pausedAt = this.clock.now();
   }
 
   /**
@@ -90,7 +96,7 @@ export class RoundTimer {
    */
   resume() {
     if (!this.isPaused) return;
-    const pauseDuration = Date.now() - this.pausedAt;
+    const pauseDuration = this.clock.now() - this.pausedAt;
     this.startTime += pauseDuration;
     this.endTime += pauseDuration;
     this.isPaused = false;
@@ -0,0 +1,102 @@
+/**
+ * RoundVerifier - Recomputes a revealed round and compares it to what was played
+ * Standalone: needs only the revealed seed data and the recorded price points
+ */
+import { ChartGenerator } from './ChartGenerator.js';
+import { ProvablyFair } from './ProvablyFair.js';
+
+export class RoundVerifier {
+  /**
+   * @param {ChartGenerator} chartGenerator - Generator configured like the game's
+   */
+  constructor(chartGenerator = new ChartGenerator()) {
+    this.chartGenerator = chartGenerator;
+  }
+
+  /**
+   * Verify a revealed round
+   * @param {Object} reveal - { serverSeed, nonce, duration, profileHash, commitment }
+   * @param {Array} pricePoints - Price points that were shown during the round
+   * @param {Object} profile - Chart profile the round was played with (current if omitted)
+   * @returns {Object} Verification report
+   */
+  verify(reveal, pricePoints, profile = null) {
+    if (!reveal || !reveal.serverSeed) {
+      return { valid: false, message: 'No revealed seed to verify' };
+    }
+
+    const { serverSeed, nonce, duration, profileHash, commitment } = reveal;
+
+    // 1. The revealed seed must match the hash published before the round
+    const expectedCommitment = ProvablyFair.hashCommitment(serverSeed, nonce, duration, profileHash);
+    const commitmentValid = expectedCommitment === commitment;
+
+    // 2. The curve is rebuilt with the committed generator: same profile, same round types
+    const chartGenerator = profile && profile !== this.chartGenerator.profile
+      ? this.chartGenerator.withProfile(profile)
+      : this.chartGenerator;
+    const actualProfileHash = chartGenerator.getFingerprint();
+    const profileValid = actualProfileHash === profileHash;
+
+    // 3. The seed must regenerate the exact same curve
+    const regenerated = chartGenerator.generateChart(duration, {
+      seed: ProvablyFair.roundSeed(serverSeed, nonce)
+    });
+    const mismatchIndex = this.findMismatch(regenerated.pricePoints, pricePoints || []);
+    const curveValid = mismatchIndex === -1;
+
+    // 4. The crash must happen at the same moment
+    const expectedCrashTime = chartGenerator.getCrashTime(regenerated.pricePoints);
+    const actualCrashTime = chartGenerator.getCrashTime(pricePoints || []);
+    const crashTimeValid = expectedCrashTime === actualCrashTime;
+
+    const valid = commitmentValid && profileValid && curveValid && crashTimeValid;
+
+    let message = 'Round verified: seed matches commitment and curve';
+    if (!commitmentValid) {
+      message = 'Commitment mismatch: revealed seed does not hash to the published commitment';
+    } else if (!profileValid) {
+      message = 'Profile mismatch: the chart settings differ from the ones committed to';
+    } else if (!curveValid) {
+      message = `Curve mismatch at point ${mismatchIndex}`;
+    } else if (!crashTimeValid) {
+      message = 'Crash time mismatch';
+    }
+
+    return {
+      valid,
+      message,
+      commitmentValid,
+      profileValid,
+      curveValid,
+      crashTimeValid,
+      expectedCommitment,
+      actualProfileHash,
+      expectedCrashTime,
+      actualCrashTime,
+      mismatchIndex,
+      type: regenerated.type,
+      peakMultiplier: regenerated.peakMultiplier
+    };
+  }
+
+  /**
+   * Find first differing price point
+   * @param {Array} expected
+   * @param {Array} actual
+   * @returns {number} Index of first mismatch, -1 if identical
+   */
+  findMismatch(expected, actual) {
+    const length = Math.max(expected.length, actual.length);
+
+    for (let i = 0; i < length; i++) {
+      const a = expected[i];
+      const b = actual[i];
+      if (!a || !b || a.time !== b.time || a.price !== b.price) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { RoundVerifier } from './RoundVerifier.js';
+import { ProvablyFair } from './ProvablyFair.js';
+import { ChartGenerator } from './ChartGenerator.js';
+import { DEFAULT_PROFILE } from './ChartProfile.js';
+
+// Every chart is a 2.0 plateau that rugs at the end
+function plateau({ samples, duration }) {
+  const pricePoints = [];
+  for (let i = 0; i < samples; i++) {
+    pricePoints.push({ time: (i / samples) * duration, price: 2, day: 1 });
+  }
+  pricePoints.push({ time: duration, price: 0, day: 1 });
+  return { pricePoints, peakMultiplier: 2 };
+}
+
+function play(chartGenerator, duration = 12) {
+  const fair = new ProvablyFair();
+  fair.commit(duration, chartGenerator.getFingerprint());
+  const round = chartGenerator.generateChart(duration, { seed: fair.getRoundSeed() });
+  return { reveal: fair.reveal(), round };
+}
+
+describe('RoundVerifier', () => {
+  it('verifies an honest round', () => {
+    const chartGenerator = new ChartGenerator();
+    const { reveal, round } = play(chartGenerator);
+
+    const report = new RoundVerifier(chartGenerator).verify(reveal, round.pricePoints);
+
+    expect(report.valid).toBe(true);
+    expect(report.type).toBe(round.type);
+  });
+
+  it('rejects a reveal that does not match the commitment', () => {
+    const chartGenerator = new ChartGenerator();
+    const { reveal, round } = play(chartGenerator);
+
+    const report = new RoundVerifier(chartGenerator).verify({ ...reveal, duration: 13 }, round.pricePoints);
+
+    expect(report.commitmentValid).toBe(false);
+    expect(report.message).toMatch(/^Commitment mismatch/);
+  });
+
+  it('rejects a round played with other settings than committed', () => {
+    const chartGenerator = new ChartGenerator();
+    const { reveal } = play(chartGenerator);
+
+    // The house swaps in a harsher profile after committing
+    const harsh = new ChartGenerator({ profile: { ...DEFAULT_PROFILE, name: 'harsh' } });
+    const round = harsh.generateChart(reveal.duration, { seed: ProvablyFair.roundSeed(reveal.serverSeed, reveal.nonce) });
+
+    const report = new RoundVerifier(harsh).verify(reveal, round.pricePoints);
+
+    expect(report.commitmentValid).toBe(true);
+    expect(report.profileValid).toBe(false);
+    expect(report.valid).toBe(false);
+  });
+
+  it('flags a tampered curve', () => {
+    const chartGenerator = new ChartGenerator();
+    const { reveal, round } = play(chartGenerator);
+    const pricePoints = round.pricePoints.map(point => ({ ...point }));
+    pricePoints[20].price += 0.01;
+
+    const report = new RoundVerifier(chartGenerator).verify(reveal, pricePoints);
+
+    expect(report.curveValid).toBe(false);
+    expect(report.mismatchIndex).toBe(20);
+  });
+
+  it('keeps round types registered in code when the profile changed since the round', () => {
+    const chartGenerator = new ChartGenerator();
+    chartGenerator.registerRoundType('plateau', { probability: 1000, generate: plateau });
+    const playedProfile = chartGenerator.profile;
+    const { reveal, round } = play(chartGenerator);
+    expect(round.type).toBe('plateau');
+
+    chartGenerator.setProfile({ ...DEFAULT_PROFILE, name: 'next' });
+    const report = new RoundVerifier(chartGenerator).verify(reveal, round.pricePoints, playedProfile);
+
+    expect(report.valid).toBe(true);
+    expect(chartGenerator.profile.name).toBe('next');
+  });
+});
+
+describe('ChartGenerator.withProfile', () => {
+  it('matches the generator it would become after setProfile', () => {
+    const chartGenerator = new ChartGenerator();
+    chartGenerator.registerRoundType('plateau', { probability: 0.2, generate: plateau });
+    const next = { ...DEFAULT_PROFILE, name: 'next' };
+
+    const copy = chartGenerator.withProfile(next);
+    chartGenerator.setProfile(next);
+
+    expect(copy).not.toBe(chartGenerator);
+    expect(copy.getRoundTypes()).toEqual(chartGenerator.getRoundTypes());
+    expect(copy.getFingerprint()).toBe(chartGenerator.getFingerprint());
+    expect(copy.generateChart(10, { seed: 7 })).toEqual(chartGenerator.generateChart(10, { seed: 7 }));
+  });
+});
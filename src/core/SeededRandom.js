@@ -0,0 +1,62 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number source (mulberry32)
+ * Same seed always produces the same sequence, so rounds can be reproduced
+ */
+export class SeededRandom {
+  /**
+   * @param {number|string} seed - Initial seed (random if omitted)
+   */
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the sequence to a new seed
+   * @param {number|string} seed - Numeric or string seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  /**
+   * Get next random number
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Convert a seed to a 32-bit integer state
+   * Integers are taken modulo 2^32; strings and fractional numbers are hashed with FNV-1a
+   * (so 1.2 and 1.7 don't both truncate to 1)
+   * @param {number|string} seed
+   * @returns {number} Unsigned 32-bit integer
+   */
+  static hashSeed(seed) {
+    if (Number.isInteger(seed)) {
+      return seed >>> 0;
+    }
+
+    const str = String(seed);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Generate a fresh random seed
+   * @returns {number} Unsigned 32-bit integer
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { SeededRandom } from './SeededRandom.js';
+import { ChartGenerator } from './ChartGenerator.js';
+
+function take(rng, count) {
+  return Array.from({ length: count }, () => rng.next());
+}
+
+describe('SeededRandom', () => {
+  it('repeats the sequence for the same seed', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+
+    expect(take(a, 100)).toEqual(take(b, 100));
+  });
+
+  it('restarts the sequence on setSeed', () => {
+    const rng = new SeededRandom('abc');
+    const first = take(rng, 10);
+    rng.setSeed('abc');
+
+    expect(take(rng, 10)).toEqual(first);
+  });
+
+  it('gives different seeds different sequences', () => {
+    expect(take(new SeededRandom(1), 10)).not.toEqual(take(new SeededRandom(2), 10));
+    expect(take(new SeededRandom('a1'), 10)).not.toEqual(take(new SeededRandom('a2'), 10));
+  });
+
+  it('stays in [0, 1)', () => {
+    take(new SeededRandom(7), 10000).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('hashes string seeds with FNV-1a', () => {
+    expect(SeededRandom.hashSeed('')).toBe(0x811C9DC5);
+    expect(SeededRandom.hashSeed('a')).toBe(0xE40C292C);
+    expect(SeededRandom.hashSeed(2 ** 32 + 5)).toBe(5);
+  });
+
+  it('does not truncate fractional seeds', () => {
+    expect(SeededRandom.hashSeed(1.2)).toBe(SeededRandom.hashSeed('1.2'));
+    expect(SeededRandom.hashSeed(1.2)).not.toBe(SeededRandom.hashSeed(1.7));
+    expect(SeededRandom.hashSeed(1.2)).not.toBe(SeededRandom.hashSeed(1));
+    expect(take(new SeededRandom(1.2), 10)).not.toEqual(take(new SeededRandom(1.7), 10));
+  });
+});
+
+describe('ChartGenerator seeds', () => {
+  it('reproduces a chart from its seed', () => {
+    const chart = new ChartGenerator().generateChart(15, { seed: 'round:1' });
+    const again = new ChartGenerator().generateChart(15, { seed: 'round:1' });
+
+    expect(again).toEqual(chart);
+    expect(chart.seed).toBe('round:1');
+  });
+
+  it('does not depend on Math.random once seeded', () => {
+    const generator = new ChartGenerator();
+    const chart = generator.generateChart(12, { seed: 99 });
+    const random = Math.random;
+    Math.random = () => 0.5;
+
+    try {
+      expect(generator.generateChart(12, { seed: 99 })).toEqual(chart);
+    } finally {
+      Math.random = random;
+    }
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { Sha256 } from './Sha256.js';
+
+describe('Sha256', () => {
+  // FIPS 180-4 examples
+  it.each([
+    ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+    ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+    [
+      'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+      '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+    ],
+    ['a'.repeat(1000000), 'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0']
+  ])('hashes %#', (text, expected) => {
+    expect(Sha256.hex(text)).toBe(expected);
+  });
+
+  it('matches node:crypto around the block boundaries and on UTF-8', () => {
+    const texts = [55, 56, 63, 64, 65, 119, 120, 128].map(length => 'x'.repeat(length));
+    texts.push('🚀 rug pull 💸', 'seed:1:15:profile');
+
+    texts.forEach(text => {
+      expect(Sha256.hex(text)).toBe(createHash('sha256').update(text, 'utf8').digest('hex'));
+    });
+  });
+});
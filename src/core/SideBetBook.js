@@ -0,0 +1,303 @@
+/**
+ * SideBetBook - Bets on how the next round plays out, placed during the countdown
+ * Payouts are derived from the chart profile's probabilities, minus a house margin
+ */
+import { Money } from './Money.js';
+
+// Peak multipliers offered as "peak over Nx" markets
+const PEAK_THRESHOLDS = [1.5, 2, 3];
+
+// Days offered as "crash before day N" markets
+const CRASH_DAYS = [10, 13, 15];
+
+// Charts sampled to price the peak markets - the chart can overshoot its target peak, so only sampling knows the odds
+const PEAK_SAMPLE_ROUNDS = 4000;
+
+// Standard errors added to a sampled chance, so sampling noise can't give the player an edge
+const PEAK_SAMPLE_ERRORS = 2;
+
+// Sampled peaks by generator fingerprint (profile and round type weights)
+const peakSamples = new Map();
+
+// Fingerprints kept in peakSamples, oldest dropped first
+const PEAK_SAMPLE_CACHE_SIZE = 8;
+
+export class SideBetBook {
+  /**
+   * @param {Object} options
+   * @param {number} options.houseMargin - Share of the fair payout the house keeps (0-1)
+   */
+  constructor({ houseMargin = 0.05 } = {}) {
+    this.setHouseMargin(houseMargin);
+    this.markets = [];
+    this.bets = [];
+  }
+
+  /**
+   * Set the house margin (applies when the next markets open)
+   * @param {number} houseMargin - e.g. 0.05 for 5%
+   */
+  setHouseMargin(houseMargin) {
+    if (!(Number.isFinite(houseMargin) && houseMargin >= 0 && houseMargin < 1)) {
+      throw new Error('House margin must be between 0% and 100%');
+    }
+    this.houseMargin = houseMargin;
+  }
+
+  /**
+   * Price the markets for the next round and drop bets from the last one
+   * Markets that can't lose or can't win under the profile are not offered,
+   * nor are the peak markets if samplePeaks hasn't run for the generator's fingerprint
+   * @param {ChartGenerator} chartGenerator - Generator the round will come from
+   * @returns {Array} Markets [{ id, label, probability, payout }]
+   */
+  openMarkets(chartGenerator) {
+    this.bets = [];
+    this.markets = SideBetBook.buildMarkets(chartGenerator)
+      .filter(market => market.probability > 0 && market.probability < 1)
+      .map(market => ({
+        ...market,
+        payout: SideBetBook.getPayout(market.probability, this.houseMargin)
+      }));
+
+    return this.getMarkets();
+  }
+
+  /**
+   * @returns {Array} Open markets
+   */
+  getMarkets() {
+    return this.markets.map(market => ({ ...market }));
+  }
+
+  /**
+   * @returns {Array} Bets placed on the next round
+   */
+  getBets() {
+    return this.bets.map(bet => ({ ...bet }));
+  }
+
+  /**
+   * Record a bet (the caller takes the stake)
+   * @param {string} marketId
+   * @param {number} amount - Stake
+   * @returns {Object} Result with the bet
+   */
+  placeBet(marketId, amount) {
+    const market = this.markets.find(m => m.id === marketId);
+    if (!market) {
+      return { success: false, message: 'Unknown side bet' };
+    }
+
+    if (!(amount >= 1)) {
+      return { success: false, message: 'Side bet must be at least $1' };
+    }
+
+    const bet = {
+      marketId,
+      label: market.label,
+      amount: Money.round(amount),
+      payout: market.payout
+    };
+    this.bets.push(bet);
+
+    return { success: true, bet };
+  }
+
+  /**
+   * Settle every bet against the finished round (winnings round down to the cent)
+   * @param {Object} round - Round from ChartGenerator.generateChart
+   * @returns {Object} { bets, totalStaked, totalReturned, profit }
+   */
+  settle(round) {
+    const outcome = SideBetBook.getOutcome(round);
+    let stakedCents = 0;
+    let returnedCents = 0;
+
+    const bets = this.bets.map(bet => {
+      const won = SideBetBook.isWinner(bet.marketId, outcome);
+      const stake = Money.toCents(bet.amount);
+      const returned = won ? Money.fill(stake, bet.payout) : 0;
+
+      stakedCents += stake;
+      returnedCents += returned;
+
+      return {
+        ...bet,
+        won,
+        returned: Money.toDollars(returned),
+        profit: Money.toDollars(returned - stake)
+      };
+    });
+
+    this.bets = [];
+
+    return {
+      bets,
+      totalStaked: Money.toDollars(stakedCents),
+      totalReturned: Money.toDollars(returnedCents),
+      profit: Money.toDollars(returnedCents - stakedCents)
+    };
+  }
+
+  /**
+   * Markets with their true probabilities under the generator's profile
+   * @param {ChartGenerator} chartGenerator
+   * @returns {Array} [{ id, label, probability }]
+   */
+  static buildMarkets(chartGenerator) {
+    const { profile } = chartGenerator;
+    const roundTypes = chartGenerator.getRoundTypes();
+    const markets = roundTypes.map(({ name, probability }) => ({
+      id: `type:${name}`,
+      label: `${SideBetBook.formatTypeName(name)} round`,
+      probability
+    }));
+
+    const peaks = peakSamples.get(chartGenerator.getFingerprint());
+    if (peaks) {
+      PEAK_THRESHOLDS.forEach(threshold => {
+        markets.push({
+          id: `peak_over:${threshold}`,
+          label: `Peak over ${threshold}x`,
+          probability: SideBetBook.peakOverProbability(peaks, threshold)
+        });
+      });
+    }
+
+    CRASH_DAYS.forEach(day => {
+      markets.push({
+        id: `crash_before:${day}`,
+        label: `Crash before day ${day}`,
+        probability: SideBetBook.crashBeforeProbability(profile, day - 1)
+      });
+    });
+
+    return markets;
+  }
+
+  /**
+   * Chance the chart's highest price ends above a threshold, from sampled peaks
+   * Rounded up by PEAK_SAMPLE_ERRORS standard errors (a market never seen to win or lose stays at 0 or 1)
+   * @param {Array<number>} peaks - Result of samplePeaks
+   * @param {number} threshold
+   * @returns {number}
+   */
+  static peakOverProbability(peaks, threshold) {
+    const hits = peaks.filter(peak => peak > threshold).length;
+    if (hits === 0 || hits === peaks.length) return hits / peaks.length;
+
+    const p = hits / peaks.length;
+    return Math.min(1, p + PEAK_SAMPLE_ERRORS * Math.sqrt(p * (1 - p) / peaks.length));
+  }
+
+  /**
+   * Highest prices of PEAK_SAMPLE_ROUNDS seeded charts from the generator (same seeds every time)
+   * Slow, so it runs when a profile is picked rather than in the countdown; the charts come from
+   * a copy of the generator, so the live one's random state is left alone
+   * Cached by the generator's fingerprint
+   * @param {ChartGenerator} chartGenerator
+   * @returns {Array<number>}
+   */
+  static samplePeaks(chartGenerator) {
+    const fingerprint = chartGenerator.getFingerprint();
+    const cached = peakSamples.get(fingerprint);
+    if (cached) return cached;
+
+    const sampler = chartGenerator.withProfile(chartGenerator.profile);
+    const [minDuration, maxDuration] = sampler.profile.roundDuration;
+    const peaks = [];
+    for (let i = 0; i < PEAK_SAMPLE_ROUNDS; i++) {
+      const duration = minDuration + (i % (maxDuration - minDuration + 1));
+      peaks.push(SideBetBook.getPeak(sampler.generateChart(duration, { seed: `side_bet_peaks:${i}` }).pricePoints));
+    }
+
+    peakSamples.set(fingerprint, peaks);
+    if (peakSamples.size > PEAK_SAMPLE_CACHE_SIZE) {
+      peakSamples.delete(peakSamples.keys().next().value);
+    }
+    return peaks;
+  }
+
+  /**
+   * Highest price on a chart, as the player saw it
+   * @param {Array} pricePoints
+   * @returns {number}
+   */
+  static getPeak(pricePoints) {
+    return pricePoints.reduce((peak, point) => Math.max(peak, point.price), 0);
+  }
+
+  /**
+   * Chance the crash happens before a time
+   * Durations are whole seconds picked uniformly, the crash comes a uniform time before the end
+   * @param {Object} profile - Chart profile
+   * @param {number} time - Time in seconds
+   * @returns {number}
+   */
+  static crashBeforeProbability(profile, time) {
+    const [minDuration, maxDuration] = profile.roundDuration;
+    const [minLead, maxLead] = profile.endOfRoundCrash;
+    let total = 0;
+
+    for (let duration = minDuration; duration <= maxDuration; duration++) {
+      // crash = duration - lead < time  <=>  lead > duration - time
+      const needed = duration - time;
+      total += maxLead === minLead
+        ? Number(minLead > needed)
+        : Math.min(1, Math.max(0, (maxLead - needed) / (maxLead - minLead)));
+    }
+
+    return total / (maxDuration - minDuration + 1);
+  }
+
+  /**
+   * Decimal payout per dollar staked (stake included), rounded down to the cent
+   * @param {number} probability
+   * @param {number} houseMargin
+   * @returns {number}
+   */
+  static getPayout(probability, houseMargin) {
+    return Math.floor((1 - houseMargin) / probability * 100) / 100;
+  }
+
+  /**
+   * What the side bets settle on - the chart the player watched, not the generator's target peak
+   * @param {Object} round
+   * @returns {Object} { type, peakMultiplier, crashTime }
+   */
+  static getOutcome(round) {
+    const crash = round.pricePoints.find(point => point.price <= 0);
+    return {
+      type: round.type,
+      peakMultiplier: SideBetBook.getPeak(round.pricePoints),
+      crashTime: crash ? crash.time : round.duration
+    };
+  }
+
+  /**
+   * @param {string} marketId
+   * @param {Object} outcome - Result of getOutcome
+   * @returns {boolean}
+   */
+  static isWinner(marketId, outcome) {
+    const separator = marketId.indexOf(':');
+    const kind = marketId.slice(0, separator);
+    const value = marketId.slice(separator + 1);
+
+    if (kind === 'type') return outcome.type === value;
+    if (kind === 'peak_over') return outcome.peakMultiplier > Number(value);
+    if (kind === 'crash_before') return outcome.crashTime < Number(value) - 1;
+    return false;
+  }
+
+  /**
+   * "moon_shot" -> "Moon shot"
+   * @param {string} name
+   * @returns {string}
+   */
+  static formatTypeName(name) {
+    const words = name.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { SideBetBook } from './SideBetBook.js';
+import { ChartGenerator } from './ChartGenerator.js';
+
+const chartGenerator = new ChartGenerator();
+SideBetBook.samplePeaks(chartGenerator);
+
+function round(peakMultiplier, ...points) {
+  return {
+    type: 'medium_peak',
+    peakMultiplier,
+    duration: 20,
+    pricePoints: points.map(([time, price]) => ({ time, price, day: Math.floor(time) + 1 }))
+  };
+}
+
+describe('SideBetBook peak markets', () => {
+  it('settles on the highest price of the chart, not the target peak', () => {
+    const book = new SideBetBook();
+    book.openMarkets(chartGenerator);
+    book.placeBet('peak_over:3', 10);
+    book.placeBet('peak_over:1.5', 10);
+
+    // Target 1.66, but the chart the player watched went to 3.28
+    const result = book.settle(round(1.66, [0, 1], [1, 3.28], [2, 1.2], [2.02, 0]));
+
+    expect(result.bets.map(bet => bet.won)).toEqual([true, true]);
+  });
+
+  it('loses when the chart stays under the threshold', () => {
+    const outcome = SideBetBook.getOutcome(round(3.5, [0, 1], [1, 2.9], [1.02, 0]));
+
+    expect(outcome.peakMultiplier).toBe(2.9);
+    expect(SideBetBook.isWinner('peak_over:3', outcome)).toBe(false);
+  });
+
+  it('prices the markets from the same observed peaks, rounded up', () => {
+    const peaks = SideBetBook.samplePeaks(chartGenerator);
+    const markets = SideBetBook.buildMarkets(chartGenerator);
+
+    [1.5, 2, 3].forEach(threshold => {
+      const sampled = peaks.filter(peak => peak > threshold).length / peaks.length;
+      const market = markets.find(m => m.id === `peak_over:${threshold}`);
+
+      expect(market.probability).toBeGreaterThan(sampled);
+      expect(market.probability).toBeLessThan(sampled + 0.03);
+    });
+  });
+
+  it('keeps a house edge against fresh charts', () => {
+    const book = new SideBetBook({ houseMargin: 0.05 });
+    const markets = book.openMarkets(chartGenerator).filter(market => market.id.startsWith('peak_over:'));
+    let staked = 0;
+    let returned = 0;
+
+    for (let i = 0; i < 2000; i++) {
+      const outcome = SideBetBook.getOutcome(chartGenerator.generateChart(8 + (i % 13), { seed: `fresh:${i}` }));
+      markets.forEach(market => {
+        staked += 1;
+        if (SideBetBook.isWinner(market.id, outcome)) returned += market.payout;
+      });
+    }
+
+    expect(returned / staked).toBeLessThan(1);
+  });
+
+  it('samples once per profile', () => {
+    const generator = new ChartGenerator();
+    const peaks = SideBetBook.samplePeaks(generator);
+
+    expect(SideBetBook.samplePeaks(new ChartGenerator())).toBe(peaks);
+    generator.setProfile({ ...generator.profile, peakTiming: [0.4, 0.6] });
+    expect(SideBetBook.samplePeaks(generator)).not.toBe(peaks);
+  });
+
+  it('samples on a copy of the generator', () => {
+    const generator = new ChartGenerator();
+    generator.setProfile({ ...generator.profile, peakTiming: [0.3, 0.5] });
+    generator.rng.setSeed('live');
+    const expected = new ChartGenerator({ profile: generator.profile });
+    expected.rng.setSeed('live');
+
+    SideBetBook.samplePeaks(generator);
+
+    expect(generator.random(0, 1)).toBe(expected.random(0, 1));
+  });
+
+  it('leaves the peak markets out until the profile is sampled', () => {
+    const generator = new ChartGenerator();
+    generator.setProfile({ ...generator.profile, peakTiming: [0.2, 0.4] });
+    const book = new SideBetBook();
+
+    expect(book.openMarkets(generator).some(market => market.id.startsWith('peak_over:'))).toBe(false);
+
+    SideBetBook.samplePeaks(generator);
+    expect(book.openMarkets(generator).some(market => market.id.startsWith('peak_over:'))).toBe(true);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * GbmEngine - Geometric Brownian motion with drift
+ */
+import { StochasticEngine } from './StochasticEngine.js';
+
+export class GbmEngine extends StochasticEngine {
+  static DEFAULTS = {
+    drift: -0.05,     // log drift per second once the peak is reached
+    volatility: 0.35  // per square-root second
+  };
+
+  constructor(generator, params = {}) {
+    super(generator, params, GbmEngine.DEFAULTS);
+  }
+
+  static validateParams(params, path, errors) {
+    StochasticEngine.validateNumbers(params, {
+      drift: {},
+      volatility: { min: 0 }
+    }, path, errors);
+  }
+}
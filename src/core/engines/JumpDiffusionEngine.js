@@ -0,0 +1,38 @@
+/**
+ * JumpDiffusionEngine - Merton jump-diffusion: GBM plus Poisson-timed log-normal jumps
+ * A negative jump mean gives sudden dumps on top of the diffusion
+ */
+import { StochasticEngine } from './StochasticEngine.js';
+
+export class JumpDiffusionEngine extends StochasticEngine {
+  static DEFAULTS = {
+    drift: 0,
+    volatility: 0.25,
+    jumpIntensity: 0.4,   // expected jumps per second
+    jumpMean: -0.15,      // mean log jump size
+    jumpVolatility: 0.10  // standard deviation of log jump size
+  };
+
+  constructor(generator, params = {}) {
+    super(generator, params, JumpDiffusionEngine.DEFAULTS);
+  }
+
+  getJump(state, dt) {
+    const jumps = this.poisson(this.params.jumpIntensity * dt);
+    let total = 0;
+    for (let i = 0; i < jumps; i++) {
+      total += this.params.jumpMean + this.params.jumpVolatility * this.gaussian();
+    }
+    return total;
+  }
+
+  static validateParams(params, path, errors) {
+    StochasticEngine.validateNumbers(params, {
+      drift: {},
+      volatility: { min: 0 },
+      jumpIntensity: { min: 0, max: 10 },
+      jumpMean: {},
+      jumpVolatility: { min: 0 }
+    }, path, errors);
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * PriceEngines - Engines available to chart profiles, by profile name
+ * Every engine implements fill({ pricePoints, startPrice, startTime, endTime, peakTarget, peakTime })
+ */
+import { SegmentEngine } from './SegmentEngine.js';
+import { GbmEngine } from './GbmEngine.js';
+import { JumpDiffusionEngine } from './JumpDiffusionEngine.js';
+import { RegimeSwitchingEngine } from './RegimeSwitchingEngine.js';
+
+export const PRICE_ENGINES = {
+  segments: SegmentEngine,
+  gbm: GbmEngine,
+  jump_diffusion: JumpDiffusionEngine,
+  regime_switching: RegimeSwitchingEngine
+};
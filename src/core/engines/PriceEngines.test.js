@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { ChartGenerator } from '../ChartGenerator.js';
+import { DEFAULT_PROFILE } from '../ChartProfile.js';
+
+const SEEDS = Array.from({ length: 40 }, (_, i) => `engine:${i}`);
+
+function createGenerator(type) {
+  return new ChartGenerator({ profile: { ...DEFAULT_PROFILE, name: type, engine: { type, params: {} } } });
+}
+
+describe.each(['gbm', 'jump_diffusion', 'regime_switching'])('%s engine', (type) => {
+  it('draws the same chart for the same seed', () => {
+    const first = createGenerator(type);
+    const second = createGenerator(type);
+
+    SEEDS.forEach((seed, i) => {
+      const duration = 15 + (i % 4);
+      expect(second.generateChart(duration, { seed })).toEqual(first.generateChart(duration, { seed }));
+    });
+
+    expect(first.generateChart(16, { seed: 'a' }).pricePoints)
+      .not.toEqual(first.generateChart(16, { seed: 'b' }).pricePoints);
+  });
+
+  it('keeps prices positive until a single crash to $0 at the crash time', () => {
+    const generator = createGenerator(type);
+    const [minLead, maxLead] = DEFAULT_PROFILE.endOfRoundCrash;
+
+    SEEDS.forEach((seed, i) => {
+      const duration = 15 + (i % 4);
+      const { pricePoints } = generator.generateChart(duration, { seed });
+      const crash = pricePoints[pricePoints.length - 1];
+      const crashTime = generator.getCrashTime(pricePoints);
+
+      expect(crash.price).toBe(0);
+      expect(crash.time).toBe(crashTime);
+      expect(crashTime).toBeGreaterThanOrEqual(duration - maxLead);
+      expect(crashTime).toBeLessThanOrEqual(duration - minLead);
+
+      pricePoints.slice(0, -1).forEach((point, j) => {
+        expect(Number.isFinite(point.price)).toBe(true);
+        expect(point.price).toBeGreaterThan(0);
+        expect(point.time).toBeLessThanOrEqual(crashTime);
+        if (j > 0) expect(point.time).toBeGreaterThanOrEqual(pricePoints[j - 1].time);
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * RegimeSwitchingEngine - Markov regime switching between market moods
+ * Each regime has its own drift and volatility; the chain hops to another regime at switchRate
+ */
+import { StochasticEngine } from './StochasticEngine.js';
+
+export class RegimeSwitchingEngine extends StochasticEngine {
+  static DEFAULTS = {
+    switchRate: 0.6, // expected regime changes per second
+    regimes: {
+      pump: { drift: 0.6, volatility: 0.30 },
+      dump: { drift: -0.6, volatility: 0.40 },
+      crab: { drift: 0, volatility: 0.10 }
+    }
+  };
+
+  constructor(generator, params = {}) {
+    super(generator, params, RegimeSwitchingEngine.DEFAULTS);
+    this.regimeNames = Object.keys(this.params.regimes);
+  }
+
+  createState() {
+    const index = Math.floor(this.generator.rng.next() * this.regimeNames.length);
+    return { regime: this.regimeNames[index] };
+  }
+
+  advanceState(state, dt) {
+    if (this.regimeNames.length < 2) return;
+    if (this.generator.rng.next() >= this.params.switchRate * dt) return;
+
+    // Hop to one of the other regimes
+    const others = this.regimeNames.filter(name => name !== state.regime);
+    state.regime = others[Math.floor(this.generator.rng.next() * others.length)];
+  }
+
+  getDrift(state) {
+    return this.params.regimes[state.regime].drift;
+  }
+
+  getVolatility(state) {
+    return this.params.regimes[state.regime].volatility;
+  }
+
+  static validateParams(params, path, errors) {
+    const { regimes, ...rest } = params;
+    StochasticEngine.validateNumbers(rest, { switchRate: { min: 0, max: 10 } }, path, errors);
+
+    if (regimes === undefined) return;
+    if (regimes === null || typeof regimes !== 'object' || Array.isArray(regimes) ||
+        Object.keys(regimes).length === 0) {
+      errors.push(`${path}.regimes: must be an object with at least one regime`);
+      return;
+    }
+
+    for (const [name, regime] of Object.entries(regimes)) {
+      if (regime === null || typeof regime !== 'object' || Array.isArray(regime)) {
+        errors.push(`${path}.regimes.${name}: must be an object with drift and volatility`);
+        continue;
+      }
+      for (const key of ['drift', 'volatility']) {
+        if (!(key in regime)) errors.push(`${path}.regimes.${name}.${key}: is required`);
+      }
+      StochasticEngine.validateNumbers(regime, {
+        drift: {},
+        volatility: { min: 0 }
+      }, `${path}.regimes.${name}`, errors);
+    }
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * SegmentEngine - The original hand-built segment system
+ * Strings together flat, spike, choppy and gradual segments from the profile's weights
+ */
+export class SegmentEngine {
+  static DEFAULTS = {};
+
+  /**
+   * @param {ChartGenerator} generator - Supplies randomness, profile and segment building blocks
+   * @param {Object} params - Unused, segment tuning lives in the profile
+   */
+  constructor(generator, params = {}) {
+    this.generator = generator;
+    this.params = { ...SegmentEngine.DEFAULTS, ...params };
+  }
+
+  /**
+   * Fill a time window with price points
+   * @param {Object} path
+   * @param {Array} path.pricePoints - Chart points to append to
+   * @param {number} path.startPrice - Price at start of window
+   * @param {number} path.startTime - Start of window in seconds
+   * @param {number} path.endTime - End of window (the crash) in seconds
+   * @param {number} path.peakTarget - Peak to reach (null for no peak)
+   * @param {number} path.peakTime - When the peak should be reached
+   * @returns {Object} { price, time } where the window ended
+   */
+  fill({ pricePoints, startPrice, startTime, endTime, peakTarget = null, peakTime = null }) {
+    const generator = this.generator;
+
+    if (!peakTarget) {
+      return generator.appendSegments(pricePoints, startPrice, startTime, endTime);
+    }
+
+    let peakReached = false;
+
+    // Before peak: bias toward upward segments
+    // After peak: random segments (no crash telegraph)
+    return generator.appendSegments(pricePoints, startPrice, startTime, endTime, (currentTime, currentPrice) => {
+      let type;
+      if (currentTime < peakTime && currentPrice < peakTarget) {
+        // Approaching peak - favor upward movement
+        type = generator.selectSegmentType(true);
+      } else {
+        // At or past peak - random segments (no bias)
+        type = generator.selectSegmentType(false);
+        peakReached = true;
+      }
+
+      // Target peak if not reached
+      return { type, peakTarget: peakReached ? null : peakTarget };
+    });
+  }
+
+  /**
+   * Validate engine params
+   * @param {Object} params
+   * @param {string} path - Path for error messages
+   * @param {Array} errors - Collected error messages
+   */
+  static validateParams(params, path, errors) {
+    for (const key of Object.keys(params)) {
+      errors.push(`${path}.${key}: unknown setting for the segments engine`);
+    }
+  }
+}
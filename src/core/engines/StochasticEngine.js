@@ -0,0 +1,146 @@
+/**
+ * StochasticEngine - Shared log-price simulation for the stochastic engines
+ * Subclasses supply drift, volatility and jumps; this class keeps the house-edge rules:
+ * - the path is pulled to the round's peak target by the peak time and never exceeds it
+ * - rounds without a peak never rise above the opening's price ceiling
+ * - the path stops at the crash time, where ChartGenerator appends the crash to $0
+ */
+export class StochasticEngine {
+  /**
+   * @param {ChartGenerator} generator - Supplies randomness and profile
+   * @param {Object} params - Engine parameters (per-second rates)
+   * @param {Object} defaults - Defaults for omitted parameters
+   */
+  constructor(generator, params = {}, defaults = {}) {
+    this.generator = generator;
+    this.params = { ...defaults, ...params };
+    this.tickInterval = 0.1; // 10 points per second, same as the segment engine
+  }
+
+  /**
+   * Fill a time window with price points (see SegmentEngine.fill)
+   * @returns {Object} { price, time } where the window ended
+   */
+  fill({ pricePoints, startPrice, startTime, endTime, peakTarget = null, peakTime = null }) {
+    const dt = this.tickInterval;
+    const profile = this.generator.profile;
+    const ceiling = peakTarget || profile.opening.priceClamp[1];
+    const state = this.createState();
+
+    let price = startPrice;
+    let time = startTime;
+    let peakReached = !peakTarget;
+
+    while (time + dt < endTime) {
+      time += dt;
+      this.advanceState(state, dt);
+
+      // Pull toward the peak so it is hit around peakTime, then let the engine run free
+      let drift = this.getDrift(state);
+      if (!peakReached) {
+        const timeToPeak = Math.max(peakTime - time + dt, dt);
+        drift += Math.log(peakTarget / price) / timeToPeak;
+      }
+
+      const volatility = this.getVolatility(state);
+      const logReturn = (drift - volatility * volatility / 2) * dt +
+                        volatility * Math.sqrt(dt) * this.gaussian() +
+                        this.getJump(state, dt);
+
+      price *= Math.exp(logReturn);
+
+      if (!peakReached && price >= peakTarget) {
+        peakReached = true;
+      }
+      price = Math.max(profile.priceFloor, Math.min(ceiling, price));
+
+      pricePoints.push({ time, price, day: Math.floor(time) + 1 });
+    }
+
+    return { price, time };
+  }
+
+  /**
+   * Per-path state (e.g. current regime)
+   * @returns {Object}
+   */
+  createState() {
+    return {};
+  }
+
+  /**
+   * Update per-path state before each tick
+   */
+  advanceState(state, dt) {}
+
+  /**
+   * Drift per second in log terms
+   * @returns {number}
+   */
+  getDrift(state) {
+    return this.params.drift;
+  }
+
+  /**
+   * Volatility per square-root second
+   * @returns {number}
+   */
+  getVolatility(state) {
+    return this.params.volatility;
+  }
+
+  /**
+   * Jump component of the log return for this tick
+   * @returns {number}
+   */
+  getJump(state, dt) {
+    return 0;
+  }
+
+  /**
+   * Standard normal sample (Box-Muller) from the generator's seeded source
+   * @returns {number}
+   */
+  gaussian() {
+    const u1 = 1 - this.generator.rng.next(); // (0, 1] so log() is finite
+    const u2 = this.generator.rng.next();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  /**
+   * Poisson sample (Knuth) for small rates
+   * @param {number} lambda - Expected count
+   * @returns {number}
+   */
+  poisson(lambda) {
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = this.generator.rng.next();
+    while (product > limit) {
+      count++;
+      product *= this.generator.rng.next();
+    }
+    return count;
+  }
+
+  /**
+   * Validate numeric params against a { key: { min, max } } spec
+   * @param {Object} params
+   * @param {Object} spec
+   * @param {string} path - Path for error messages
+   * @param {Array} errors - Collected error messages
+   */
+  static validateNumbers(params, spec, path, errors) {
+    for (const [key, value] of Object.entries(params)) {
+      if (!spec[key]) {
+        errors.push(`${path}.${key}: unknown setting`);
+        continue;
+      }
+      const { min = -Infinity, max = Infinity } = spec[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        const bounds = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+        errors.push(`${path}.${key}: must be a number ${bounds}, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * HeadlessRunner - Plays full game rounds in Node with no DOM, on virtual time
+ * Same GameController, same events; the clock jumps straight to the next timer or frame
+ */
+import { GameController } from '../core/GameController.js';
+import { ManualClock } from '../core/Clock.js';
+import { Money } from '../core/Money.js';
+
+const silentLogger = { log() {} };
+
+export class HeadlessRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.player - Automated player (see TargetBot), optional
+   * @param {number} options.betAmount - Bet per round
+   * @param {Object} options.profile - Chart profile, default if omitted
+   * @param {number} options.frameInterval - Virtual ms between frames (larger = faster, coarser)
+   * @param {Object} options.logger - Controller debug output (silent by default)
+   * @param {Ledger} options.ledger - Transaction ledger to fill (none by default)
+   * @param {RoundArchive} options.archive - Round archive to fill (none by default)
+   */
+  constructor(options = {}) {
+    this.clock = new ManualClock({ frameInterval: options.frameInterval || 1000 / 60 });
+    this.controller = new GameController({
+      clock: this.clock,
+      storage: null,
+      ledger: options.ledger || null,
+      archive: options.archive || null,
+      logger: options.logger || silentLogger
+    });
+    this.player = options.player || null;
+
+    if (options.betAmount) {
+      this.controller.setBetAmount(options.betAmount);
+    }
+
+    if (options.profile) {
+      const result = this.controller.setProfile(options.profile);
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+    }
+
+    this.resetTotals();
+    this.attachEvents();
+  }
+
+  /**
+   * Reset per-run accounting, starting from the current balance
+   */
+  resetTotals() {
+    this.roundsPlayed = 0;
+    this.targetRounds = 0;
+    this.netProfitCents = 0;
+    this.sideBetProfitCents = 0;
+    this.loanRepaymentCents = 0;
+    this.bookErrors = [];
+    this.listenerErrors = {}; // "event: message" -> times thrown
+    this.initialBalance = this.controller.balanceManager.getBalance();
+    this.outcomes = {};
+    this.roundTypes = {};
+  }
+
+  /**
+   * Wire the player and the accounting into controller events
+   */
+  attachEvents() {
+    const controller = this.controller;
+
+    controller.on('stateChange', (data) => {
+      if (data.state === 'countdown' && this.player && this.player.onCountdown) {
+        this.player.onCountdown(controller, data.sideBetMarkets);
+      }
+
+      if (data.state === 'active' && this.player && this.player.onRoundStart) {
+        this.player.onRoundStart(controller, data.round);
+      }
+    });
+
+    // A throwing player doesn't stop the game; its errors end up in the report
+    controller.on('listenerError', ({ event, error }) => {
+      const key = `${event}: ${error && error.message ? error.message : error}`;
+      this.listenerErrors[key] = (this.listenerErrors[key] || 0) + 1;
+    });
+
+    controller.on('priceUpdate', (frame) => {
+      if (this.player && this.player.onPriceUpdate) {
+        this.player.onPriceUpdate(controller, frame);
+      }
+    });
+
+    controller.on('roundEnd', (data) => {
+      this.roundsPlayed++;
+      this.netProfitCents += Money.toCents(data.result.profit || 0);
+      this.sideBetProfitCents += Money.toCents(data.result.sideBets.profit);
+      this.loanRepaymentCents += Money.toCents(data.result.loanRepayment);
+      this.bookErrors.push(...controller.checkBooks());
+      this.outcomes[data.result.outcome] = (this.outcomes[data.result.outcome] || 0) + 1;
+      this.roundTypes[data.round.type] = (this.roundTypes[data.round.type] || 0) + 1;
+
+      if (this.player && this.player.onRoundEnd) {
+        this.player.onRoundEnd(controller, data);
+      }
+
+      // Last round: don't schedule another one
+      if (this.roundsPlayed >= this.targetRounds) {
+        controller.stop();
+      }
+    });
+  }
+
+  /**
+   * Play N complete rounds as fast as possible (stops early if the player goes broke)
+   * @param {number} rounds
+   * @returns {Promise<Object>} Run report
+   */
+  async run(rounds) {
+    this.resetTotals();
+    this.targetRounds = rounds;
+    this.controller.autoRestart = true;
+
+    this.controller.startRound();
+
+    while (this.roundsPlayed < rounds) {
+      const ran = await this.clock.runNext();
+      if (!ran && this.controller.state === 'broke') break;
+      if (!ran) {
+        throw new Error(`Game stalled after ${this.roundsPlayed} rounds (nothing scheduled)`);
+      }
+    }
+
+    // The last round's restart was cancelled: back to idle so the next run can start a round
+    this.controller.leaveResults();
+
+    return this.getReport();
+  }
+
+  /**
+   * Summary of the run, including a balance reconciliation check
+   * (balanceDrift is exactly 0 and bookErrors empty when the money adds up; listenerErrors
+   * counts exceptions thrown by the player or other listeners)
+   * @returns {Object}
+   */
+  getReport() {
+    const balance = this.controller.balanceManager.getBalance();
+    const expectedCents = Money.toCents(this.initialBalance) + this.netProfitCents +
+      this.sideBetProfitCents - this.loanRepaymentCents;
+
+    return {
+      rounds: this.roundsPlayed,
+      virtualSeconds: this.clock.now() / 1000,
+      initialBalance: this.initialBalance,
+      balance,
+      netProfit: Money.toDollars(this.netProfitCents),
+      sideBetProfit: Money.toDollars(this.sideBetProfitCents),
+      loanRepayments: Money.toDollars(this.loanRepaymentCents),
+      balanceDrift: Money.toDollars(Money.toCents(balance) - expectedCents),
+      bookErrors: this.bookErrors.slice(),
+      listenerErrors: { ...this.listenerErrors },
+      broke: this.controller.state === 'broke',
+      stats: { ...this.controller.stats },
+      outcomes: { ...this.outcomes },
+      roundTypes: { ...this.roundTypes }
+    };
+  }
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { HeadlessRunner } from './HeadlessRunner.js';
+import { TargetBot } from './TargetBot.js';
+
+describe('HeadlessRunner', () => {
+  it('plays the requested rounds and reconciles the wallet', async () => {
+    const runner = new HeadlessRunner({ player: new TargetBot({ target: 1.3 }), betAmount: 10 });
+
+    const report = await runner.run(20);
+
+    expect(report.rounds).toBe(20);
+    expect(report.balanceDrift).toBe(0);
+    expect(report.bookErrors).toEqual([]);
+    expect(report.listenerErrors).toEqual({});
+    expect(runner.controller.state).toBe('idle');
+    expect(runner.clock.pendingCount()).toBe(0);
+  });
+
+  it('runs again on the same runner', async () => {
+    const runner = new HeadlessRunner({ player: new TargetBot({ target: 1.3 }), betAmount: 10 });
+    await runner.run(3);
+    const balance = runner.controller.balanceManager.getBalance();
+
+    const report = await runner.run(4);
+
+    expect(report.rounds).toBe(4);
+    expect(report.initialBalance).toBe(balance);
+    expect(report.balanceDrift).toBe(0);
+  });
+
+  it('stops early when the player goes broke', async () => {
+    const runner = new HeadlessRunner({ betAmount: 400 });
+
+    const report = await runner.run(50);
+
+    expect(report.broke).toBe(true);
+    expect(report.rounds).toBeLessThan(50);
+    expect(report.balance).toBeLessThan(400);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * TargetBot - Automated player for headless runs
+ * Optionally doubles down on a given day, then cashes out at a target price multiplier
+ */
+export class TargetBot {
+  /**
+   * @param {Object} options
+   * @param {number} options.target - Cash out once price reaches this (entry is $1.00)
+   * @param {number} options.doubleDownDay - Double down on this day (null to never)
+   */
+  constructor({ target = 1.5, doubleDownDay = null } = {}) {
+    this.target = target;
+    this.doubleDownDay = doubleDownDay;
+  }
+
+  onRoundStart() {
+    this.doubledDown = false;
+  }
+
+  onPriceUpdate(controller, frame) {
+    if (!controller.investmentManager.hasActiveInvestments()) return;
+
+    if (this.doubleDownDay !== null && !this.doubledDown && frame.day >= this.doubleDownDay &&
+        controller.investmentManager.canDoubleDown()) {
+      this.doubledDown = controller.doubleDown().success;
+    }
+
+    if (frame.price >= this.target) {
+      controller.cashOut();
+    }
+  }
+}
@@ -3,11 +3,24 @@
  */
 import { GameController } from './core/GameController.js';
 import { UIRenderer } from './ui/UIRenderer.js';
+import { RoundVerifier } from './core/RoundVerifier.js';
+import { Ledger } from './core/Ledger.js';
+import { RoundReplay } from './core/RoundReplay.js';
+
+// Chart profiles shipped as JSON - drop a new file in src/profiles to add one
+const PROFILES = Object.fromEntries(
+  Object.values(import.meta.glob('./profiles/*.json', { eager: true, import: 'default' }))
+    .map(profile => [profile.name, profile])
+);
 
 class Game {
   constructor() {
     this.controller = new GameController();
     this.ui = new UIRenderer(this.controller);
+    this.verifier = new RoundVerifier(this.controller.chartGenerator);
+    this.replay = null;
+
+    this.applyProfileFromUrl();
 
     this.setupEventListeners();
     this.setupGameEvents();
@@ -18,27 +31,131 @@ class Game {
    * Setup DOM event listeners
    */
   setupEventListeners() {
-    // Double down button
+    // Double down button (enters at market when there is no position yet)
+    // Successful entries and sells are shown from the doubleDown and cashOut events
     this.ui.elements.investBtn.addEventListener('click', () => {
-      const result = this.controller.doubleDown();
-      if (!result.success) {
-        this.showNotification(result.message);
-      } else {
-        this.ui.setDoubleDownMarker();
-        this.playSound('invest');
+      if (this.controller.canEnterRound()) {
+        const result = this.controller.enterRound();
+        if (result.success) {
+          this.ui.setDoubleDownMarker();
+          this.playSound('invest');
+        }
+        this.showFailure(result);
+        return;
       }
+
+      this.showFailure(this.controller.doubleDown());
+    });
+
+    // Short button
+    this.ui.elements.shortBtn.addEventListener('click', () => {
+      this.showFailure(this.controller.openShort());
     });
 
     // Cash out button
     this.ui.elements.cashOutBtn.addEventListener('click', () => {
-      const result = this.controller.cashOut();
+      this.showFailure(this.controller.cashOut());
+    });
+
+    // Partial cash out buttons (25/50/75%)
+    this.ui.elements.partialSellBtns.forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.showFailure(this.controller.partialCashOut(parseFloat(btn.dataset.fraction)));
+      });
+    });
+
+    // Sell a dollar amount
+    this.ui.elements.sellAmountBtn.addEventListener('click', () => {
+      const amount = parseFloat(this.ui.elements.sellAmount.value) || 0;
+      this.showFailure(this.controller.partialCashOutAmount(amount));
+    });
+
+    // Exit orders - set before or during a round, they carry into the next one
+    const orderInputs = [
+      this.ui.elements.orderTakeProfit,
+      this.ui.elements.orderStopLoss,
+      this.ui.elements.orderTrailingStop,
+      this.ui.elements.orderExitDay,
+      this.ui.elements.orderDcaAmount,
+      this.ui.elements.orderDcaDip
+    ];
+    orderInputs.forEach((input) => {
+      input.addEventListener('change', () => this.applyOrderInputs());
+    });
+
+    this.ui.elements.clearOrdersBtn.addEventListener('click', () => {
+      this.controller.clearOrders();
+      this.ui.showOrders(this.controller.orderBook.getOrders());
+    });
+
+    // Extra entries: amount per add-on and entries per round
+    this.ui.elements.entryAmount.addEventListener('input', (e) => {
+      const amount = parseFloat(e.target.value);
+      this.controller.setEntryAmount(amount > 0 ? amount : null);
+      this.ui.updateButtons(this.controller.state);
+    });
+
+    this.ui.elements.maxEntries.addEventListener('change', (e) => {
+      const result = this.controller.setMaxEntries(parseInt(e.target.value, 10));
+      if (!result.success) {
+        this.showNotification(result.message);
+        e.target.value = this.controller.investmentManager.maxEntries;
+      }
+      this.ui.updateButtons(this.controller.state);
+    });
+
+    // Ways out of the broke state
+    this.ui.elements.bailoutBtn.addEventListener('click', () => {
+      this.handleBrokeAction(this.controller.claimBailout(), (r) => `Bailout: +$${r.amount.toFixed(2)}`);
+    });
+
+    this.ui.elements.loanBtn.addEventListener('click', () => {
+      const amount = parseFloat(this.ui.elements.loanAmount.value) || 0;
+      this.handleBrokeAction(this.controller.takeLoan(amount), (r) => `🦈 Borrowed $${r.amount.toFixed(2)}`);
+    });
+
+    this.ui.elements.lowerBetBtn.addEventListener('click', () => {
+      const amount = parseFloat(this.ui.elements.brokeBetAmount.value) || 0;
+      this.controller.setBetAmount(amount);
+      this.ui.elements.betAmount.value = this.controller.betAmount;
+      this.ui.elements.betInputResults.value = this.controller.betAmount;
+      if (this.controller.state === 'broke') {
+        this.showNotification('Still can\'t cover that bet');
+      }
+    });
+
+    this.ui.elements.prestigeBtn.addEventListener('click', () => {
+      this.handleBrokeAction(this.controller.prestigeReset(), (r) => `⭐ Prestige ${r.prestige} - fresh start`);
+    });
+
+    // Side bets on the upcoming round (countdown only)
+    this.ui.elements.sideBetMarkets.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-market]');
+      if (!button) return;
+
+      const amount = parseFloat(this.ui.elements.sideBetAmount.value) || 0;
+      const result = this.controller.placeSideBet(button.dataset.market, amount);
+      if (!result.success) {
+        this.showNotification(result.message);
+        return;
+      }
+
+      this.ui.showSideBetSlip(this.controller.sideBets.getBets());
+      this.playSound('invest');
+    });
+
+    // Skip the auto-invest from the next round on
+    this.ui.elements.sitOut.addEventListener('change', (e) => {
+      this.controller.setSitOut(e.target.checked);
+    });
+
+    // Leverage for new entries, capped by the controller setting
+    this.ui.elements.leverage.addEventListener('change', (e) => {
+      const result = this.controller.setLeverage(Number(e.target.value));
       if (!result.success) {
         this.showNotification(result.message);
-      } else {
-        this.ui.setCashOutMarker();
-        this.playSound('cashout');
-        this.showNotification(`Cashed out! ${result.totalProfit >= 0 ? '+' : ''}$${result.totalProfit.toFixed(2)}`);
       }
+      this.ui.showLeverage(this.controller.leverage, this.controller.maxLeverage);
     });
 
     // Bet amount input
@@ -64,20 +181,259 @@ class Game {
       }
     });
 
-    // Keyboard shortcuts
+    // Verify last round
+    this.ui.elements.verifyRoundBtn.addEventListener('click', () => {
+      const round = this.controller.lastRevealedRound;
+      const report = this.verifier.verify(
+        this.controller.lastReveal,
+        round ? round.pricePoints : [],
+        this.controller.lastRevealedProfile
+      );
+      this.ui.showVerification(report);
+    });
+
+    // Ledger filters and exports
+    const ledgerFilters = [
+      this.ui.elements.ledgerReason,
+      this.ui.elements.ledgerCoin,
+      this.ui.elements.ledgerOutcome,
+      this.ui.elements.ledgerFrom,
+      this.ui.elements.ledgerTo
+    ];
+    ledgerFilters.forEach((input) => {
+      input.addEventListener('change', () => this.refreshLedger());
+    });
+
+    this.ui.elements.ledgerCsvBtn.addEventListener('click', () => {
+      this.exportLedger('csv');
+    });
+
+    this.ui.elements.ledgerJsonBtn.addEventListener('click', () => {
+      this.exportLedger('json');
+    });
+
+    // Replay viewer - click a round in the history to rewatch it
+    this.ui.elements.historyList.addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (item) {
+        this.openReplay(item.dataset.roundId);
+      }
+    });
+
+    this.ui.elements.replayPlayBtn.addEventListener('click', () => {
+      if (this.replay) this.replay.toggle();
+    });
+
+    this.ui.elements.replaySpeed.addEventListener('change', (e) => {
+      if (this.replay) this.replay.setSpeed(parseFloat(e.target.value));
+    });
+
+    this.ui.elements.replayScrubber.addEventListener('input', (e) => {
+      if (this.replay) this.replay.seek(parseFloat(e.target.value));
+    });
+
+    this.ui.elements.replayCloseBtn.addEventListener('click', () => {
+      this.closeReplay();
+    });
+
+    // Keyboard shortcuts (the replay viewer has its own while it's open)
     document.addEventListener('keydown', (e) => {
-      if (e.code === 'Space' && this.controller.state === 'active') {
+      if (this.replay) {
+        if (e.code === 'Space') {
+          e.preventDefault();
+          this.replay.toggle();
+        } else if (e.code === 'Escape') {
+          this.closeReplay();
+        }
+      } else if (e.code === 'Space' && this.controller.state === 'active') {
         e.preventDefault();
-        if (this.controller.investmentManager.canDoubleDown()) {
+        if (this.controller.investmentManager.canDoubleDown() || this.controller.canEnterRound()) {
           this.ui.elements.investBtn.click();
         }
       } else if (e.code === 'KeyC' && this.controller.state === 'active') {
         e.preventDefault();
         this.ui.elements.cashOutBtn.click();
+      } else if (e.code === 'KeyS' && this.controller.state === 'active') {
+        e.preventDefault();
+        this.ui.elements.shortBtn.click();
+      } else if (e.code === 'KeyD' && e.shiftKey) {
+        // Audit log for bug reports
+        e.preventDefault();
+        this.exportAuditLog();
       }
     });
   }
 
+  /**
+   * Read the order inputs and set them on the controller (empty = off)
+   */
+  applyOrderInputs() {
+    const read = (input) => (input.value === '' ? null : parseFloat(input.value));
+    const readPercent = (input) => (input.value === '' ? null : parseFloat(input.value) / 100);
+
+    // DCA stays off until both its fields are filled in
+    let dcaAmount = read(this.ui.elements.orderDcaAmount);
+    let dcaDip = readPercent(this.ui.elements.orderDcaDip);
+    if (dcaAmount === null || dcaDip === null) {
+      dcaAmount = null;
+      dcaDip = null;
+    }
+
+    const result = this.controller.setOrders({
+      takeProfit: read(this.ui.elements.orderTakeProfit),
+      stopLoss: read(this.ui.elements.orderStopLoss),
+      trailingStop: readPercent(this.ui.elements.orderTrailingStop),
+      exitDay: read(this.ui.elements.orderExitDay),
+      dcaAmount,
+      dcaDip
+    });
+
+    if (!result.success) {
+      this.showNotification(result.message);
+      this.ui.showOrders(this.controller.orderBook.getOrders());
+    }
+  }
+
+  /**
+   * Show the ledger entries matching the filters
+   */
+  async refreshLedger() {
+    const ledger = this.controller.ledger;
+    if (!ledger) return;
+
+    try {
+      this.ui.showLedgerFilterOptions(await ledger.getFilterOptions());
+      this.ui.showLedger(await ledger.query(this.ui.getLedgerFilters()));
+    } catch (e) {
+      console.warn('Could not read the ledger:', e);
+    }
+  }
+
+  /**
+   * Show the archived rounds
+   */
+  async refreshHistory() {
+    const archive = this.controller.archive;
+    if (!archive) return;
+
+    try {
+      this.ui.showHistory(await archive.list());
+    } catch (e) {
+      console.warn('Could not read the round archive:', e);
+    }
+  }
+
+  /**
+   * Open the replay viewer on an archived round and start playing it
+   * The replay only reads the archive record - the live round and balance carry on untouched
+   * @param {string} roundId
+   */
+  async openReplay(roundId) {
+    const archive = this.controller.archive;
+    if (!archive) return;
+
+    let round;
+    try {
+      round = await archive.get(roundId);
+    } catch (e) {
+      console.warn('Could not read the round archive:', e);
+    }
+    if (!round) {
+      this.showNotification('Round not found in the history');
+      return;
+    }
+
+    this.closeReplay();
+    const speed = parseFloat(this.ui.elements.replaySpeed.value);
+    this.ui.showReplay(round, speed);
+    this.replay = new RoundReplay(round, {
+      onFrame: (frame) => this.ui.drawReplayFrame(frame)
+    });
+    this.replay.setSpeed(speed);
+    this.replay.seek(0);
+    this.replay.play();
+  }
+
+  closeReplay() {
+    if (!this.replay) return;
+
+    this.replay.stop();
+    this.replay = null;
+    this.ui.hideReplay();
+  }
+
+  /**
+   * Download the ledger entries matching the filters
+   * @param {string} format - 'csv' or 'json'
+   */
+  async exportLedger(format) {
+    const ledger = this.controller.ledger;
+    if (!ledger) return;
+
+    let entries;
+    try {
+      entries = await ledger.query(this.ui.getLedgerFilters());
+    } catch (e) {
+      this.showNotification('Could not read the ledger');
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      this.downloadFile(`rug-pull-ledger-${date}.csv`, 'text/csv', Ledger.toCSV(entries));
+    } else {
+      this.downloadFile(`rug-pull-ledger-${date}.json`, 'application/json', Ledger.toJSON(entries));
+    }
+  }
+
+  /**
+   * Download the round state audit log (transitions, actions, rejections, order fills)
+   */
+  exportAuditLog() {
+    const date = new Date().toISOString().slice(0, 10);
+    this.downloadFile(`rug-pull-audit-${date}.json`, 'application/json', this.controller.dumpAuditLog());
+  }
+
+  /**
+   * Save text as a file through the browser
+   */
+  downloadFile(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Show the outcome of a bailout, loan or prestige reset
+   * @param {Object} result - Controller result
+   * @param {Function} describe - Success message for the result
+   */
+  handleBrokeAction(result, describe) {
+    if (!result.success) {
+      this.showNotification(result.message);
+      return;
+    }
+
+    this.showNotification(describe(result));
+    this.ui.updateBalance();
+    if (this.controller.state === 'broke') {
+      this.ui.showBroke(this.controller.getBankruptcyOptions());
+    }
+  }
+
+  /**
+   * Tell the player why an action was refused
+   * @param {Object} result - Controller result
+   */
+  showFailure(result) {
+    if (!result.success) {
+      this.showNotification(result.message);
+    }
+  }
+
   /**
    * Setup game controller events
    */
@@ -86,8 +442,16 @@ class Game {
     this.controller.on('stateChange', (data) => {
       console.log('State changed:', data.state);
 
+      if (data.state === 'broke') {
+        this.ui.showBroke(data.bankruptcy);
+      } else {
+        this.ui.hideBroke();
+      }
+
       if (data.state === 'countdown') {
         this.ui.showCountdown();
+        this.ui.showCommitment(data.commitment);
+        this.ui.showSideBetMarkets(data.sideBetMarkets);
       } else if (data.state === 'active') {
         this.ui.showRoundStart(data.coinName);
         this.updateNewsTicker(data.coinName);
@@ -96,6 +460,38 @@ class Game {
       this.ui.update(data.state);
     });
 
+    // Countdown before the round, and the results screen before the next one
+    this.controller.on('countdownTick', (data) => {
+      if (data.phase === 'countdown') {
+        this.ui.showCountdown(data.secondsLeft);
+      } else {
+        this.ui.elements.countdownMessage.textContent = `Next round starting in ${data.secondsLeft}...`;
+      }
+    });
+
+    // Extra entries: double downs, shorts and DCA buys
+    this.controller.on('doubleDown', (data) => {
+      this.ui.setDoubleDownMarker(data);
+      this.playSound('invest');
+    });
+
+    // Cash outs and partial sells, by the player or an exit order (orderFilled names the order)
+    this.controller.on('cashOut', (data) => {
+      if (data.type === 'full') {
+        this.ui.setCashOutMarker(data);
+      }
+      this.playSound('cashout');
+      if (data.order) return;
+
+      const { result } = data;
+      if (data.type === 'full') {
+        this.showNotification(`Cashed out! ${result.totalProfit >= 0 ? '+' : ''}$${result.totalProfit.toFixed(2)}`);
+      } else {
+        this.showNotification(`Sold $${result.exit.proceeds.toFixed(2)} (${result.exit.profit >= 0 ? '+' : ''}$${result.exit.profit.toFixed(2)})`);
+        this.ui.updateActiveRound();
+      }
+    });
+
     // Price updates
     this.controller.on('priceUpdate', (data) => {
       this.ui.drawChart(data);
@@ -107,7 +503,39 @@ class Game {
     this.controller.on('roundEnd', (data) => {
       console.log('Round ended:', data);
       this.ui.showResults(data.result, data.coinName, this.controller.stats);
-      this.startCountdown(3);
+      this.ui.showReveal(data.reveal);
+      this.refreshLedger();
+      this.refreshHistory();
+    });
+
+    // Exit orders filled by the game loop
+    this.controller.on('orderFilled', (data) => {
+      const labels = {
+        take_profit: 'Take profit',
+        stop_loss: 'Stop-loss',
+        trailing_stop: 'Trailing stop',
+        time_exit: 'Time exit',
+        dca_buy: 'DCA buy'
+      };
+
+      // Markers and sounds come with the doubleDown and cashOut events
+      if (data.order === 'dca_buy') {
+        if (data.result.success) {
+          this.showNotification(`DCA buy filled at $${data.price.toFixed(3)}`);
+        }
+        return;
+      }
+
+      this.showNotification(`${labels[data.order]} filled at $${data.price.toFixed(3)}`);
+    });
+
+    // Positions liquidated by the game loop
+    this.controller.on('liquidation', (data) => {
+      if (data.result.closed) {
+        this.ui.setCashOutMarker(data);
+      }
+      this.playSound('liquidation');
+      this.showNotification(`Liquidated at $${data.price.toFixed(3)}`);
     });
 
     // Balance updates
@@ -124,6 +552,11 @@ class Game {
     console.log('Initializing Rug Pull Simulator...');
     this.ui.updateBalance();
     this.ui.updateButtons('idle');
+    this.ui.showPreferences();
+    this.ui.elements.ledgerPanel.hidden = !this.controller.ledger;
+    this.ui.elements.historyPanel.hidden = !this.controller.archive;
+    this.refreshLedger();
+    this.refreshHistory();
 
     // Show welcome message
     this.updateNewsTicker('Welcome to the casino... I mean, investment platform! 🎰');
@@ -134,6 +567,24 @@ class Game {
     }, 2000);
   }
 
+  /**
+   * Select chart profile with ?profile=<name>
+   */
+  applyProfileFromUrl() {
+    const name = new URLSearchParams(window.location.search).get('profile');
+    if (!name) return;
+
+    if (!PROFILES[name]) {
+      console.warn(`Unknown profile "${name}". Available: ${Object.keys(PROFILES).join(', ')}`);
+      return;
+    }
+
+    const result = this.controller.setProfile(PROFILES[name]);
+    if (!result.success) {
+      console.warn(result.message);
+    }
+  }
+
   /**
    * Update news ticker with random messages
    */
@@ -199,31 +650,6 @@ class Game {
       this.ui.elements.betInputResults.value = newBet;
     }
   }
-
-  /**
-   * Start countdown between rounds
-   */
-  startCountdown(seconds) {
-    let remaining = seconds;
-
-    const updateCountdown = () => {
-      if (remaining > 0) {
-        this.ui.elements.countdownMessage.textContent =
-          `Next round starting in ${remaining}...`;
-      } else {
-        this.ui.elements.countdownMessage.textContent =
-          `Starting now...`;
-      }
-
-      remaining--;
-
-      if (remaining >= 0) {
-        setTimeout(updateCountdown, 1000);
-      }
-    };
-
-    updateCountdown();
-  }
 }
 
 // Start game when DOM is ready
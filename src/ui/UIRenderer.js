@@ -5,11 +5,12 @@ export class UIRenderer {
   constructor(gameController) {
     this.game = gameController;
     this.initializeElements();
-    this.setupCanvas();
-    this.priceHistory = [];
     this.maxHistoryPoints = 1000;
-    this.cashOutMarker = null;
-    this.doubleDownMarker = null;
+    this.maxLedgerRows = 200; // newest first, exports include everything
+    this.sparklineSize = { width: 120, height: 36 };
+    this.chart = this.createChart(this.elements.canvas, { showOrders: true });
+    this.replayChart = this.createChart(this.elements.replayCanvas, { showOrders: false });
+    this.setupCanvas();
   }
 
   /**
@@ -19,12 +20,42 @@ export class UIRenderer {
     this.elements = {
       coinName: document.getElementById('coinName'),
       balance: document.getElementById('balance'),
+      prestigeBadge: document.getElementById('prestigeBadge'),
+      debtDisplay: document.getElementById('debtDisplay'),
+      debt: document.getElementById('debt'),
+      netWorth: document.getElementById('netWorth'),
+      brokeOverlay: document.getElementById('brokeOverlay'),
+      brokeMessage: document.getElementById('brokeMessage'),
+      bailoutBtn: document.getElementById('bailoutBtn'),
+      bailoutNote: document.getElementById('bailoutNote'),
+      loanAmount: document.getElementById('loanAmount'),
+      loanBtn: document.getElementById('loanBtn'),
+      loanNote: document.getElementById('loanNote'),
+      brokeBetAmount: document.getElementById('brokeBetAmount'),
+      lowerBetBtn: document.getElementById('lowerBetBtn'),
+      prestigeBtn: document.getElementById('prestigeBtn'),
       dayCounter: document.getElementById('dayCounter'),
       currentPrice: document.getElementById('currentPrice'),
       canvas: document.getElementById('priceChart'),
       betAmount: document.getElementById('betAmount'),
+      entryAmount: document.getElementById('entryAmount'),
+      maxEntries: document.getElementById('maxEntries'),
+      leverage: document.getElementById('leverage'),
+      sitOut: document.getElementById('sitOut'),
+      averageEntry: document.getElementById('averageEntry'),
       investBtn: document.getElementById('investBtn'),
+      shortBtn: document.getElementById('shortBtn'),
       cashOutBtn: document.getElementById('cashOutBtn'),
+      partialSellBtns: document.querySelectorAll('.btn-partial[data-fraction]'),
+      sellAmount: document.getElementById('sellAmount'),
+      sellAmountBtn: document.getElementById('sellAmountBtn'),
+      orderTakeProfit: document.getElementById('orderTakeProfit'),
+      orderStopLoss: document.getElementById('orderStopLoss'),
+      orderTrailingStop: document.getElementById('orderTrailingStop'),
+      orderExitDay: document.getElementById('orderExitDay'),
+      orderDcaAmount: document.getElementById('orderDcaAmount'),
+      orderDcaDip: document.getElementById('orderDcaDip'),
+      clearOrdersBtn: document.getElementById('clearOrdersBtn'),
       positionsList: document.getElementById('positionsList'),
       currentProfit: document.getElementById('currentProfit'),
       tickerText: document.getElementById('tickerText'),
@@ -39,28 +70,92 @@ export class UIRenderer {
       betInputResults: document.getElementById('betInputResults'),
       decreaseBet: document.getElementById('decreaseBet'),
       increaseBet: document.getElementById('increaseBet'),
-      countdownMessage: document.getElementById('countdownMessage')
+      countdownMessage: document.getElementById('countdownMessage'),
+      fairnessCommitment: document.getElementById('fairnessCommitment'),
+      fairnessSeed: document.getElementById('fairnessSeed'),
+      fairnessNonce: document.getElementById('fairnessNonce'),
+      fairnessProfile: document.getElementById('fairnessProfile'),
+      verifyRoundBtn: document.getElementById('verifyRoundBtn'),
+      verifyResult: document.getElementById('verifyResult'),
+      sideBetAmount: document.getElementById('sideBetAmount'),
+      sideBetMarkets: document.getElementById('sideBetMarkets'),
+      sideBetSlip: document.getElementById('sideBetSlip'),
+      ledgerPanel: document.getElementById('ledgerPanel'),
+      ledgerReason: document.getElementById('ledgerReason'),
+      ledgerCoin: document.getElementById('ledgerCoin'),
+      ledgerOutcome: document.getElementById('ledgerOutcome'),
+      ledgerFrom: document.getElementById('ledgerFrom'),
+      ledgerTo: document.getElementById('ledgerTo'),
+      ledgerRows: document.getElementById('ledgerRows'),
+      ledgerSummary: document.getElementById('ledgerSummary'),
+      ledgerCsvBtn: document.getElementById('ledgerCsvBtn'),
+      ledgerJsonBtn: document.getElementById('ledgerJsonBtn'),
+      historyPanel: document.getElementById('historyPanel'),
+      historyList: document.getElementById('historyList'),
+      historySummary: document.getElementById('historySummary'),
+      replayOverlay: document.getElementById('replayOverlay'),
+      replayTitle: document.getElementById('replayTitle'),
+      replayCanvas: document.getElementById('replayCanvas'),
+      replayPlayBtn: document.getElementById('replayPlayBtn'),
+      replayScrubber: document.getElementById('replayScrubber'),
+      replayTime: document.getElementById('replayTime'),
+      replaySpeed: document.getElementById('replaySpeed'),
+      replayCloseBtn: document.getElementById('replayCloseBtn')
+    };
+  }
+
+  /**
+   * Chart state for a canvas: the price history drawn so far and the entry / cash out markers
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   * @param {boolean} options.showOrders - Draw the live game's order and liquidation lines
+   * @returns {Object}
+   */
+  createChart(canvas, { showOrders }) {
+    return {
+      canvas,
+      ctx: canvas.getContext('2d'),
+      showOrders,
+      priceHistory: [],
+      cashOutMarker: null,
+      entryMarkers: []
     };
   }
 
+  /**
+   * Clear a chart's history and markers
+   * @param {Object} chart
+   */
+  resetChart(chart = this.chart) {
+    chart.priceHistory = [];
+    chart.cashOutMarker = null;
+    chart.entryMarkers = [];
+  }
+
   /**
    * Setup canvas for chart
    */
   setupCanvas() {
-    this.ctx = this.elements.canvas.getContext('2d');
     this.resizeCanvas();
-    window.addEventListener('resize', () => this.resizeCanvas());
+    window.addEventListener('resize', () => {
+      this.resizeCanvas();
+      if (this.isReplayOpen()) {
+        this.resizeCanvas(this.replayChart);
+        this.renderChart(this.replayChart);
+      }
+    });
   }
 
   /**
-   * Resize canvas to fit container
+   * Resize a chart's canvas to fit its container
+   * @param {Object} chart
    */
-  resizeCanvas() {
-    const container = this.elements.canvas.parentElement;
+  resizeCanvas(chart = this.chart) {
+    const container = chart.canvas.parentElement;
     const rect = container.getBoundingClientRect();
 
-    this.elements.canvas.width = rect.width - 40;
-    this.elements.canvas.height = 400;
+    chart.canvas.width = rect.width - 40;
+    chart.canvas.height = 400;
   }
 
   /**
@@ -79,37 +174,67 @@ export class UIRenderer {
    * Update balance display
    */
   updateBalance() {
-    const balance = this.game.balanceManager.getBalance();
+    const balanceManager = this.game.balanceManager;
+    const balance = balanceManager.getBalance();
     this.elements.balance.textContent = `$${balance.toFixed(2)}`;
+
+    // Debt and net worth only while the loan shark is owed
+    const debt = balanceManager.getDebt();
+    this.elements.debtDisplay.hidden = debt <= 0;
+    this.elements.debt.textContent = `$${debt.toFixed(2)}`;
+    this.elements.netWorth.textContent = `${balanceManager.getNetWorth() < 0 ? '-' : ''}$${Math.abs(balanceManager.getNetWorth()).toFixed(2)}`;
+
+    this.elements.prestigeBadge.textContent = this.game.prestige > 0 ? `⭐ ${this.game.prestige}` : '';
   }
 
   /**
    * Update button states
    */
   updateButtons(state) {
-    // Check if can double down (not already doubled, not cashed out, has balance)
+    // Check if can add an entry (entries left, not cashed out, has balance)
     let canDoubleDown = false;
+    let canEnter = false;
+    let canShort = false;
     if (state === 'active') {
       canDoubleDown = this.game.investmentManager.canDoubleDown() &&
-                      this.game.balanceManager.hasSufficientFunds(this.game.betAmount);
+                      this.game.balanceManager.hasSufficientFunds(this.game.getEntryAmount());
+      canEnter = this.game.canEnterRound() &&
+                 this.game.balanceManager.hasSufficientFunds(this.game.betAmount);
+      canShort = this.game.investmentManager.canShort() &&
+                 this.game.balanceManager.hasSufficientFunds(this.game.getEntryAmount());
     }
 
     const canCashOut = state === 'active' &&
                       this.game.investmentManager.hasActiveInvestments();
 
-    this.elements.investBtn.disabled = !canDoubleDown;
+    this.elements.investBtn.disabled = !(canDoubleDown || canEnter);
+    this.elements.shortBtn.disabled = !canShort;
     this.elements.cashOutBtn.disabled = !canCashOut;
+    this.elements.partialSellBtns.forEach(btn => {
+      btn.disabled = !canCashOut;
+    });
+    this.elements.sellAmountBtn.disabled = !canCashOut;
+    this.elements.sideBetMarkets.querySelectorAll('[data-market]').forEach(btn => {
+      btn.disabled = state !== 'countdown';
+    });
 
-    // Update button text to "DOUBLE DOWN"
-    this.elements.investBtn.textContent = 'DOUBLE DOWN';
+    // "ENTER" without a position, "DOUBLE DOWN" for the classic single add-on, otherwise count entries
+    const { maxEntries } = this.game.investmentManager;
+    const longs = this.game.investmentManager.countEntries('long');
+    if (longs === 0) {
+      this.elements.investBtn.textContent = 'ENTER AT MARKET';
+    } else {
+      this.elements.investBtn.textContent = maxEntries === 2
+        ? 'DOUBLE DOWN'
+        : `ADD ENTRY (${longs}/${maxEntries})`;
+    }
   }
 
   /**
    * Update active round display
    */
   updateActiveRound() {
-    const currentDay = this.game.roundTimer.getCurrentDay();
-    const currentPrice = this.game.getCurrentPrice();
+    const { day: currentDay, price: currentPrice } = this.game.getCurrentFrame();
 
     // Update displays
     this.elements.dayCounter.textContent = `Day ${currentDay}`;
@@ -118,6 +243,9 @@ export class UIRenderer {
     // Update profit display
     const profitData = this.game.getCurrentProfit();
     this.updateProfitDisplay(profitData);
+    this.elements.averageEntry.textContent = profitData.averageEntryPrice
+      ? `Avg entry: $${profitData.averageEntryPrice.toFixed(3)}`
+      : 'Avg entry: -';
 
     // Update positions list
     this.updatePositionsList(profitData.positions);
@@ -150,7 +278,7 @@ export class UIRenderer {
     const html = positions.map((pos, index) => {
       const profitClass = pos.profit >= 0 ? 'positive' : 'negative';
       const profitPercent = ((pos.multiplier - 1) * 100).toFixed(1);
-      const positionType = index === 0 ? 'Initial' : 'Doubled';
+      const positionType = this.getPositionLabel(pos, index);
 
       return `
         <div class="position-item">
@@ -164,12 +292,14 @@ export class UIRenderer {
           </div>
           <div class="position-row">
             <span class="label">Amount:</span>
-            <span class="value">$${pos.amount.toFixed(2)}</span>
+            <span class="value">$${pos.amount.toFixed(2)}${pos.leverage > 1 ? ` (${pos.leverage}x)` : ''}</span>
           </div>
           <div class="position-row">
             <span class="label">Value:</span>
             <span class="value">$${pos.value.toFixed(2)}</span>
           </div>
+          ${pos.liquidationPrice ? this.renderLiquidationRow(pos) : ''}
+          ${pos.openAmount < pos.amount ? this.renderRealizedRows(pos) : ''}
           <div class="position-row profit">
             <span class="label">P/L:</span>
             <span class="value ${profitClass}">${pos.profit >= 0 ? '+' : ''}$${pos.profit.toFixed(2)} (${profitPercent >= 0 ? '+' : ''}${profitPercent}%)</span>
@@ -182,147 +312,245 @@ export class UIRenderer {
   }
 
   /**
-   * Draw price chart
+   * Fill the controls with the player's saved preferences
+   */
+  showPreferences() {
+    const game = this.game;
+    this.elements.betAmount.value = game.betAmount;
+    this.elements.betInputResults.value = game.betAmount;
+    this.elements.entryAmount.value = game.entryAmount === null ? '' : game.entryAmount;
+    this.elements.maxEntries.value = game.investmentManager.maxEntries;
+    this.elements.sitOut.checked = game.sitOut;
+    this.showLeverage(game.leverage, game.maxLeverage);
+    this.showOrders(game.orderBook.getOrders());
+  }
+
+  /**
+   * Show the selected leverage, with choices above the cap disabled
+   * @param {number} leverage
+   * @param {number} maxLeverage
+   */
+  showLeverage(leverage, maxLeverage) {
+    Array.from(this.elements.leverage.options).forEach(option => {
+      option.disabled = Number(option.value) > maxLeverage;
+    });
+    this.elements.leverage.value = String(leverage);
+  }
+
+  /**
+   * Display name of an entry
+   * @param {Object} pos - Position
+   * @param {number} index - Entry number (0 = auto-invest)
    */
-  drawChart(pricePoint) {
+  getPositionLabel(pos, index) {
+    if (pos.type === 'initial') return pos.entryTime > 0 ? 'Late Entry' : 'Initial';
+    if (pos.type === 'dca') return `DCA #${index + 1}`;
+    if (pos.type === 'short') return 'Short';
+    return this.game.investmentManager.maxEntries === 2 ? 'Doubled' : `Entry #${index + 1}`;
+  }
+
+  /**
+   * Liquidation price row for positions that can be liquidated
+   */
+  renderLiquidationRow(pos) {
+    return `
+          <div class="position-row">
+            <span class="label">Liq. price:</span>
+            <span class="value negative">${pos.status === 'liquidated' ? 'LIQUIDATED' : `$${pos.liquidationPrice.toFixed(3)}`}</span>
+          </div>
+    `;
+  }
+
+  /**
+   * Realized / unrealized rows for a position with partial sells
+   */
+  renderRealizedRows(pos) {
+    const format = (value) => `${value >= 0 ? '+' : ''}$${value.toFixed(2)}`;
+
+    return `
+          <div class="position-row">
+            <span class="label">Realized:</span>
+            <span class="value ${pos.realizedProfit >= 0 ? 'positive' : 'negative'}">${format(pos.realizedProfit)}</span>
+          </div>
+          <div class="position-row">
+            <span class="label">Unrealized:</span>
+            <span class="value ${pos.unrealizedProfit >= 0 ? 'positive' : 'negative'}">${format(pos.unrealizedProfit)}</span>
+          </div>
+    `;
+  }
+
+  /**
+   * Add a price point to a chart and redraw it
+   * @param {Object} pricePoint - { time, price, day }
+   * @param {Object} chart - Chart from createChart (the live chart by default)
+   */
+  drawChart(pricePoint, chart = this.chart) {
     if (!pricePoint) return;
 
-    // Add to history
-    this.priceHistory.push(pricePoint);
-    if (this.priceHistory.length > this.maxHistoryPoints) {
-      this.priceHistory.shift();
+    this.addChartPoint(pricePoint, chart);
+    this.renderChart(chart);
+  }
+
+  /**
+   * Add a price point to a chart's history without drawing
+   * @param {Object} pricePoint - { time, price, day }
+   * @param {Object} chart
+   */
+  addChartPoint(pricePoint, chart = this.chart) {
+    chart.priceHistory.push(pricePoint);
+    if (chart.priceHistory.length > this.maxHistoryPoints) {
+      chart.priceHistory.shift();
     }
+  }
+
+  /**
+   * Draw a chart's price history, markers and (on the live chart) order lines
+   * @param {Object} chart
+   */
+  renderChart(chart = this.chart) {
+    const { ctx, canvas } = chart;
 
     // Clear canvas
-    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    this.ctx.fillRect(0, 0, this.elements.canvas.width, this.elements.canvas.height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    if (this.priceHistory.length < 2) return;
+    if (chart.priceHistory.length < 2) return;
 
     // Find price range
-    const prices = this.priceHistory.map(p => p.price);
+    const prices = chart.priceHistory.map(p => p.price);
     const maxPrice = Math.max(...prices, 1.5);
     const minPrice = 0;
 
     // Draw grid lines
-    this.drawGrid(maxPrice);
+    this.drawGrid(maxPrice, chart);
+
+    // Draw pending exit orders
+    if (chart.showOrders && this.game.investmentManager.hasActiveInvestments()) {
+      const levels = this.game.getOrderLevels();
+      this.drawOrderLine(levels.takeProfitPrice, maxPrice, '#ffaa00', 'TP', chart);
+      this.drawOrderLine(levels.stopLossPrice, maxPrice, '#ff3366', 'SL', chart);
+      this.drawOrderLine(levels.trailingStopPrice, maxPrice, '#00d4ff', 'TRAIL', chart);
+      this.drawOrderLine(levels.liquidationAbove, maxPrice, '#b967ff', 'LIQ', chart);
+      this.drawOrderLine(levels.liquidationBelow, maxPrice, '#b967ff', 'LIQ', chart);
+    }
 
     // Draw price line
-    this.ctx.beginPath();
-    this.ctx.strokeStyle = '#00ff88';
-    this.ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = 3;
 
-    const width = this.elements.canvas.width;
-    const height = this.elements.canvas.height;
+    const width = canvas.width;
+    const height = canvas.height;
     const padding = 40;
 
-    this.priceHistory.forEach((point, index) => {
-      const x = (index / (this.priceHistory.length - 1)) * (width - padding * 2) + padding;
+    chart.priceHistory.forEach((point, index) => {
+      const x = (index / (chart.priceHistory.length - 1)) * (width - padding * 2) + padding;
       const y = height - padding - ((point.price - minPrice) / (maxPrice - minPrice)) * (height - padding * 2);
 
       if (index === 0) {
-        this.ctx.moveTo(x, y);
+        ctx.moveTo(x, y);
       } else {
-        this.ctx.lineTo(x, y);
+        ctx.lineTo(x, y);
       }
     });
 
-    this.ctx.stroke();
+    ctx.stroke();
 
-    // Draw double down marker (if exists)
-    if (this.doubleDownMarker) {
-      // Find the index of the price point closest to double down time
-      const doubleDownIndex = this.priceHistory.findIndex(p => p.time >= this.doubleDownMarker.time);
+    // Draw entry markers (double downs and DCA buys)
+    chart.entryMarkers.forEach((marker) => {
+      // Find the index of the price point closest to the entry time
+      const entryIndex = chart.priceHistory.findIndex(p => p.time >= marker.time);
 
-      if (doubleDownIndex !== -1) {
-        const x = (doubleDownIndex / (this.priceHistory.length - 1)) * (width - padding * 2) + padding;
-        const y = height - padding - ((this.doubleDownMarker.price - minPrice) / (maxPrice - minPrice)) * (height - padding * 2);
+      if (entryIndex !== -1) {
+        const x = (entryIndex / (chart.priceHistory.length - 1)) * (width - padding * 2) + padding;
+        const y = height - padding - ((marker.price - minPrice) / (maxPrice - minPrice)) * (height - padding * 2);
 
         // Vertical dashed line (full height) - blue/cyan color
-        this.ctx.strokeStyle = '#00d4ff';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([8, 4]);
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, padding);
-        this.ctx.lineTo(x, height - padding);
-        this.ctx.stroke();
-        this.ctx.setLineDash([]);
+        ctx.strokeStyle = '#00d4ff';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, padding);
+        ctx.lineTo(x, height - padding);
+        ctx.stroke();
+        ctx.setLineDash([]);
 
         // Dot on price line
-        this.ctx.fillStyle = '#00d4ff';
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = '#00d4ff';
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.fill();
 
         // White border around dot for visibility
-        this.ctx.strokeStyle = '#fff';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-        this.ctx.stroke();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.stroke();
       }
-    }
+    });
 
     // Draw cash out marker (if exists)
-    if (this.cashOutMarker) {
+    if (chart.cashOutMarker) {
       // Find the index of the price point closest to cash out time
-      const cashOutIndex = this.priceHistory.findIndex(p => p.time >= this.cashOutMarker.time);
+      const cashOutIndex = chart.priceHistory.findIndex(p => p.time >= chart.cashOutMarker.time);
 
       if (cashOutIndex !== -1) {
-        const x = (cashOutIndex / (this.priceHistory.length - 1)) * (width - padding * 2) + padding;
-        const y = height - padding - ((this.cashOutMarker.price - minPrice) / (maxPrice - minPrice)) * (height - padding * 2);
+        const x = (cashOutIndex / (chart.priceHistory.length - 1)) * (width - padding * 2) + padding;
+        const y = height - padding - ((chart.cashOutMarker.price - minPrice) / (maxPrice - minPrice)) * (height - padding * 2);
 
         // Vertical dashed line (full height)
-        this.ctx.strokeStyle = '#ff6b35';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([8, 4]);
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, padding);
-        this.ctx.lineTo(x, height - padding);
-        this.ctx.stroke();
-        this.ctx.setLineDash([]);
+        ctx.strokeStyle = '#ff6b35';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, padding);
+        ctx.lineTo(x, height - padding);
+        ctx.stroke();
+        ctx.setLineDash([]);
 
         // Dot on price line
-        this.ctx.fillStyle = '#ff6b35';
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = '#ff6b35';
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.fill();
 
         // White border around dot for visibility
-        this.ctx.strokeStyle = '#fff';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-        this.ctx.stroke();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.stroke();
       }
     }
 
     // Draw current price indicator
-    const lastPoint = this.priceHistory[this.priceHistory.length - 1];
+    const lastPoint = chart.priceHistory[chart.priceHistory.length - 1];
     const lastX = width - padding;
     const lastY = height - padding - ((lastPoint.price - minPrice) / (maxPrice - minPrice)) * (height - padding * 2);
 
-    this.ctx.fillStyle = '#00ff88';
-    this.ctx.beginPath();
-    this.ctx.arc(lastX, lastY, 5, 0, Math.PI * 2);
-    this.ctx.fill();
+    ctx.fillStyle = '#00ff88';
+    ctx.beginPath();
+    ctx.arc(lastX, lastY, 5, 0, Math.PI * 2);
+    ctx.fill();
 
     // Draw price label
-    this.ctx.fillStyle = '#fff';
-    this.ctx.font = 'bold 14px Courier New';
-    this.ctx.fillText(`$${lastPoint.price.toFixed(3)}`, lastX + 10, lastY + 5);
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 14px Courier New';
+    ctx.fillText(`$${lastPoint.price.toFixed(3)}`, lastX + 10, lastY + 5);
   }
 
   /**
    * Draw grid lines on chart
    */
-  drawGrid(maxPrice) {
-    const width = this.elements.canvas.width;
-    const height = this.elements.canvas.height;
+  drawGrid(maxPrice, chart = this.chart) {
+    const { ctx, canvas } = chart;
+    const width = canvas.width;
+    const height = canvas.height;
     const padding = 40;
 
-    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    this.ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.lineWidth = 1;
 
     // Horizontal lines
     const steps = 5;
@@ -330,52 +558,120 @@ export class UIRenderer {
       const y = padding + (i / steps) * (height - padding * 2);
       const price = maxPrice * (1 - i / steps);
 
-      this.ctx.beginPath();
-      this.ctx.moveTo(padding, y);
-      this.ctx.lineTo(width - padding, y);
-      this.ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(padding, y);
+      ctx.lineTo(width - padding, y);
+      ctx.stroke();
 
       // Price labels
-      this.ctx.fillStyle = '#666';
-      this.ctx.font = '12px Courier New';
-      this.ctx.fillText(`$${price.toFixed(2)}`, 5, y + 4);
+      ctx.fillStyle = '#666';
+      ctx.font = '12px Courier New';
+      ctx.fillText(`$${price.toFixed(2)}`, 5, y + 4);
     }
   }
 
   /**
-   * Set cash out marker
+   * Draw a horizontal line for an order's trigger price
    */
-  setCashOutMarker() {
-    const currentPrice = this.game.getCurrentPrice();
-    const currentTime = this.game.roundTimer.getElapsedTime();
+  drawOrderLine(price, maxPrice, color, label, chart = this.chart) {
+    if (price === null || price > maxPrice) return;
 
-    this.cashOutMarker = {
-      time: currentTime,
-      price: currentPrice
-    };
+    const { ctx, canvas } = chart;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 40;
+    const y = height - padding - (price / maxPrice) * (height - padding * 2);
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(padding, y);
+    ctx.lineTo(width - padding, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = color;
+    ctx.font = '12px Courier New';
+    ctx.fillText(`${label} $${price.toFixed(3)}`, padding + 5, y - 4);
   }
 
   /**
-   * Set double down marker
+   * Show orders in the order inputs
    */
-  setDoubleDownMarker() {
-    const currentPrice = this.game.getCurrentPrice();
-    const currentTime = this.game.roundTimer.getElapsedTime();
+  showOrders(orders) {
+    const format = (value) => (value === null ? '' : value);
+    this.elements.orderTakeProfit.value = format(orders.takeProfit);
+    this.elements.orderStopLoss.value = format(orders.stopLoss);
+    this.elements.orderTrailingStop.value = orders.trailingStop === null ? '' : Math.round(orders.trailingStop * 100);
+    this.elements.orderDcaAmount.value = format(orders.dcaAmount);
+    this.elements.orderDcaDip.value = orders.dcaDip === null ? '' : Math.round(orders.dcaDip * 100);
+    this.elements.orderExitDay.value = format(orders.exitDay);
+  }
 
-    this.doubleDownMarker = {
-      time: currentTime,
-      price: currentPrice
+  /**
+   * Set cash out marker
+   * @param {Object} fill - { time, price } of the exit (current frame if omitted)
+   */
+  setCashOutMarker(fill = this.game.getCurrentFrame()) {
+    this.chart.cashOutMarker = {
+      time: fill.time,
+      price: fill.price
     };
   }
 
+  /**
+   * Add an entry marker (double down or DCA buy)
+   * @param {Object} fill - { time, price } of the entry (current frame if omitted)
+   */
+  setDoubleDownMarker(fill = this.game.getCurrentFrame()) {
+    this.chart.entryMarkers.push({
+      time: fill.time,
+      price: fill.price
+    });
+  }
+
+  /**
+   * Show the broke screen with the ways back in
+   * @param {Object} options - Result of GameController.getBankruptcyOptions
+   */
+  showBroke(options) {
+    this.hideResults();
+    this.elements.brokeOverlay.classList.add('active');
+
+    const balance = this.game.balanceManager.getBalance();
+    this.elements.brokeMessage.textContent =
+      `You have $${balance.toFixed(2)} and your bet is $${this.game.betAmount.toFixed(2)}.`;
+
+    this.elements.bailoutBtn.textContent = `🆘 DAILY BAILOUT ($${options.bailoutAmount})`;
+    this.elements.bailoutBtn.disabled = !options.canClaimBailout;
+    this.elements.bailoutNote.textContent = options.canClaimBailout
+      ? 'One free bailout every 24 hours'
+      : `Next bailout: ${new Date(options.bailoutAvailableAt).toLocaleString()}`;
+
+    this.elements.loanBtn.disabled = options.loanAvailable < 1;
+    this.elements.loanNote.textContent =
+      `Up to $${options.loanAvailable.toFixed(2)} at ${options.loanInterestRate * 100}% per round; ` +
+      `${options.loanRepaymentShare * 100}% of every cash out goes to the shark until you're square`;
+
+    this.elements.brokeBetAmount.value = Math.max(1, Math.floor(balance));
+  }
+
+  /**
+   * Hide the broke screen
+   */
+  hideBroke() {
+    this.elements.brokeOverlay.classList.remove('active');
+  }
+
   /**
    * Show round start
    */
   showRoundStart(coinName) {
     this.elements.coinName.textContent = coinName;
-    this.priceHistory = [];
-    this.cashOutMarker = null;
-    this.doubleDownMarker = null;
+    this.resetChart();
+    this.elements.averageEntry.textContent = 'Avg entry: -';
     this.elements.positionsList.innerHTML = '<p style="color: #666;">No active positions</p>';
     this.elements.currentProfit.textContent = '$0.00';
     this.hideResults();
@@ -392,7 +688,21 @@ export class UIRenderer {
     let title = 'NO ACTION';
     let titleClass = '';
 
-    if (result.outcome === 'loss') {
+    if (result.outcome === 'sat_out') {
+      title = 'SAT OUT 🪑';
+    } else if (result.outcome === 'liquidated') {
+      title = 'LIQUIDATED 🔥';
+      titleClass = 'loss';
+    } else if (result.outcome === 'short_payout' && result.profit > 0) {
+      title = 'CALLED THE RUG 🐻';
+      titleClass = 'win';
+    } else if (result.outcome === 'short_payout') {
+      title = 'REKT 💀';
+      titleClass = 'loss';
+    } else if (result.outcome === 'loss' && result.profit > 0) {
+      title = 'MOONBAG RUGGED 🎒';
+      titleClass = 'win';
+    } else if (result.outcome === 'loss') {
       title = 'REKT 💀';
       titleClass = 'loss';
     } else if (result.outcome === 'cashed_out') {
@@ -424,22 +734,35 @@ export class UIRenderer {
     // Show breakdown if positions exist
     if (result.positions && result.positions.length > 0) {
       const breakdownHtml = result.positions.map((pos, index) => {
-        const profitClass = pos.profit >= 0 ? 'positive' : 'negative';
-        const positionType = pos.type === 'initial' ? 'Initial Bet' : 'Double Down';
-
-        return `
-          <div class="breakdown-row">
-            <span class="breakdown-label">${positionType}:</span>
-            <span class="breakdown-value ${profitClass}">${pos.profit >= 0 ? '+' : ''}$${pos.profit.toFixed(2)}</span>
-          </div>
-        `;
+        let positionType = this.getPositionLabel(pos, index);
+        if (positionType === 'Initial') positionType = 'Initial Bet';
+        if (positionType === 'Doubled') positionType = 'Double Down';
+
+        // Each entry with its own fill and multiplier
+        const leverage = pos.leverage > 1 ? ` ${pos.leverage}x` : '';
+        const detail = `@ $${pos.entryPrice.toFixed(3)}${leverage} (${pos.multiplier.toFixed(2)}x)`;
+        return this.renderBreakdownRow(`${positionType} ${detail}:`, pos.profit);
       }).join('');
 
-      this.elements.resultsBreakdown.innerHTML = breakdownHtml;
+      this.elements.resultsBreakdown.innerHTML = breakdownHtml + this.renderExitRows(result);
+    } else if (result.counterfactual) {
+      this.elements.resultsBreakdown.innerHTML = this.renderCounterfactual(result);
     } else {
       this.elements.resultsBreakdown.innerHTML = '';
     }
 
+    if (result.sideBets && result.sideBets.bets.length > 0) {
+      this.elements.resultsBreakdown.innerHTML += this.renderSideBetRows(result.sideBets);
+    }
+
+    // Loan shark's cut and the interest added to the debt
+    if (result.loanRepayment > 0) {
+      this.elements.resultsBreakdown.innerHTML += this.renderBreakdownRow('Paid to the loan shark:', -result.loanRepayment);
+    }
+    if (result.loanInterest > 0) {
+      this.elements.resultsBreakdown.innerHTML += this.renderBreakdownRow('Loan interest added to debt:', -result.loanInterest);
+    }
+
     // Update stats section
     const balance = this.game.balanceManager.getBalance();
     this.elements.resultsBalance.textContent = `$${balance.toFixed(2)}`;
@@ -450,6 +773,80 @@ export class UIRenderer {
     this.elements.betInputResults.value = this.game.betAmount;
   }
 
+  /**
+   * One label/profit row of the results breakdown
+   */
+  renderBreakdownRow(label, profit) {
+    const profitClass = profit >= 0 ? 'positive' : 'negative';
+
+    return `
+          <div class="breakdown-row">
+            <span class="breakdown-label">${label}</span>
+            <span class="breakdown-value ${profitClass}">${profit >= 0 ? '+' : ''}$${profit.toFixed(2)}</span>
+          </div>
+        `;
+  }
+
+  /**
+   * Breakdown rows for the round's side bets
+   */
+  renderSideBetRows(sideBets) {
+    const rows = sideBets.bets.map(bet =>
+      this.renderBreakdownRow(`Side bet: ${bet.label} ${bet.won ? 'WON' : 'lost'}:`, bet.profit)
+    ).join('');
+
+    return rows + (sideBets.bets.length > 1
+      ? this.renderBreakdownRow('Side bets total:', sideBets.profit)
+      : '');
+  }
+
+  /**
+   * What the auto-invest would have made in a round without a position
+   */
+  renderCounterfactual(result) {
+    const { amount, profit, exit, peakPrice } = result.counterfactual;
+    const verb = profit >= 0 ? 'made' : 'lost';
+    const intro = result.outcome === 'sat_out' ? 'You sat this one out' : 'No bet this round';
+    const exitLabels = {
+      take_profit: 'take profit',
+      stop_loss: 'stop-loss',
+      trailing_stop: 'trailing stop',
+      time_exit: 'time exit',
+      liquidation: 'liquidated'
+    };
+    const exitText = exit ? `${exitLabels[exit.order]} @ $${exit.price.toFixed(3)}` : 'held into the rug';
+
+    return `
+          <p class="counterfactual">${intro} — you would have ${verb} $${Math.abs(profit).toFixed(2)}</p>
+          ${this.renderBreakdownRow(`$${amount.toFixed(2)} auto-invest, ${exitText}:`, profit)}
+          <div class="breakdown-row">
+            <span class="breakdown-label">Peak price:</span>
+            <span class="breakdown-value">$${peakPrice.toFixed(3)}</span>
+          </div>
+        `;
+  }
+
+  /**
+   * Breakdown rows for each exit of a round that had partial sells
+   */
+  renderExitRows(result) {
+    const exits = result.exits || [];
+    if (!exits.some(exit => exit.type === 'partial' || exit.type === 'liquidation')) return '';
+
+    const labels = {
+      partial: (exit) => `Sold ${Math.round(exit.fraction * 100)}% of open @ $${exit.price.toFixed(3)}:`,
+      full: (exit) => `Sold rest @ $${exit.price.toFixed(3)}:`,
+      liquidation: (exit) => `Liquidated @ $${exit.price.toFixed(3)}:`
+    };
+    const rows = exits.map(exit => this.renderBreakdownRow(labels[exit.type](exit), exit.profit));
+
+    if (result.ruggedAmount > 0) {
+      rows.push(this.renderBreakdownRow('Rugged remainder:', -result.ruggedAmount));
+    }
+
+    return rows.join('');
+  }
+
   /**
    * Hide results overlay
    */
@@ -459,10 +856,235 @@ export class UIRenderer {
 
   /**
    * Show countdown
+   * @param {number|null} secondsLeft - Seconds until the round starts (null before the first tick)
    */
-  showCountdown() {
+  showCountdown(secondsLeft = null) {
     this.elements.coinName.textContent = 'LOADING...';
-    this.elements.dayCounter.textContent = 'Starting soon...';
+    this.elements.dayCounter.textContent = secondsLeft === null ? 'Starting soon...' : `Starting in ${secondsLeft}...`;
+  }
+
+  /**
+   * Show the side bet markets for the upcoming round
+   * @param {Array} markets - [{ id, label, payout }]
+   */
+  showSideBetMarkets(markets) {
+    this.elements.sideBetMarkets.innerHTML = markets.map(market => `
+      <button class="btn btn-secondary" data-market="${market.id}">${market.label} ${market.payout.toFixed(2)}x</button>
+    `).join('');
+    this.showSideBetSlip([]);
+  }
+
+  /**
+   * Show the bets placed on the upcoming round
+   * @param {Array} bets - [{ label, amount, payout }]
+   */
+  showSideBetSlip(bets) {
+    this.elements.sideBetSlip.innerHTML = bets.map(bet =>
+      `<div>$${bet.amount.toFixed(2)} on ${bet.label} @ ${bet.payout.toFixed(2)}x</div>`
+    ).join('');
+  }
+
+  /**
+   * Show the published commitment for the upcoming round
+   */
+  showCommitment(commitment) {
+    if (!commitment) return;
+    this.elements.fairnessCommitment.textContent = `#${commitment.nonce} ${commitment.commitment}`;
+  }
+
+  /**
+   * Show the revealed seed of the last round and enable verification
+   */
+  showReveal(reveal) {
+    if (!reveal) return;
+    this.elements.fairnessSeed.textContent = reveal.serverSeed;
+    this.elements.fairnessNonce.textContent = reveal.nonce;
+    this.elements.fairnessProfile.textContent = reveal.profileHash;
+    this.elements.verifyRoundBtn.disabled = false;
+    this.elements.verifyResult.textContent = '';
+    this.elements.verifyResult.className = 'verify-result';
+  }
+
+  /**
+   * Show the outcome of a round verification
+   */
+  showVerification(report) {
+    const icon = report.valid ? '✅' : '❌';
+    this.elements.verifyResult.textContent = `${icon} ${report.message}`;
+    this.elements.verifyResult.className = `verify-result ${report.valid ? 'positive' : 'negative'}`;
+  }
+
+  /**
+   * Read the ledger filter controls (dates cover whole local days)
+   * @returns {Object} Ledger filters { reason, coinName, outcome, from, to }
+   */
+  getLedgerFilters() {
+    const { ledgerReason, ledgerCoin, ledgerOutcome, ledgerFrom, ledgerTo } = this.elements;
+    const day = (input, time) => (input.value ? new Date(`${input.value}T${time}`).getTime() : null);
+
+    return {
+      reason: ledgerReason.value || null,
+      coinName: ledgerCoin.value || null,
+      outcome: ledgerOutcome.value || null,
+      from: day(ledgerFrom, '00:00:00'),
+      to: day(ledgerTo, '23:59:59.999')
+    };
+  }
+
+  /**
+   * Offer the transaction types and coins seen so far, keeping the current choice
+   * @param {Object} options - { reasons, coinNames } from Ledger.getFilterOptions
+   */
+  showLedgerFilterOptions(options) {
+    const fill = (select, values, allLabel, label) => {
+      const selected = select.value;
+      select.innerHTML = `<option value="">${allLabel}</option>` +
+        values.map(value => `<option value="${value}">${label(value)}</option>`).join('');
+      select.value = values.includes(selected) ? selected : '';
+    };
+
+    fill(this.elements.ledgerReason, options.reasons, 'All transactions', this.formatLedgerReason);
+    fill(this.elements.ledgerCoin, options.coinNames, 'All coins', (coinName) => coinName);
+  }
+
+  /**
+   * Show ledger entries, newest first
+   * @param {Array} entries - Matching entries, oldest first
+   */
+  showLedger(entries) {
+    const price = (value) => (value === undefined || value === null ? '-' : `$${value.toFixed(3)}`);
+    const rows = entries.slice(-this.maxLedgerRows).reverse().map(entry => {
+      const amount = entry.amountLost
+        ? `-$${entry.amountLost.toFixed(2)} lost`
+        : `${entry.amount >= 0 ? '+' : '-'}$${Math.abs(entry.amount).toFixed(2)}`;
+      const amountClass = entry.amountLost || entry.amount < 0 ? 'negative' : 'positive';
+
+      return `
+          <tr>
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td>${this.formatLedgerReason(entry.reason)}${entry.leverage > 1 ? ` ${entry.leverage}x` : ''}</td>
+            <td>${entry.coinName || '-'}</td>
+            <td>${price(entry.entryPrice)}</td>
+            <td>${price(entry.exitPrice)}</td>
+            <td>${entry.multiplier === undefined ? '-' : `${entry.multiplier.toFixed(2)}x`}</td>
+            <td class="${amountClass}">${amount}</td>
+            <td>$${entry.balanceAfter.toFixed(2)}</td>
+          </tr>
+        `;
+    });
+
+    this.elements.ledgerRows.innerHTML = rows.join('');
+    this.elements.ledgerSummary.textContent = entries.length > this.maxLedgerRows
+      ? `Showing the latest ${this.maxLedgerRows} of ${entries.length} transactions`
+      : `${entries.length} transaction${entries.length === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Show archived rounds, newest first, each with a sparkline of its price path (click to replay)
+   * @param {Array} rounds - Records from RoundArchive.list
+   */
+  showHistory(rounds) {
+    const items = rounds.map(round => {
+      const { profit, outcome } = round.result;
+      const profitClass = profit > 0 ? 'positive' : profit < 0 ? 'negative' : '';
+      const entries = round.entries.length;
+
+      return `
+          <li class="history-item" data-round-id="${round.roundId}">
+            ${this.renderSparkline(round)}
+            <div class="history-details">
+              <span>${round.coinName} · ${this.formatLedgerReason(round.type)} · peak ${round.peakMultiplier.toFixed(2)}x</span>
+              <span class="label">${new Date(round.timestamp).toLocaleString()} · day ${Math.floor(round.crashTime) + 1} rug · ${entries} entr${entries === 1 ? 'y' : 'ies'}, ${round.exits.length} exit${round.exits.length === 1 ? '' : 's'}</span>
+            </div>
+            <span class="history-profit ${profitClass}" title="${this.formatLedgerReason(outcome)}">${profit >= 0 ? '+' : '-'}$${Math.abs(profit).toFixed(2)}</span>
+          </li>
+        `;
+    });
+
+    this.elements.historyList.innerHTML = items.join('');
+    this.elements.historySummary.textContent = rounds.length === 0
+      ? 'No rounds yet'
+      : `Last ${rounds.length} round${rounds.length === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Small SVG chart of a round's price path, with its entries (blue) and exits (orange)
+   * @param {Object} round - Archived round
+   * @returns {string} SVG markup
+   */
+  renderSparkline(round) {
+    const { width, height } = this.sparklineSize;
+    const points = round.pricePoints;
+    const endTime = points[points.length - 1].time || 1;
+    const maxPrice = Math.max(...points.map(point => point.price)) || 1;
+    const x = (time) => ((time / endTime) * (width - 4) + 2).toFixed(1);
+    const y = (price) => (height - 2 - (price / maxPrice) * (height - 4)).toFixed(1);
+
+    const line = points.map(point => `${x(point.time)},${y(point.price)}`).join(' ');
+    const dot = (time, price, color) => `<circle cx="${x(time)}" cy="${y(price)}" r="2.5" fill="${color}"/>`;
+    const entryDots = round.entries.map(entry => dot(entry.entryTime, entry.entryPrice, '#00d4ff'));
+    const exitDots = round.exits.filter(exit => exit.type !== 'rug').map(exit => dot(exit.time, exit.price, '#ff6b35'));
+
+    return `<svg class="history-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+      `<polyline points="${line}" fill="none" stroke="${round.result.profit < 0 ? '#ff3366' : '#00ff88'}" stroke-width="1.5"/>` +
+      entryDots.join('') + exitDots.join('') +
+      '</svg>';
+  }
+
+  /**
+   * Open the replay viewer on an archived round, with an empty chart
+   * @param {Object} round - Archived round
+   * @param {number} speed - Initial playback speed
+   */
+  showReplay(round, speed) {
+    const { profit } = round.result;
+    this.elements.replayTitle.textContent =
+      `REPLAY · ${round.coinName} · ${this.formatLedgerReason(round.type)} · ${profit >= 0 ? '+' : '-'}$${Math.abs(profit).toFixed(2)}`;
+    this.elements.replaySpeed.value = String(speed);
+    this.elements.replayOverlay.classList.add('active');
+
+    this.resetChart(this.replayChart);
+    this.resizeCanvas(this.replayChart);
+  }
+
+  hideReplay() {
+    this.elements.replayOverlay.classList.remove('active');
+    this.resetChart(this.replayChart);
+  }
+
+  isReplayOpen() {
+    return this.elements.replayOverlay.classList.contains('active');
+  }
+
+  /**
+   * Draw a replay frame on the replay chart and update the controls
+   * @param {Object} frame - From RoundReplay.emitFrame
+   */
+  drawReplayFrame(frame) {
+    const chart = this.replayChart;
+    if (frame.reset) {
+      chart.priceHistory = frame.points.slice(-this.maxHistoryPoints);
+    } else {
+      frame.points.forEach(point => this.addChartPoint(point, chart));
+    }
+    chart.entryMarkers = frame.markers.entries;
+    chart.cashOutMarker = frame.markers.cashOut;
+    this.renderChart(chart);
+
+    const scrubber = this.elements.replayScrubber;
+    scrubber.max = String(frame.duration);
+    scrubber.value = String(frame.time);
+    this.elements.replayTime.textContent =
+      `Day ${Math.floor(frame.time) + 1} · ${frame.time.toFixed(1)}s / ${frame.duration.toFixed(1)}s`;
+    this.elements.replayPlayBtn.textContent = frame.playing ? '⏸' : frame.ended ? '↺' : '▶';
+  }
+
+  /**
+   * "side_bet_win" -> "Side bet win"
+   */
+  formatLedgerReason(reason) {
+    const words = reason.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
   }
 
   /**